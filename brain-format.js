@@ -0,0 +1,245 @@
+/**
+ * brain-format.js – Network architecture and the saved brain file format
+ * ───────────────────────────────────────────────────────────────────────
+ * A brain file describes everything needed to rebuild a brain and keep
+ * training it, whatever the page happens to be configured with:
+ *
+ *   {
+ *     formato: 3,                                   // FORMATO_CEREBRO
+ *     tipo: 'denso' | 'neat',
+ *     arquitetura: { entradas, camadas: [{ unidades, ativacao }] },  // dense only
+ *     entradas: { sensores: [...], alcance, passo, extras: [...] }, // configEntradas (car.js)
+ *     pesos: …,                                     // the brain's exportarPesos()
+ *     fitness: { estrategia, pesos },               // fitness.js
+ *     treino: { geracao, semente, backend, pistas: [{ nome, hash }], pontuacao },
+ *   }
+ *
+ * Older files are upgraded by MIGRACOES, one version at a time. Version 1 was
+ * the bare exportarPesos() output (`{ shapes, values }`, or a NEAT genome)
+ * with no description of the network it belonged to; version 2 files predate
+ * the sensor range and step settings (their rays were RAIOS_LEGADOS).
+ */
+
+const FORMATO_CEREBRO = 3;
+const ATIVACOES = ['relu', 'tanh', 'sigmoid', 'linear'];
+
+// ── Architecture ───────────────────────────────────────────────────────────
+// Dense layers after the inputs; the last one is the [rotation, acceleration] output.
+const ARQUITETURA_PADRAO = [
+  { unidades: 18, ativacao: 'relu' },
+  { unidades: 10, ativacao: 'relu' },
+  { unidades: 2, ativacao: 'tanh' },
+];
+let arquiteturaRede = ARQUITETURA_PADRAO.map(c => ({ ...c }));
+
+/** Full layout new dense brains are built with (input size from configEntradas). */
+function arquiteturaAtiva() {
+  return { entradas: totalEntradas(), camadas: arquiteturaRede };
+}
+
+/**
+ * Replace the layers new dense brains are built with.
+ * @param {{ unidades: number, ativacao: string }[]} camadas
+ */
+function definirArquitetura(camadas) {
+  if (!Array.isArray(camadas) || camadas.length === 0) throw new Error('The network needs at least one layer');
+  for (const { unidades, ativacao } of camadas) {
+    if (!Number.isInteger(unidades) || unidades < 1) throw new Error(`Invalid layer size "${unidades}"`);
+    if (!ATIVACOES.includes(ativacao)) throw new Error(`Unknown activation "${ativacao}" (use ${ATIVACOES.join(', ')})`);
+  }
+  if (camadas[camadas.length - 1].unidades !== 2) throw new Error('The last layer must have 2 units (rotation, acceleration)');
+  arquiteturaRede = camadas.map(({ unidades, ativacao }) => ({ unidades, ativacao }));
+}
+
+/** Parse the text form used by ?arch=, --arch and the HUD: "18:relu,10:relu,2:tanh". */
+function lerArquitetura(texto) {
+  return texto.split(',').map(parte => {
+    const [unidades, ativacao = 'relu'] = parte.trim().split(':');
+    return { unidades: Number(unidades), ativacao: ativacao.trim() };
+  });
+}
+
+/** Inverse of lerArquitetura(). */
+function textoArquitetura(camadas) {
+  return camadas.map(c => `${c.unidades}:${c.ativacao}`).join(',');
+}
+
+// ── Saving ─────────────────────────────────────────────────────────────────
+
+/**
+ * Brain file for `brain`, in the current format.
+ * @param {Cerebro|CerebroMatriz|CerebroNEAT} brain
+ * @param {{ fitness?: object, treino?: object }} meta  See dadosTreino()
+ * @returns {object}
+ */
+function serializarCerebro(brain, { fitness = null, treino = null } = {}) {
+  const neat = brain instanceof CerebroNEAT;
+  return {
+    formato: FORMATO_CEREBRO,
+    tipo: neat ? 'neat' : 'denso',
+    arquitetura: neat ? null : brain.descreverArquitetura(),
+    entradas: copiaEntradas(configEntradas),
+    pesos: brain.exportarPesos(),
+    fitness,
+    treino,
+  };
+}
+
+/**
+ * Training metadata for a brain file: where the run stands and what it trains on.
+ * @param {number}   geracao
+ * @param {object[]} listaPistas  Tracks of the run (track.js registry entries)
+ * @param {number}   [pontuacao]  The brain's fitness when it was saved
+ */
+function dadosTreino(geracao, listaPistas, pontuacao = null) {
+  return {
+    geracao,
+    semente: rng.semente,
+    backend: brainBackend,
+    pistas: listaPistas.map(p => ({ nome: p.nome, hash: hashMapa(p.mapa, p.tileSize) })),
+    pontuacao,
+  };
+}
+
+// ── Loading ────────────────────────────────────────────────────────────────
+
+/** Upgrade steps: MIGRACOES[n] turns a version-n file into version n + 1. */
+const MIGRACOES = {
+  1(dados) {
+    const fitness = dados.fitness || null;
+    if (dados.tipo === 'neat') {
+      const { tipo, entradas, saidas, nos, conexoes } = dados;
+      return {
+        formato: 2, tipo: 'neat', arquitetura: null, entradas: entradasLegadas(entradas),
+        pesos: { tipo, entradas, saidas, nos, conexoes }, fitness, treino: null,
+      };
+    }
+    // Only kernels are 2-D; their shapes give the layer sizes
+    const kernels = dados.shapes.filter(s => s.length === 2);
+    const entradas = kernels[0][0];
+    const oculta = entradas === 9 ? 'tanh' : 'relu';   // the 9-input network was tanh throughout
+    return {
+      formato: 2,
+      tipo: 'denso',
+      arquitetura: {
+        entradas,
+        camadas: kernels.map(([, unidades], i) => ({ unidades, ativacao: i === kernels.length - 1 ? 'tanh' : oculta })),
+      },
+      entradas: entradasLegadas(entradas),
+      pesos: { shapes: dados.shapes, values: dados.values },
+      fitness,
+      treino: null,
+    };
+  },
+  2(dados) {
+    return { ...dados, formato: 3, entradas: copiaEntradas({ ...RAIOS_LEGADOS, ...dados.entradas }) };
+  },
+};
+
+/** Input layout of a version-1 brain, which only recorded its input count. */
+function entradasLegadas(n) {
+  if (n === 11) return { sensores: ENTRADAS_PADRAO.sensores.slice(), extras: ENTRADAS_PADRAO.extras.slice() };
+  if (n === 9) return { sensores: ENTRADAS_PADRAO.sensores.slice(), extras: [] };
+  throw new Error(`Can't tell the sensor layout of a ${n}-input brain`);
+}
+
+/**
+ * Bring a parsed brain file of any version up to FORMATO_CEREBRO.
+ * @param {object} dados
+ * @returns {object}
+ */
+function migrarCerebro(dados) {
+  let atual = dados.formato ? dados : { ...dados, formato: 1 };
+  if (atual.formato > FORMATO_CEREBRO) {
+    throw new Error(`Brain file format ${atual.formato} is newer than this version supports (${FORMATO_CEREBRO})`);
+  }
+  while (atual.formato < FORMATO_CEREBRO) atual = MIGRACOES[atual.formato](atual);
+  return atual;
+}
+
+/** Can this file's brain join the current run as-is (same backend family, inputs and layers)? */
+function descricaoCompativel(dados) {
+  const mesmasEntradas = JSON.stringify(dados.entradas) === JSON.stringify(configEntradas);
+  if (dados.tipo === 'neat') return mesmasEntradas && brainBackend === 'neat';
+  return mesmasEntradas && brainBackend !== 'neat' &&
+    JSON.stringify(dados.arquitetura) === JSON.stringify(arquiteturaAtiva());
+}
+
+/** Switch the run to the file's backend family, input layout, layers and fitness settings. */
+function aplicarDescricao(dados) {
+  if (dados.tipo === 'neat') {
+    brainBackend = 'neat';
+  } else {
+    if (brainBackend === 'neat') brainBackend = 'matriz';
+    definirArquitetura(dados.arquitetura.camadas);
+  }
+  definirEntradas(dados.entradas);
+  if (dados.fitness && dados.fitness.estrategia in ESTRATEGIAS_FITNESS) {
+    definirFitness(dados.fitness.estrategia, dados.fitness.pesos);
+  }
+}
+
+/**
+ * Build the brain a (current-format) file describes. Dense brains use the
+ * selected dense backend (TF.js or matrix); the inputs must already match.
+ * The run's generator is left where it was: the initial weights drawn for the
+ * new network are overwritten anyway, and rebuilding a brain mid-run (replay
+ * check, manual mode's ghost) mustn't change what the run does next.
+ * @param {object} dados
+ * @returns {Cerebro|CerebroMatriz|CerebroNEAT}
+ */
+function construirCerebro(dados) {
+  const estado = rng.estado;
+  try {
+    if (dados.tipo === 'neat') {
+      const brain = new CerebroNEAT({ nos: [], conexoes: [] });
+      brain.importarPesos(dados.pesos);
+      return brain;
+    }
+    const Classe = brainBackend === 'tf' ? Cerebro : CerebroMatriz;
+    const brain = new Classe(null, dados.arquitetura);
+    brain.importarPesos(dados.pesos);
+    return brain;
+  } finally {
+    rng.estado = estado;
+  }
+}
+
+/**
+ * The brain file stored under `key`, upgraded to the current format.
+ * @returns {object|null}  null if there is none or it can't be read
+ */
+function lerCerebroSalvo(key = 'bestBrain') {
+  const raw = localStorage.getItem(key);
+  if (!raw) return null;
+  try {
+    return migrarCerebro(JSON.parse(raw));
+  } catch (e) {
+    console.warn(`⚠️ Unreadable brain file in localStorage: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Saved brain to seed a run with, or null.
+ * @param {string}  key
+ * @param {boolean} aplicar  true: reconfigure the run to match the file first
+ *                           (explicit load); false: only return the brain if
+ *                           it fits the current configuration.
+ * @returns {Cerebro|CerebroMatriz|CerebroNEAT|null}
+ */
+function carregarCerebroSalvo(key = 'bestBrain', aplicar = false) {
+  const dados = lerCerebroSalvo(key);
+  if (!dados) return null;
+  if (!aplicar && !descricaoCompativel(dados)) {
+    console.log('ℹ️ Saved brain has a different network layout — press L to switch to it.');
+    return null;
+  }
+  try {
+    if (aplicar) aplicarDescricao(dados);
+    return construirCerebro(dados);
+  } catch (e) {
+    console.warn(`⚠️ Could not rebuild the saved brain: ${e.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Brain (plain-JS matrix backend)
+ * ───────────────────────────────
+ * Same network, interface and weight format as Cerebro (brain.js), but the
+ * weights live in plain Float32Arrays and inference is a hand-written dense
+ * forward pass — no tensors, no tf.tidy, no GPU round trips.
+ *
+ * Numerics follow TF.js's CPU kernels (float32 storage, rounding after matMul,
+ * bias add and activation), so outputs match the TF model to float32
+ * tolerance; the order of the sums may differ, so the last bit can too.
+ * Random draws follow the same order as Cerebro, so the same seed creates the
+ * same brains on either backend.
+ */
+class CerebroMatriz {
+  /**
+   * @param {{ entradas: number, saidas: number, ativacao: string,
+   *           pesos: Float32Array, bias: Float32Array }[]|null} camadas
+   *        Pass existing layers to wrap them, or omit/null to build fresh ones.
+   * @param {{ entradas: number, camadas: { unidades: number, ativacao: string }[] }} arquitetura
+   *        Layout of fresh layers; defaults to the active one (brain-format.js)
+   */
+  constructor(camadas = null, arquitetura = arquiteturaAtiva()) {
+    if (camadas) {
+      this.camadas = camadas;
+    } else {
+      let entradas = arquitetura.entradas;
+      this.camadas = arquitetura.camadas.map(({ unidades, ativacao }) => {
+        const camada = CerebroMatriz._novaCamada(entradas, unidades, ativacao);
+        entradas = unidades;
+        return camada;
+      });
+    }
+  }
+
+  /** Layer sizes and activations, in the brain file's `arquitetura` format. */
+  descreverArquitetura() {
+    return {
+      entradas: this.camadas[0].entradas,
+      camadas: this.camadas.map(c => ({ unidades: c.saidas, ativacao: c.ativacao })),
+    };
+  }
+
+  /** Glorot-uniform kernel (row-major [entradas × saidas]) and zero bias, like Cerebro. */
+  static _novaCamada(entradas, saidas, ativacao) {
+    const pesos = new Float32Array(entradas * saidas);
+    const limit = Math.sqrt(6 / (entradas + saidas));
+    for (let i = 0; i < pesos.length; i++) pesos[i] = rng.entre(-limit, limit);
+    return { entradas, saidas, ativacao, pesos, bias: new Float32Array(saidas) };
+  }
+
+  // ── Inference ─────────────────────────────────────────────────────────────
+
+  /**
+   * Forward-pass for a single car.
+   * @param {number[]} readings  The network inputs (see configEntradas)
+   * @returns {Float32Array}     [rotation, acceleration]
+   */
+  pensar(readings) {
+    return CerebroMatriz.pensarLote([this], Float32Array.from(readings));
+  }
+
+  /**
+   * Batched forward-pass: one brain per row, all evaluated in a single sweep
+   * with no per-car allocations.
+   * @param {CerebroMatriz[]} brains
+   * @param {Float32Array}    inputs  brains.length × inputs-per-brain values, row-major
+   * @returns {Float32Array}          brains.length × 2 outputs, row-major
+   */
+  static pensarLote(brains, inputs) {
+    if (brains.length === 0) return new Float32Array(0);
+    const camadas = brains[0].camadas;
+    const largura = Math.max(...camadas.map(c => c.saidas));
+    let atual = new Float32Array(largura);
+    let proxima = new Float32Array(largura);
+    const saidas = camadas[camadas.length - 1].saidas;
+    const resultado = new Float32Array(brains.length * saidas);
+
+    for (let b = 0; b < brains.length; b++) {
+      let entrada = inputs.subarray(b * camadas[0].entradas, (b + 1) * camadas[0].entradas);
+      const layers = brains[b].camadas;
+
+      for (let l = 0; l < layers.length; l++) {
+        const { entradas, saidas: n, ativacao, pesos, bias } = layers[l];
+        for (let j = 0; j < n; j++) {
+          let sum = 0;
+          for (let k = 0; k < entradas; k++) sum += entrada[k] * pesos[k * n + j];
+          const v = Math.fround(Math.fround(sum) + bias[j]);
+          proxima[j] = ativacao === 'relu' ? (v < 0 ? 0 : v)
+            : ativacao === 'tanh' ? Math.tanh(v)
+            : ativacao === 'sigmoid' ? 1 / (1 + Math.exp(-v))
+            : v; // linear
+        }
+        entrada = proxima.subarray(0, n);
+        [atual, proxima] = [proxima, atual];
+      }
+      resultado.set(entrada, b * saidas);
+    }
+    return resultado;
+  }
+
+  // ── Cloning & Mutation ────────────────────────────────────────────────────
+
+  /**
+   * Deep-clone this brain (same architecture + weights).
+   * @returns {CerebroMatriz}
+   */
+  copiaCerebro() {
+    const copia = new CerebroMatriz(this.camadas.map(c => ({
+      ...c, pesos: c.pesos.slice(), bias: c.bias.slice(),
+    })));
+    if (this.mutacao) copia.mutacao = { ...this.mutacao };   // self-adaptive rate and σ (mutation.js)
+    if (this.amostra !== undefined) copia.amostra = this.amostra;   // ES / CMA-ES sample index (optimizer.js)
+    return copia;
+  }
+
+  /** Every weight array in export order: kernel₀, bias₀, kernel₁, bias₁, … */
+  _arrays() {
+    return this.camadas.flatMap(c => [c.pesos, c.bias]);
+  }
+
+  /**
+   * In-place Gaussian mutation of all weights.
+   * @param {number} rate     Probability [0, 1] that each weight is mutated.
+   * @param {number} [sigma]  Std. dev. of the perturbation
+   */
+  mutar(rate, sigma = SIGMA_MUTACAO) {
+    for (const vals of this._arrays()) {
+      for (let i = 0; i < vals.length; i++) {
+        if (rng.proximo() < rate) {
+          vals[i] += randn_bm() * sigma; // soft Gaussian perturbation
+        }
+      }
+    }
+  }
+
+  /**
+   * Crossover: mix this brain's weights with another's.
+   * @param {CerebroMatriz} outro
+   * @param {string} [estrategia='uniforme']  Key of ESTRATEGIAS_CRUZAMENTO (selection.js)
+   * @returns {CerebroMatriz}
+   */
+  cruzar(outro, estrategia = 'uniforme') {
+    const filho = this.copiaCerebro();
+    ESTRATEGIAS_CRUZAMENTO[estrategia].combinar(filho._arrays(), outro._arrays());
+    return filho;
+  }
+
+  // ── Persistence ───────────────────────────────────────────────────────────
+
+  /**
+   * Serialise weights in the same format as Cerebro.exportarPesos.
+   * @returns {{ shapes: number[][], values: number[][] }}
+   */
+  exportarPesos() {
+    return {
+      shapes: this.camadas.flatMap(c => [[c.entradas, c.saidas], [c.saidas]]),
+      values: this._arrays().map(a => Array.from(a)),
+    };
+  }
+
+  /**
+   * Load weights from a plain object (the format produced by exportarPesos).
+   * @param {{ shapes: number[][], values: number[][] }} data
+   */
+  importarPesos(data) {
+    const arrays = this._arrays();
+    const esperado = JSON.stringify(this.exportarPesos().shapes);
+    if (JSON.stringify(data.shapes) !== esperado || data.values.length !== arrays.length) {
+      console.warn("⚠️ Failed to import weights. Likely architecture mismatch.");
+      throw new Error(`Expected shapes ${esperado}, got ${JSON.stringify(data.shapes)}`);
+    }
+    arrays.forEach((vals, i) => vals.set(data.values[i]));
+  }
+
+  /**
+   * Save this brain to localStorage under the given key, as a brain file.
+   * @param {string} key
+   * @param {object} meta  Fitness settings and training metadata (see serializarCerebro)
+   */
+  salvarEmLocalStorage(key = 'bestBrain', meta = {}) {
+    localStorage.setItem(key, JSON.stringify(serializarCerebro(this, meta)));
+  }
+}
+
+// ── Backend selection ───────────────────────────────────────────────────────
+
+/**
+ * Which class new brains are built from: 'matriz' (CerebroMatriz, default),
+ * 'tf' (Cerebro) or 'neat' (CerebroNEAT, brain-neat.js). The first two share
+ * the weight format, so saved dense brains load in either.
+ */
+let brainBackend = 'matriz';
+
+function classeDoBackend() {
+  if (brainBackend === 'tf') return Cerebro;
+  if (brainBackend === 'neat') return CerebroNEAT;
+  return CerebroMatriz;
+}
+
+/** Fresh random brain of the selected backend. */
+function novoCerebro() {
+  return new (classeDoBackend())();
+}
+
+/** Start a run: backends with run-wide state (NEAT innovations & species) forget it. */
+function reiniciarBackend() {
+  if (typeof classeDoBackend().reiniciar === 'function') classeDoBackend().reiniciar();
+}
@@ -0,0 +1,455 @@
+/**
+ * Brain (NEAT backend)
+ * ────────────────────
+ * A brain that evolves its own topology (NeuroEvolution of Augmenting
+ * Topologies). The genome is a list of nodes and a list of connection genes;
+ * each connection carries an innovation number so genomes with different
+ * structures can still be lined up gene by gene.
+ *
+ *  • Starts minimal: every input (and a bias node) wired straight to both outputs.
+ *  • mutar() perturbs weights like the dense backends, and occasionally adds a
+ *    connection or splits one with a new hidden node.
+ *  • cruzar() aligns genes by innovation number: matching genes come from
+ *    either parent, disjoint/excess genes from the fitter one.
+ *  • CerebroNEAT.reproduzir() breeds a whole generation by species, with
+ *    fitness sharing — criarCerebros() (evolution.js) hands off to it.
+ *
+ * Same interface as Cerebro: pensar, copiaCerebro, mutar, cruzar,
+ * exportarPesos/importarPesos and salvarEmLocalStorage. Inputs follow
+ * configEntradas (car.js). Networks are feed-forward only; hidden and output
+ * nodes use tanh.
+ */
+
+// ── NEAT parameters ────────────────────────────────────────────────────────
+const NEAT_CONFIG = {
+  saidas: 2,                // rotation, acceleration
+  desvioPeso: 0.5,          // std. dev. of a weight perturbation
+  probNovoPeso: 0.1,        // chance a mutated weight is replaced instead of perturbed
+  probNovaConexao: 0.08,    // per mutar() call
+  probNovoNo: 0.03,         // per mutar() call
+  probReativar: 0.25,       // chance an inherited disabled gene comes back enabled
+  c1: 1.0,                  // compatibility: excess genes
+  c2: 1.0,                  // compatibility: disjoint genes
+  c3: 0.4,                  // compatibility: mean weight difference of matching genes
+  limiarEspecie: 3.0,       // compatibility distance below which genomes share a species
+  genomaPequeno: 60,        // below this many genes, E and D are not normalised by size
+  sobrevivencia: 0.5,       // fraction of each species allowed to breed
+  probCruzamento: 0.75,     // offspring made by crossover (rest: mutated clone)
+  maxEstagnacao: 15,        // generations without improvement before a species is dropped
+};
+
+class CerebroNEAT {
+  /**
+   * @param {{ nos: {id: number, tipo: string}[],
+   *           conexoes: {inovacao: number, de: number, para: number, peso: number, ativa: boolean}[] }|null} genoma
+   *        Pass an existing genome to wrap it, or omit/null to build a fresh one.
+   */
+  constructor(genoma = null) {
+    if (genoma) {
+      this.nos = genoma.nos;
+      this.conexoes = genoma.conexoes;
+    } else {
+      const entradas = totalEntradas();
+      const { saidas } = NEAT_CONFIG;
+      // Node ids: inputs 0…entradas-1, bias, then outputs
+      this.nos = [];
+      for (let i = 0; i < entradas; i++) this.nos.push({ id: i, tipo: 'entrada' });
+      this.nos.push({ id: entradas, tipo: 'bias' });
+      for (let o = 0; o < saidas; o++) this.nos.push({ id: entradas + 1 + o, tipo: 'saida' });
+      CerebroNEAT.proximoNo = Math.max(CerebroNEAT.proximoNo, entradas + 1 + saidas);
+
+      this.conexoes = [];
+      for (const de of this.nos.filter(n => n.tipo !== 'saida')) {
+        for (const para of this.nos.filter(n => n.tipo === 'saida')) {
+          this.conexoes.push({
+            inovacao: CerebroNEAT._inovacao(de.id, para.id),
+            de: de.id, para: para.id, peso: rng.entre(-1, 1), ativa: true,
+          });
+        }
+      }
+    }
+    this.fitness = 0;    // set by avaliarGeracao(); decides gene inheritance in cruzar()
+    this._rede = null;   // cached evaluation order, rebuilt after structural changes
+  }
+
+  // ── Innovation registry ───────────────────────────────────────────────────
+  // Shared by every genome of a run, so the same structural change gets the
+  // same innovation number (and the same new node id) in every genome.
+
+  /** Forget all innovations and species — call when a run starts. */
+  static reiniciar() {
+    CerebroNEAT.inovacoes = new Map();   // "de>para" → innovation number
+    CerebroNEAT.divisoes = new Map();    // split connection's innovation → new node id
+    CerebroNEAT.proximaInovacao = 0;
+    CerebroNEAT.proximoNo = 0;           // raised past every node id genomes use
+    CerebroNEAT.especies = [];
+    CerebroNEAT.proximaEspecie = 1;
+  }
+
+  static _inovacao(de, para) {
+    const chave = `${de}>${para}`;
+    if (!CerebroNEAT.inovacoes.has(chave)) CerebroNEAT.inovacoes.set(chave, CerebroNEAT.proximaInovacao++);
+    return CerebroNEAT.inovacoes.get(chave);
+  }
+
+  /** Make the registry aware of genes from outside this run (e.g. a loaded brain). */
+  static _registrar(genomas) {
+    for (const g of genomas) {
+      for (const n of g.nos) CerebroNEAT.proximoNo = Math.max(CerebroNEAT.proximoNo, n.id + 1);
+      for (const c of g.conexoes) {
+        CerebroNEAT.inovacoes.set(`${c.de}>${c.para}`, c.inovacao);
+        CerebroNEAT.proximaInovacao = Math.max(CerebroNEAT.proximaInovacao, c.inovacao + 1);
+      }
+    }
+  }
+
+  /** Registry and species as plain JSON-safe data (run checkpoints, checkpoint.js). */
+  static exportarRegistro() {
+    return {
+      inovacoes: [...CerebroNEAT.inovacoes],
+      divisoes: [...CerebroNEAT.divisoes],
+      proximaInovacao: CerebroNEAT.proximaInovacao,
+      proximoNo: CerebroNEAT.proximoNo,
+      proximaEspecie: CerebroNEAT.proximaEspecie,
+      especies: CerebroNEAT.especies.map(e => ({
+        id: e.id,
+        representante: e.representante.exportarPesos(),
+        melhor: e.melhor === -Infinity ? null : e.melhor,
+        estagnacao: e.estagnacao,
+      })),
+    };
+  }
+
+  /** Inverse of exportarRegistro(): continue a run exactly where it was. */
+  static importarRegistro(dados) {
+    const especies = dados.especies.map(e => {
+      const representante = new CerebroNEAT({ nos: [], conexoes: [] });
+      representante.importarPesos(e.representante);
+      return { id: e.id, representante, membros: [], melhor: e.melhor === null ? -Infinity : e.melhor, estagnacao: e.estagnacao };
+    });
+    CerebroNEAT.inovacoes = new Map(dados.inovacoes);
+    CerebroNEAT.divisoes = new Map(dados.divisoes);
+    CerebroNEAT.proximaInovacao = dados.proximaInovacao;
+    CerebroNEAT.proximoNo = dados.proximoNo;
+    CerebroNEAT.proximaEspecie = dados.proximaEspecie;
+    CerebroNEAT.especies = especies;
+  }
+
+  // ── Inference ─────────────────────────────────────────────────────────────
+
+  /**
+   * Forward-pass through the evolved network.
+   * @param {number[]} readings  The network inputs (see configEntradas)
+   * @returns {Float32Array}     [rotation, acceleration]
+   */
+  pensar(readings) {
+    const { ordem, entradasDe, saidas, valores, entradas } = this._compilar();
+    for (let i = 0; i < entradas; i++) valores[i] = readings[i];
+    valores[entradas] = 1; // bias
+
+    for (const no of ordem) {
+      let soma = 0;
+      for (const c of entradasDe[no]) soma += valores[c.de] * c.peso;
+      valores[no] = Math.tanh(soma);
+    }
+    return Float32Array.from(saidas, no => valores[no]);
+  }
+
+  /** Topologically ordered hidden/output nodes and their enabled incoming genes. */
+  _compilar() {
+    if (this._rede) return this._rede;
+    const entradasDe = [];
+    const saidasDe = [];
+    const grau = [];
+    const valores = new Float64Array(Math.max(...this.nos.map(n => n.id)) + 1);
+    for (const n of this.nos) {
+      entradasDe[n.id] = [];
+      saidasDe[n.id] = [];
+      grau[n.id] = 0;
+    }
+    for (const c of this.conexoes) {
+      if (!c.ativa) continue;
+      entradasDe[c.para].push(c);
+      saidasDe[c.de].push(c.para);
+      grau[c.para]++;
+    }
+
+    // Kahn's algorithm; ids 0…entradas are the inputs and the bias.
+    // Nodes with no enabled input are evaluated too (to tanh(0) = 0).
+    const entradas = this.nos.filter(n => n.tipo === 'entrada').length;
+    const fila = this.nos.filter(n => grau[n.id] === 0).map(n => n.id);
+    const ordem = [];
+    for (let i = 0; i < fila.length; i++) {
+      if (fila[i] > entradas) ordem.push(fila[i]);
+      for (const para of saidasDe[fila[i]]) {
+        if (--grau[para] === 0) fila.push(para);
+      }
+    }
+
+    const saidas = this.nos.filter(n => n.tipo === 'saida').map(n => n.id);
+    this._rede = { ordem, entradasDe, saidas, valores, entradas };
+    return this._rede;
+  }
+
+  // ── Cloning & Mutation ────────────────────────────────────────────────────
+
+  /**
+   * Deep-clone this genome.
+   * @returns {CerebroNEAT}
+   */
+  copiaCerebro() {
+    const copia = new CerebroNEAT({
+      nos: this.nos.map(n => ({ ...n })),
+      conexoes: this.conexoes.map(c => ({ ...c })),
+    });
+    copia.fitness = this.fitness;
+    if (this.mutacao) copia.mutacao = { ...this.mutacao };   // self-adaptive rate and σ (mutation.js)
+    return copia;
+  }
+
+  /**
+   * In-place mutation: Gaussian weight perturbation (each gene with probability
+   * `rate`), plus the structural add-connection / add-node mutations.
+   * @param {number} rate     Probability [0, 1] that each weight is mutated.
+   * @param {number} [sigma]  Std. dev. of a weight perturbation
+   */
+  mutar(rate, sigma = NEAT_CONFIG.desvioPeso) {
+    for (const c of this.conexoes) {
+      if (rng.proximo() < rate) {
+        if (rng.proximo() < NEAT_CONFIG.probNovoPeso) c.peso = rng.entre(-1, 1);
+        else c.peso += randn_bm() * sigma;
+      }
+    }
+    if (rng.proximo() < NEAT_CONFIG.probNovaConexao) this._mutarConexao();
+    if (rng.proximo() < NEAT_CONFIG.probNovoNo) this._mutarNo();
+  }
+
+  /** Wire two unconnected nodes (never creating a cycle); a few tries at most. */
+  _mutarConexao() {
+    const origens = this.nos.filter(n => n.tipo !== 'saida');
+    const destinos = this.nos.filter(n => n.tipo === 'oculto' || n.tipo === 'saida');
+    for (let tentativa = 0; tentativa < 20; tentativa++) {
+      const de = origens[rng.inteiro(origens.length)].id;
+      const para = destinos[rng.inteiro(destinos.length)].id;
+      if (de === para || this._alcanca(para, de)) continue;
+      const existente = this.conexoes.find(c => c.de === de && c.para === para);
+      if (existente) {
+        if (existente.ativa) continue;
+        existente.ativa = true;
+      } else {
+        this._adicionarConexao(de, para, rng.entre(-1, 1));
+      }
+      this._rede = null;
+      return;
+    }
+  }
+
+  /** Split an enabled connection a→b into a→new (weight 1) and new→b (old weight). */
+  _mutarNo() {
+    const ativas = this.conexoes.filter(c => c.ativa);
+    if (ativas.length === 0) return;
+    const c = ativas[rng.inteiro(ativas.length)];
+    c.ativa = false;
+
+    let id = CerebroNEAT.divisoes.get(c.inovacao);
+    if (id === undefined || this.nos.some(n => n.id === id)) {
+      id = CerebroNEAT.proximoNo++;
+      if (!CerebroNEAT.divisoes.has(c.inovacao)) CerebroNEAT.divisoes.set(c.inovacao, id);
+    }
+    this.nos.push({ id, tipo: 'oculto' });
+    this._adicionarConexao(c.de, id, 1);
+    this._adicionarConexao(id, c.para, c.peso);
+    this._rede = null;
+  }
+
+  _adicionarConexao(de, para, peso) {
+    this.conexoes.push({ inovacao: CerebroNEAT._inovacao(de, para), de, para, peso, ativa: true });
+    this.conexoes.sort((a, b) => a.inovacao - b.inovacao);
+  }
+
+  /** Is `alvo` reachable from `origem` along enabled connections? */
+  _alcanca(origem, alvo) {
+    const pilha = [origem];
+    const visto = new Set();
+    while (pilha.length > 0) {
+      const no = pilha.pop();
+      if (no === alvo) return true;
+      if (visto.has(no)) continue;
+      visto.add(no);
+      for (const c of this.conexoes) if (c.ativa && c.de === no) pilha.push(c.para);
+    }
+    return false;
+  }
+
+  /**
+   * Crossover with genes aligned by innovation number. Matching genes are
+   * taken from either parent at random; disjoint and excess genes come from
+   * the fitter parent (ties go to `this`), so the child has its structure.
+   * @param {CerebroNEAT} outro
+   * @returns {CerebroNEAT}
+   */
+  cruzar(outro) {
+    const [forte, fraco] = outro.fitness > this.fitness ? [outro, this] : [this, outro];
+    const genesFraco = new Map(fraco.conexoes.map(c => [c.inovacao, c]));
+
+    const conexoes = forte.conexoes.map(c => {
+      const par = genesFraco.get(c.inovacao);
+      const gene = { ...(par && rng.proximo() < 0.5 ? par : c) };
+      gene.ativa = c.ativa && (!par || par.ativa) ? true : rng.proximo() < NEAT_CONFIG.probReativar;
+      return gene;
+    });
+    const filho = new CerebroNEAT({ nos: forte.nos.map(n => ({ ...n })), conexoes });
+
+    // A gene disabled in the fitter parent may close a loop once re-enabled
+    conexoes.forEach((gene, k) => {
+      if (gene.ativa && !forte.conexoes[k].ativa) {
+        gene.ativa = false;
+        gene.ativa = !filho._alcanca(gene.para, gene.de);
+      }
+    });
+    return filho;
+  }
+
+  // ── Speciation ────────────────────────────────────────────────────────────
+
+  /**
+   * Compatibility distance δ = c1·E/N + c2·D/N + c3·W̄ (E = excess genes,
+   * D = disjoint genes, W̄ = mean weight difference of matching genes,
+   * N = size of the larger genome, or 1 for small genomes).
+   * @param {CerebroNEAT} outro
+   * @returns {number}
+   */
+  distancia(outro) {
+    const a = this.conexoes;
+    const b = outro.conexoes;
+    let i = 0, j = 0, disjuntos = 0, iguais = 0, difPeso = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i].inovacao === b[j].inovacao) {
+        iguais++;
+        difPeso += Math.abs(a[i++].peso - b[j++].peso);
+      } else if (a[i].inovacao < b[j].inovacao) {
+        disjuntos++; i++;
+      } else {
+        disjuntos++; j++;
+      }
+    }
+    const excesso = (a.length - i) + (b.length - j);
+    const n = Math.max(a.length, b.length) < NEAT_CONFIG.genomaPequeno ? 1 : Math.max(a.length, b.length);
+    const { c1, c2, c3 } = NEAT_CONFIG;
+    return (c1 * excesso) / n + (c2 * disjuntos) / n + c3 * (iguais ? difPeso / iguais : 0);
+  }
+
+  /**
+   * Breed the next generation by species.
+   *  1. Place every genome in the first species whose representative is
+   *     within NEAT_CONFIG.limiarEspecie, or found a new one.
+   *  2. Drop species that haven't improved for maxEstagnacao generations
+   *     (never the one holding the best genome).
+   *  3. Share fitness within each species (fitness / species size) and give
+   *     each species offspring in proportion to its shared total.
+   *  4. Each species keeps its champion (flagged `campeao`) and fills the
+   *     rest with mutated crossovers of its best `sobrevivencia` fraction.
+   * @param {CerebroNEAT[]} genomas  Last generation, best first, `fitness` set
+   * @param {number}        total    Population size
+   * @param {number}        rate     Weight mutation rate
+   * @returns {CerebroNEAT[]}
+   */
+  static reproduzir(genomas, total, rate) {
+    CerebroNEAT._registrar(genomas);
+
+    // 1. Speciate
+    for (const e of CerebroNEAT.especies) e.membros = [];
+    for (const g of genomas) {
+      let especie = CerebroNEAT.especies.find(e => g.distancia(e.representante) < NEAT_CONFIG.limiarEspecie);
+      if (!especie) {
+        especie = { id: CerebroNEAT.proximaEspecie++, representante: g, membros: [], melhor: -Infinity, estagnacao: 0 };
+        CerebroNEAT.especies.push(especie);
+      }
+      especie.membros.push(g);
+    }
+
+    // 2. Stagnation
+    let especies = CerebroNEAT.especies.filter(e => e.membros.length > 0);
+    for (const e of especies) {
+      const melhor = e.membros[0].fitness;   // members keep the best-first order
+      if (melhor > e.melhor) { e.melhor = melhor; e.estagnacao = 0; } else e.estagnacao++;
+    }
+    especies = especies.filter(e => e.estagnacao < NEAT_CONFIG.maxEstagnacao || e.membros.includes(genomas[0]));
+
+    // 3. Fitness sharing → offspring per species (largest remainders get the leftovers)
+    const compartilhado = especies.map(e => e.membros.reduce((s, g) => s + Math.max(0, g.fitness), 0) / e.membros.length);
+    const soma = compartilhado.reduce((a, b) => a + b, 0);
+    const cotas = compartilhado.map(f => (soma > 0 ? (f / soma) * total : total / especies.length));
+    const filhos = cotas.map(Math.floor);
+    const porResto = cotas.map((c, i) => i).sort((a, b) => (cotas[b] - filhos[b]) - (cotas[a] - filhos[a]));
+    for (let k = 0; filhos.reduce((a, b) => a + b, 0) < total; k++) filhos[porResto[k % porResto.length]]++;
+
+    // 4. Breed within each species
+    const nova = [];
+    especies.forEach((e, i) => {
+      if (filhos[i] === 0) return;
+      const campeao = e.membros[0].copiaCerebro();   // champion survives unchanged
+      campeao.campeao = true;   // receberImigrantes() never replaces it
+      nova.push(campeao);
+      const pais = e.membros.slice(0, Math.max(1, Math.ceil(e.membros.length * NEAT_CONFIG.sobrevivencia)));
+      for (let k = 1; k < filhos[i]; k++) {
+        const a = pais[rng.inteiro(pais.length)];
+        let filho;
+        let b = null;
+        if (pais.length > 1 && rng.proximo() < NEAT_CONFIG.probCruzamento) {
+          b = pais[rng.inteiro(pais.length)];
+          filho = a.cruzar(b);
+        } else {
+          filho = a.copiaCerebro();
+        }
+        mutarFilho(filho, rate, b ? [a, b] : [a]);
+        nova.push(filho);
+      }
+      // Next generation is compared against a random member of this one
+      e.representante = e.membros[rng.inteiro(e.membros.length)];
+    });
+    CerebroNEAT.especies = especies;
+    return nova;
+  }
+
+  // ── Persistence ───────────────────────────────────────────────────────────
+
+  /**
+   * Serialise the genome.
+   * @returns {{ tipo: 'neat', entradas: number, saidas: number, nos: object[], conexoes: object[] }}
+   */
+  exportarPesos() {
+    return {
+      tipo: 'neat',
+      entradas: this.nos.filter(n => n.tipo === 'entrada').length,
+      saidas: NEAT_CONFIG.saidas,
+      nos: this.nos.map(n => ({ ...n })),
+      conexoes: this.conexoes.map(c => ({ ...c })),
+    };
+  }
+
+  /**
+   * Load a genome from a plain object (the format produced by exportarPesos).
+   * @param {{ tipo: string, entradas: number, saidas: number, nos: object[], conexoes: object[] }} data
+   */
+  importarPesos(data) {
+    if (data.tipo !== 'neat' || data.entradas !== totalEntradas() || data.saidas !== NEAT_CONFIG.saidas) {
+      console.warn("⚠️ Failed to import genome. Not a compatible NEAT brain.");
+      throw new Error(`Expected a NEAT genome with ${totalEntradas()} inputs and ${NEAT_CONFIG.saidas} outputs`);
+    }
+    this.nos = data.nos.map(n => ({ ...n }));
+    this.conexoes = data.conexoes.map(c => ({ ...c })).sort((a, b) => a.inovacao - b.inovacao);
+    this._rede = null;
+  }
+
+  /**
+   * Save this brain to localStorage under the given key, as a brain file.
+   * @param {string} key
+   * @param {object} meta  Fitness settings and training metadata (see serializarCerebro)
+   */
+  salvarEmLocalStorage(key = 'bestBrain', meta = {}) {
+    localStorage.setItem(key, JSON.stringify(serializarCerebro(this, meta)));
+  }
+}
+
+CerebroNEAT.reiniciar();
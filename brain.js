@@ -1,35 +1,72 @@
 /**
  * Brain (Neural Network)
  * ──────────────────────
- * Architecture: Dense(9 → 5, tanh) → Dense(5 → 2, tanh)
- *  Input  (9): normalised sensor readings (0 = wall close, 1 = clear)
- *  Output (2): [rotation, acceleration]  both in [-1, 1]
+ * Architecture: stack of dense layers from `arquiteturaRede` (brain-format.js),
+ *               by default 11 → 18 (relu) → 10 (relu) → 2 (tanh)
+ *  Input  (11): sensor readings (0 = clear, 1 = wall close) + speed + last rotation
+ *  Output (2):  [rotation, acceleration]  both in [-1, 1]
  *
  * Evolution strategy: elitist mutation (top-N cloned + Gaussian noise).
- * Persistence: weights are serialised to JSON and stored in localStorage.
+ * Randomness: initial weights, mutation and crossover all draw from the seeded
+ *             `rng` (random.js), never from TF's own unseeded initialisers.
+ * Persistence: versioned brain files (brain-format.js), stored in localStorage.
  */
 class Cerebro {
   /**
    * @param {tf.Sequential|null} model  Pass an existing TF model to wrap it,
    *                                     or omit/null to build a fresh one.
+   * @param {{ entradas: number, camadas: { unidades: number, ativacao: string }[] }} arquitetura
+   *        Layout of a fresh model; defaults to the active one (brain-format.js)
    */
-  constructor(model = null) {
+  constructor(model = null, arquitetura = arquiteturaAtiva()) {
     if (model) {
       this.model = model;
     } else {
       this.model = tf.sequential();
-      // Input layer: 11 inputs (9 sensors + speed + angular velocity)
-      this.model.add(tf.layers.dense({ units: 18, inputShape: [11], activation: 'relu' }));
-      this.model.add(tf.layers.dense({ units: 10, activation: 'relu' }));
-      this.model.add(tf.layers.dense({ units: 2, activation: 'tanh' }));
+      arquitetura.camadas.forEach(({ unidades, ativacao }, i) => {
+        const config = { units: unidades, activation: ativacao };
+        if (i === 0) config.inputShape = [arquitetura.entradas];
+        this.model.add(tf.layers.dense(config));
+      });
+      this._inicializarPesos();
     }
   }
 
+  /** Layer sizes and activations, in the brain file's `arquitetura` format. */
+  descreverArquitetura() {
+    return {
+      entradas: this.model.inputs[0].shape[1],
+      camadas: this.model.layers.map(layer => {
+        const { units, activation } = layer.getConfig();
+        return { unidades: units, ativacao: activation };
+      }),
+    };
+  }
+
+  /**
+   * Replace TF's initial weights with seeded ones, using the same scheme TF
+   * uses by default: Glorot-uniform kernels and zero biases.
+   */
+  _inicializarPesos() {
+    const weights = this.model.getWeights();
+    const newWeights = weights.map(tensor => {
+      const vals = new Float32Array(tensor.size);
+      if (tensor.shape.length === 2) {
+        const [fanIn, fanOut] = tensor.shape;
+        const limit = Math.sqrt(6 / (fanIn + fanOut));
+        for (let i = 0; i < vals.length; i++) vals[i] = rng.entre(-limit, limit);
+      }
+      return tf.tensor(vals, tensor.shape);
+    });
+    this.model.setWeights(newWeights);
+    newWeights.forEach(t => t.dispose());
+  }
+
   // ── Inference ─────────────────────────────────────────────────────────────
 
   /**
-   * Forward-pass: given 9 sensor readings return [rotation, acceleration].
-   * @param {number[]} readings  Array of 9 numbers in [0, 1]
+   * Forward-pass: given the network inputs return [rotation, acceleration].
+   * @param {number[]} readings  Inputs in [0, 1] (see configEntradas)
    * @returns {Float32Array}     [rotation, acceleration]
    */
   pensar(readings) {
@@ -54,21 +91,25 @@ class Cerebro {
     const weights = this.model.getWeights();
     const newWeights = weights.map(w => w.clone());
     newModel.setWeights(newWeights);
-    return new Cerebro(newModel);
+    const copia = new Cerebro(newModel);
+    if (this.mutacao) copia.mutacao = { ...this.mutacao };   // self-adaptive rate and σ (mutation.js)
+    if (this.amostra !== undefined) copia.amostra = this.amostra;   // ES / CMA-ES sample index (optimizer.js)
+    return copia;
   }
 
   /**
    * In-place Gaussian mutation of all weights.
-   * @param {number} rate  Probability [0, 1] that each weight is mutated.
+   * @param {number} rate     Probability [0, 1] that each weight is mutated.
+   * @param {number} [sigma]  Std. dev. of the perturbation
    */
-  mutar(rate) {
+  mutar(rate, sigma = SIGMA_MUTACAO) {
     tf.tidy(() => {
       const weights = this.model.getWeights();
       const newWeights = weights.map(tensor => {
         const vals = tensor.dataSync().slice();
         for (let i = 0; i < vals.length; i++) {
-          if (Math.random() < rate) {
-            vals[i] += randn_bm() * 0.1; // soft Gaussian perturbation
+          if (rng.proximo() < rate) {
+            vals[i] += randn_bm() * sigma; // soft Gaussian perturbation
           }
         }
         return tf.tensor(vals, tensor.shape);
@@ -79,24 +120,17 @@ class Cerebro {
 
   /**
    * Crossover: create a new brain by mixing weights from this one and another.
-   * Simple arithmetic mean of weights (effectively "averaging" their traits).
    * @param {Cerebro} outro
+   * @param {string} [estrategia='uniforme']  Key of ESTRATEGIAS_CRUZAMENTO (selection.js)
    * @returns {Cerebro}
    */
-  cruzar(outro) {
+  cruzar(outro, estrategia = 'uniforme') {
     return tf.tidy(() => {
       const w1 = this.model.getWeights();
       const w2 = outro.model.getWeights();
-      const newWeights = w1.map((tensor, i) => {
-        const v1 = tensor.dataSync();
-        const v2 = w2[i].dataSync();
-        const combined = new Float32Array(v1.length);
-        for (let j = 0; j < v1.length; j++) {
-          // 50% chance to take from either parent (uniform crossover)
-          combined[j] = Math.random() < 0.5 ? v1[j] : v2[j];
-        }
-        return tf.tensor(combined, tensor.shape);
-      });
+      const filho = w1.map(tensor => Float32Array.from(tensor.dataSync()));
+      ESTRATEGIAS_CRUZAMENTO[estrategia].combinar(filho, w2.map(tensor => tensor.dataSync()));
+      const newWeights = filho.map((vals, i) => tf.tensor(vals, w1[i].shape));
 
       const novoModelo = tf.sequential();
       this.model.layers.forEach(layer => {
@@ -139,30 +173,12 @@ class Cerebro {
   }
 
   /**
-   * Save this brain to localStorage under the given key.
-   * @param {string} key
-   */
-  salvarEmLocalStorage(key = 'bestBrain') {
-    localStorage.setItem(key, JSON.stringify(this.exportarPesos()));
-  }
-
-  /**
-   * Load a saved brain from localStorage.
+   * Save this brain to localStorage under the given key, as a brain file.
    * @param {string} key
-   * @returns {Cerebro|null}  null if nothing is stored under key.
+   * @param {object} meta  Fitness settings and training metadata (see serializarCerebro)
    */
-  static carregarDeLocalStorage(key = 'bestBrain') {
-    const raw = localStorage.getItem(key);
-    if (!raw) return null;
-    try {
-      const brain = new Cerebro();
-      brain.importarPesos(JSON.parse(raw));
-      return brain;
-    } catch (e) {
-      console.warn("⚠️ Clearing incompatible brain from LocalStorage.");
-      // localStorage.removeItem(key); // optional: clear it
-      return null;
-    }
+  salvarEmLocalStorage(key = 'bestBrain', meta = {}) {
+    localStorage.setItem(key, JSON.stringify(serializarCerebro(this, meta)));
   }
 }
 
@@ -170,11 +186,11 @@ class Cerebro {
 
 /**
  * Box-Muller transform: returns a standard-normal random number.
- * Used for smooth weight mutation.
+ * Used for smooth weight mutation. Draws from the seeded run generator.
  */
 function randn_bm() {
   let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
+  while (u === 0) u = rng.proximo();
+  while (v === 0) v = rng.proximo();
   return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 }
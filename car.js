@@ -2,11 +2,193 @@
  * Car.js – Self-driving car agent
  * ────────────────────────────────
  * Each car has:
- *  • 9 distance sensors spread from -90° to +90° relative to heading
+ *  • Distance sensors at the angles of `configEntradas` (default: 9 rays
+ *    from -90° to +90° relative to heading, cast exactly through the tile
+ *    grid up to 200 px), plus optional extra inputs
  *  • A neural network (Cerebro) that maps sensor readings → [rotation, acceleration]
- *  • A fitness function combining speed, proximity-to-finish, and survival time
+ *  • Reward shaping and fitness from the active strategy (fitness.js)
  *  • Finish-line detection: big bonus + `finished` flag when crossing tile type 2
+ *  • Checkpoint gates & laps (tracks that define them): gates must be passed
+ *    in order before the finish counts; the run ends after voltasAtivas() laps
+ *  • Motion from the active vehicle model (arcade or realistic, see
+ *    MODELOS_FISICA) and swept collision of its whole body against the walls
+ *
+ * Only show() touches p5; everything else uses plain Math so the same class
+ * runs in the browser and in the headless trainer (train.js).
  */
+
+// Car body in pixels (drawn as a rounded rectangle, heading along the length)
+const CAR_LENGTH = 30;
+const CAR_WIDTH = 15;
+const CAR_RAIO = Math.hypot(CAR_LENGTH, CAR_WIDTH) / 2;   // centre to corner
+
+/**
+ * True if the car body — a CAR_LENGTH × CAR_WIDTH rectangle centred on
+ * (x, y), turned by `angle` — overlaps a wall tile or leaves the map.
+ * Separating-axis test against each wall tile under its bounding box.
+ * @param {number[][]} [grade]    Defaults to the active map
+ * @param {number}     [tamanho]  Tile size in pixels
+ */
+function corpoTocaParede(x, y, angle, grade = mapa, tamanho = tileSize) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const meioComprimento = CAR_LENGTH / 2;
+  const meioLargura = CAR_WIDTH / 2;
+  const ex = meioComprimento * Math.abs(cos) + meioLargura * Math.abs(sin);   // bounding box half extents
+  const ey = meioComprimento * Math.abs(sin) + meioLargura * Math.abs(cos);
+  const meioTile = tamanho / 2;
+  const raioTile = meioTile * (Math.abs(cos) + Math.abs(sin));   // a tile's half extent along either car axis
+
+  for (let row = Math.floor((y - ey) / tamanho); row <= Math.floor((y + ey) / tamanho); row++) {
+    for (let col = Math.floor((x - ex) / tamanho); col <= Math.floor((x + ex) / tamanho); col++) {
+      const fora = row < 0 || row >= grade.length || col < 0 || col >= grade[0].length;
+      if (!fora && grade[row][col] !== 1) continue;
+      const dx = (col + 0.5) * tamanho - x;
+      const dy = (row + 0.5) * tamanho - y;
+      if (Math.abs(dx) < ex + meioTile && Math.abs(dy) < ey + meioTile &&
+          Math.abs(dx * cos + dy * sin) < meioComprimento + raioTile &&
+          Math.abs(dy * cos - dx * sin) < meioLargura + raioTile) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// ── Vehicle model ──────────────────────────────────────────────────────────
+// How [rotation, throttle] moves the car. Sensors, walls and scoring are the
+// same under both; a population evolved under one rarely drives the other.
+const MODELOS_FISICA = {
+  arcade: {
+    nome: 'Arcade',
+    descricao: 'Turns at the same rate at any speed, even standing still, and coasts like on ice (the original handling).',
+  },
+  realista: {
+    nome: 'Realistic',
+    descricao: 'Turns only while rolling, with less steering lock the faster it goes; the tyres grip sideways until the car slides into a drift.',
+  },
+};
+
+// Realistic model (a bicycle model with a sideways grip limit), per frame
+const FISICA_REALISTA = {
+  entreEixos: 18,             // wheelbase (px): turn radius = entreEixos / tan(steering angle)
+  estercoMaximo: 0.6,         // steering lock at standstill (rad)
+  velocidadeEsterco: 3,       // speed at which the lock is halved (px/frame)
+  aceleracao: 0.35,           // throttle → forward speed
+  atrito: 0.95,               // forward speed kept each frame (rolling & air drag)
+  aderencia: 0.35,            // sideways speed the tyres cancel while gripping
+  aderenciaDeslizando: 0.12,  // … and once sliding
+  anguloDeslize: 0.25,        // slip angle (rad) between heading and motion where grip breaks
+};
+
+let modeloFisica = 'arcade';
+
+/** Switch the vehicle model new and running cars move with ('arcade' or 'realista'). */
+function definirModeloFisica(modelo) {
+  if (!(modelo in MODELOS_FISICA)) throw new Error(`Unknown vehicle model "${modelo}"`);
+  modeloFisica = modelo;
+}
+
+// ── Network inputs ─────────────────────────────────────────────────────────
+// What the brain sees: one input per sensor ray, then the extras in order.
+// Saved with every brain (brain-format.js); loading a brain restores its own.
+const EXTRAS_ENTRADA = {
+  velocidade: 'speed',                      // current speed / 5
+  rotacao: 'last steering',                 // previous rotation output, mapped to [0, 1]
+  direcaoAlvo: 'heading vs. road',          // angle from heading to the way the road distance falls / π, in [-1, 1]
+  distanciaAlvo: 'distance to target',      // road distance to the next gate or finish / the field's longest, in [0, 1]
+  velocidadeFrente: 'forward speed',        // velocity along the heading / 5 (negative when reversing)
+  velocidadeLateral: 'sideways speed',      // velocity across the heading / 5 (drift, + = to the right)
+};
+const ENTRADAS_PADRAO = {
+  sensores: [-90, -60, -40, -20, 0, 20, 40, 60, 90],  // ray angles, degrees from heading
+  alcance: 200,                                      // ray length (px)
+  passo: 0,                                          // 0 = exact grid raycast, else march in steps of this many px
+  extras: ['velocidade', 'rotacao'],
+};
+// Rays of files saved before range and step were settings: 200 px, 5 px steps
+const RAIOS_LEGADOS = { alcance: 200, passo: 5 };
+let configEntradas = copiaEntradas(ENTRADAS_PADRAO);
+
+/**
+ * Replace the input layout used by new cars (and new brains' input size).
+ * @param {{ sensores: number[], alcance?: number, passo?: number, extras: string[] }} spec
+ */
+function definirEntradas({ sensores, alcance = ENTRADAS_PADRAO.alcance, passo = ENTRADAS_PADRAO.passo, extras = [] }) {
+  if (!Array.isArray(sensores) || sensores.length === 0 || !sensores.every(Number.isFinite)) {
+    throw new Error('Sensor layout needs at least one ray angle');
+  }
+  if (!(alcance > 0) || !Number.isFinite(alcance)) throw new Error(`Invalid sensor range "${alcance}"`);
+  if (!(passo >= 0) || !Number.isFinite(passo)) throw new Error(`Invalid sensor step "${passo}"`);
+  const desconhecido = extras.find(e => !(e in EXTRAS_ENTRADA));
+  if (desconhecido) throw new Error(`Unknown extra input "${desconhecido}"`);
+  configEntradas = copiaEntradas({ sensores, alcance, passo, extras });
+}
+
+/** Independent copy of an input layout, keys in a fixed order (files compare them as JSON). */
+function copiaEntradas({ sensores, alcance, passo, extras }) {
+  return { sensores: sensores.slice(), alcance, passo, extras: extras.slice() };
+}
+
+/** Number of network inputs the current layout produces. */
+function totalEntradas() {
+  return configEntradas.sensores.length + configEntradas.extras.length;
+}
+
+/**
+ * Parse the text form used by ?sensors=, --sensors and the HUD: ray angles
+ * ("-90,-45,0,45,90") or a ray count spread evenly over an arc ("7x180";
+ * "12x360" goes all the way round, rear-facing rays included).
+ * @returns {number[]}  Angles in degrees from the heading
+ */
+function lerSensores(texto) {
+  const leque = texto.trim().match(/^(\d+)\s*x\s*(\d+(?:\.\d+)?)$/i);
+  if (!leque) return texto.split(',').map(Number);
+  const n = Number(leque[1]);
+  const arco = Math.min(Number(leque[2]), 360);
+  if (n < 1) throw new Error('Sensor layout needs at least one ray angle');
+  const angulos = arco >= 360
+    ? Array.from({ length: n }, (_, i) => ((i * 360 / n + 180) % 360) - 180)   // from straight ahead, all the way round
+    : Array.from({ length: n }, (_, i) => (n > 1 ? -arco / 2 + i * arco / (n - 1) : 0));
+  return angulos.map(a => Math.round(a * 100) / 100).sort((a, b) => a - b);
+}
+
+/**
+ * Distance from (x, y) along direction `ang` to the first wall tile or the
+ * map edge, capped at `alcance`. Walks the ray tile by tile (DDA), so the
+ * result is exact and costs one lookup per tile crossed.
+ */
+function raioAteParede(x, y, ang, alcance, grade = mapa, tamanho = tileSize) {
+  const dx = Math.cos(ang);
+  const dy = Math.sin(ang);
+  let col = Math.floor(x / tamanho);
+  let row = Math.floor(y / tamanho);
+  const passoCol = dx > 0 ? 1 : -1;
+  const passoRow = dy > 0 ? 1 : -1;
+  // Ray length per tile crossed, and to the first vertical / horizontal grid line.
+  // An axis-aligned ray never reaches the other axis' lines: Infinity, not the
+  // 0 / 0 = NaN a start on such a line would give (NaN never wins the comparison).
+  const deltaX = dx === 0 ? Infinity : Math.abs(tamanho / dx);
+  const deltaY = dy === 0 ? Infinity : Math.abs(tamanho / dy);
+  let proximoX = dx === 0 ? Infinity : (dx > 0 ? (col + 1) * tamanho - x : x - col * tamanho) / Math.abs(dx);
+  let proximoY = dy === 0 ? Infinity : (dy > 0 ? (row + 1) * tamanho - y : y - row * tamanho) / Math.abs(dy);
+
+  let d = 0;
+  while (d < alcance) {
+    if (row < 0 || row >= grade.length || col < 0 || col >= grade[0].length || grade[row][col] === 1) return d;
+    if (proximoX < proximoY) {
+      d = proximoX;
+      proximoX += deltaX;
+      col += passoCol;
+    } else {
+      d = proximoY;
+      proximoY += deltaY;
+      row += passoRow;
+    }
+  }
+  return alcance;
+}
+
 class Car {
   /**
    * @param {number}  x       Spawn X (pixels)
@@ -17,7 +199,7 @@ class Car {
     // ── Position & motion ────────────────────────────────────────────────
     this.x = x;
     this.y = y;
-    this.vel = createVector(0, 0);
+    this.vel = { x: 0, y: 0 };
     this.angle = 0;
 
     // ── Status ───────────────────────────────────────────────────────────
@@ -25,129 +207,169 @@ class Car {
     this.finished = false;  // true once the car crosses the finish line
 
     // ── Neural network ───────────────────────────────────────────────────
-    this.brain = brain ? brain.copiaCerebro() : new Cerebro();
+    this.brain = brain ? brain.copiaCerebro() : novoCerebro();
 
     // ── Sensors (angles in radians, relative to heading) ─────────────────
-    this.sensors = [
-      radians(-90), radians(-60), radians(-40), radians(-20),
-      0,
-      radians(20), radians(40), radians(60), radians(90),
-    ];
-    this.readings = new Array(this.sensors.length).fill(200);
+    this.sensors = configEntradas.sensores.map(deg => deg * Math.PI / 180);
+    this.alcance = configEntradas.alcance;
+    this.passo = configEntradas.passo;
+    this.readings = new Array(this.sensors.length).fill(this.alcance);
 
     // ── Fitness metrics ──────────────────────────────────────────────────
     this.score = 0;
     this.distanceTravelled = 0;
-    this.lastPosition = createVector(x, y);
+    this.lastPosition = { x, y };
     this.accumulatedSpeed = 0;
     this.framesAlive = 0;
     this.idleFrames = 0;   // frames without meaningful movement
     this.collisions = 0;
-
-    // ── Distance-to-finish (BFS, cached) ────────────────────────────────
-    this._finishCache = null;           // finish tile positions
-    this._distanceCache = new Map();      // cell-key → BFS distance
-
-    this.distToFinish = this._bfsDistanceToFinish();
+    this.variacaoDirecao = 0;  // sum of |Δ steering output| (smoothness)
+
+    // ── Checkpoints & laps ───────────────────────────────────────────────
+    this.proximoCheckpoint = 0;     // gate to pass next (== gate count → finish)
+    this.checkpointsPassados = 0;   // all gates passed, across laps
+    this.voltasCompletas = 0;
+    this.inicioVolta = 0;           // framesAlive when the current lap started
+    this.temposVolta = [];          // frames per completed lap
+    this.melhorVolta = Infinity;
+
+    // ── Distance to next target (shared per-map field, see track.js) ────
+    this.distToFinish = distanciaAteChegada(this.x, this.y, this._alvoAtual());
     this.bestDist = this.distToFinish;
   }
 
   // ── Update ──────────────────────────────────────────────────────────────
   update() {
     if (!this.alive) return;
+    this.aplicarDecisao(this.brain.pensar(this.prepararEntradas()));
+  }
 
+  /**
+   * First half of update(): read the sensors and build the network inputs.
+   * Split out so a whole population can be thought through in one batch
+   * (see atualizarPopulacao in evolution.js).
+   * @returns {number[]}  One value per sensor, then the extras (see configEntradas)
+   */
+  prepararEntradas() {
     // Distance travelled this frame
-    const dFrame = dist(this.x, this.y, this.lastPosition.x, this.lastPosition.y);
+    const dFrame = Math.hypot(this.x - this.lastPosition.x, this.y - this.lastPosition.y);
     this.distanceTravelled += dFrame;
-    this.lastPosition.set(this.x, this.y);
+    this.lastPosition.x = this.x;
+    this.lastPosition.y = this.y;
 
     // Sensor readings
     this.readings = this.sensors.map(offset => this._sensorReading(offset));
 
-    // Neural network decision
-    // Inputs: 9 sensors + current linear speed + current angular velocity (rotation delta)
-    const normalizedSpeed = map(this.vel.mag(), 0, 5, 0, 1);
-
     // We'll store the last rotation output to feed it back as state
     this.lastRot = this.lastRot || 0;
 
-    const sensorInputs = this.readings.map(v => map(v, 0, 200, 1, 0));
-    const inputs = [...sensorInputs, normalizedSpeed, map(this.lastRot, -1, 1, 0, 1)];
+    return this.entradasAtuais();
+  }
 
-    const [rot, throttle] = this.brain.pensar(inputs);
-    this.lastRot = rot; // store for next frame
+  /**
+   * The network inputs for the current sensor readings and motion, without
+   * touching any state (the network visualizer reads them too).
+   * @returns {number[]}  One value per sensor, then the extras (see configEntradas)
+   */
+  entradasAtuais() {
+    // Inputs: sensors (1 = wall close, 0 = clear), then the enabled extras
+    const entradas = this.readings.map(v => 1 - v / this.alcance);
+    for (const extra of configEntradas.extras) entradas.push(this._valorExtra(extra));
+    return entradas;
+  }
 
-    this.angle += rot * 0.12; // slightly more responsive steering
-    this.vel.add(p5.Vector.fromAngle(this.angle).mult(throttle * 0.35)); // slightly more acceleration
+  /** Value of one extra input (see EXTRAS_ENTRADA). */
+  _valorExtra(extra) {
+    const cos = Math.cos(this.angle);
+    const sin = Math.sin(this.angle);
+    switch (extra) {
+      case 'velocidade': return Math.hypot(this.vel.x, this.vel.y) / 5;
+      case 'rotacao': return ((this.lastRot || 0) + 1) / 2;
+      case 'velocidadeFrente': return (this.vel.x * cos + this.vel.y * sin) / 5;
+      case 'velocidadeLateral': return (this.vel.y * cos - this.vel.x * sin) / 5;
+      case 'distanciaAlvo': return Math.min(1, this.distToFinish / Math.max(1, obterCampoDistancia(this._alvoAtual()).maximo));
+      case 'direcaoAlvo': {
+        const direcao = direcaoAteChegada(this.x, this.y, this._alvoAtual());
+        if (direcao === null) return 0;
+        const diferenca = direcao - this.angle;
+        return Math.atan2(Math.sin(diferenca), Math.cos(diferenca)) / Math.PI;
+      }
+    }
+  }
 
-    // Apply friction & move
-    this.vel.mult(0.95);
-    this.x += this.vel.x;
-    this.y += this.vel.y;
+  /**
+   * Second half of update(): apply the network output, move, and score.
+   * @param {ArrayLike<number>} output  [rotation, throttle]
+   */
+  aplicarDecisao([rot, throttle]) {
+    const p = fitnessConfig.pesos;
+    this.variacaoDirecao += Math.abs(rot - this.lastRot);
+    this.lastRot = rot; // store for next frame
+
+    const antes = { x: this.x, y: this.y, angle: this.angle };
+    if (modeloFisica === 'realista') this._moverRealista(rot, throttle);
+    else this._moverArcade(rot, throttle);
+    const bateu = this._varrerColisao(antes);
     this.framesAlive++;
 
     // Idle penalisation
-    if (this.vel.mag() < 0.1) this.idleFrames++;
+    const speed = Math.hypot(this.vel.x, this.vel.y);
+    if (speed < 0.1) this.idleFrames++;
     else this.idleFrames = 0;
     if (this.idleFrames > 300) {       // ~5 s standing still
       this.alive = false;
-      this.score -= 100;
+      this.score -= p.parado;
       return;
     }
 
     // Speed bonus
-    const speed = this.vel.mag();
     this.accumulatedSpeed += speed;
-    if (speed > 1.5) this.score += speed * 0.2;
-    else if (speed > 0.5) this.score += speed * 0.15;
+    if (speed > p.limiteVelocidadeAlta) this.score += speed * p.bonusVelocidadeAlta;
+    else if (speed > p.limiteVelocidadeBaixa) this.score += speed * p.bonusVelocidadeBaixa;
 
-    // Progress-toward-finish bonus (BFS-aware, handles walls)
+    // Progress-toward-target bonus (road distance to next gate or finish)
     const prevDist = this.distToFinish;
-    this.distToFinish = this._bfsDistanceToFinish();
+    this.distToFinish = distanciaAteChegada(this.x, this.y, this._alvoAtual());
     if (this.distToFinish < prevDist) {
-      this.score += (prevDist - this.distToFinish) * 0.3;
+      this.score += (prevDist - this.distToFinish) * p.progresso;
     }
     if (this.distToFinish < this.bestDist) this.bestDist = this.distToFinish;
 
-    // ── Finish-line detection ────────────────────────────────────────────
-    if (!this.finished) {
-      const col = floor(this.x / tileSize);
-      const row = floor(this.y / tileSize);
+    // ── Checkpoint gates (in order) ──────────────────────────────────────
+    const gates = checkpointsAtivos();
+    if (this.proximoCheckpoint < gates.length &&
+        dentroDoCheckpoint(this.x, this.y, gates[this.proximoCheckpoint])) {
+      this.proximoCheckpoint++;
+      this.checkpointsPassados++;
+      this.score += p.checkpoint;
+      this._novoAlvo();
+    }
+
+    // ── Finish-line detection (only once every gate of the lap is passed) ─
+    if (!this.finished && this.proximoCheckpoint === gates.length) {
+      const col = Math.floor(this.x / tileSize);
+      const row = Math.floor(this.y / tileSize);
       if (
         row >= 0 && row < mapa.length &&
         col >= 0 && col < mapa[0].length &&
         mapa[row][col] === 2
       ) {
-        this.finished = true;
-        this.score += 2000;  // big bonus for finishing
-        this.alive = false; // stop — mission accomplished
+        this._completarVolta();
       }
     }
 
-    // ── Collision detection ──────────────────────────────────────────────
-    if (this._hasCollided()) {
+    // ── Collision (found while moving, see _varrerColisao) ───────────────
+    if (bateu) {
       this.collisions++;
-      this.score -= 100; // heavier penalty
+      this.score -= p.batida;
       if (this.collisions >= 1) this.alive = false; // stricter: 1 collision and you're out
     }
   }
 
   // ── Fitness ─────────────────────────────────────────────────────────────
+  /** Final fitness under the active strategy (see fitness.js). */
   calcularFitness() {
-    let fitness = this.score;
-    if (!this.alive && !this.finished) fitness *= 0.5; // heavier penalty for dying
-
-    const avgSpeed = this.accumulatedSpeed / Math.max(1, this.framesAlive);
-    fitness += (this.framesAlive * 0.05) + (avgSpeed * 60);
-
-    // Reward progress more aggressively
-    const progress = Math.max(0, (1200 - this.bestDist));
-    fitness += progress * 0.5;
-
-    // Smoother driving bonus (less idle frames, more consistent movement)
-    if (this.finished) fitness += 1000;
-
-    return Math.max(0, fitness);
+    return avaliarFitness(this);
   }
 
   // ── Rendering ────────────────────────────────────────────────────────────
@@ -166,7 +388,7 @@ class Car {
         const d = this.readings[i];
 
         // Color-code: red = close to wall, green = clear ahead
-        const t = d / 200; // 0 = wall, 1 = clear
+        const t = d / (this.alcance || 200); // 0 = wall, 1 = clear
         stroke(lerpColor(color(255, 60, 60, 160), color(60, 230, 100, 80), t));
         strokeWeight(isLeader ? 1.5 : 0.8);
         line(0, 0, cos(ang) * d, sin(ang) * d);
@@ -190,7 +412,7 @@ class Car {
     }
 
     rectMode(CENTER);
-    rect(0, 0, 30, 15, 3);            // slightly rounded car rectangle
+    rect(0, 0, CAR_LENGTH, CAR_WIDTH, 3); // slightly rounded car rectangle
 
     // Direction indicator (small triangle at front)
     if (isLeader && this.alive) {
@@ -205,115 +427,142 @@ class Car {
   reset(x, y) {
     this.x = x;
     this.y = y;
-    this.vel.set(0, 0);
+    this.vel.x = 0;
+    this.vel.y = 0;
     this.angle = 0;
     this.alive = true;
     this.finished = false;
     this.score = 0;
     this.distanceTravelled = 0;
-    this.lastPosition.set(x, y);
+    this.lastPosition.x = x;
+    this.lastPosition.y = y;
     this.accumulatedSpeed = 0;
     this.framesAlive = 0;
     this.collisions = 0;
     this.idleFrames = 0;
-    this._distanceCache.clear();
-    this.distToFinish = this._bfsDistanceToFinish();
-    this.bestDist = this.distToFinish;
+    this.variacaoDirecao = 0;
+    this.lastRot = 0;
+    this.proximoCheckpoint = 0;
+    this.checkpointsPassados = 0;
+    this.voltasCompletas = 0;
+    this.inicioVolta = 0;
+    this.temposVolta = [];
+    this.melhorVolta = Infinity;
+    this._novoAlvo();
   }
 
   // ── Private helpers ───────────────────────────────────────────────────────
 
-  /** Cast a single ray and return distance to nearest wall (max 200 px). */
-  _sensorReading(offset) {
-    const ang = this.angle + offset;
-    for (let d = 0; d < 200; d += 5) {
-      const px = this.x + cos(ang) * d;
-      const py = this.y + sin(ang) * d;
-      const row = floor(py / tileSize);
-      const col = floor(px / tileSize);
-      if (row < 0 || row >= mapa.length || col < 0 || col >= mapa[0].length) return d;
-      if (mapa[row][col] === 1) return d;
-    }
-    return 200;
+  /** Distance-field target: index of the next gate, or -1 for the finish. */
+  _alvoAtual() {
+    return this.proximoCheckpoint < checkpointsAtivos().length ? this.proximoCheckpoint : -1;
   }
 
-  /** True if the car's current tile is a wall or out of bounds. */
-  _hasCollided() {
-    const row = floor(this.y / tileSize);
-    const col = floor(this.x / tileSize);
-    if (row < 0 || row >= mapa.length || col < 0 || col >= mapa[0].length) return true;
-    return mapa[row][col] === 1;
+  /** Start measuring progress toward the (new) current target. */
+  _novoAlvo() {
+    this.distToFinish = distanciaAteChegada(this.x, this.y, this._alvoAtual());
+    this.bestDist = this.distToFinish;
   }
 
-  /** BFS distance (in pixels) from current tile to any finish tile. */
-  _bfsDistanceToFinish() {
-    const col = floor(this.x / tileSize);
-    const row = floor(this.y / tileSize);
-    const key = `${col},${row}`;
-
-    if (this._distanceCache.has(key)) return this._distanceCache.get(key);
-
-    const start = createVector(col, row);
-    const targets = this._finishTiles();
-    if (targets.length === 0) return 9999;
-
-    const dist_ = this._bfs(start, targets);
-
-    // Keep cache bounded
-    this._distanceCache.set(key, dist_);
-    if (this._distanceCache.size > 100) {
-      const first = this._distanceCache.keys().next().value;
-      this._distanceCache.delete(first);
+  /** Finish line crossed with every gate passed: record the lap, maybe stop. */
+  _completarVolta() {
+    const tempo = this.framesAlive - this.inicioVolta;
+    this.temposVolta.push(tempo);
+    this.melhorVolta = Math.min(this.melhorVolta, tempo);
+    this.voltasCompletas++;
+
+    if (this.voltasCompletas >= voltasAtivas()) {
+      this.finished = true;
+      this.score += fitnessConfig.pesos.chegada;  // big bonus for finishing
+      this.alive = false; // stop — mission accomplished
+    } else {
+      this.score += fitnessConfig.pesos.volta;  // lap bonus, then go round again
+      this.proximoCheckpoint = 0;
+      this.inicioVolta = this.framesAlive;
+      this._novoAlvo();
     }
-    return dist_;
   }
 
-  /** Returns (and caches) all tile positions where mapa value === 2. */
-  _finishTiles() {
-    if (!this._finishCache) {
-      this._finishCache = [];
-      for (let r = 0; r < mapa.length; r++) {
-        for (let c = 0; c < mapa[r].length; c++) {
-          if (mapa[r][c] === 2) this._finishCache.push(createVector(c, r));
-        }
-      }
+  /** Cast a single ray and return distance to nearest wall (max this.alcance px). */
+  _sensorReading(offset) {
+    const ang = this.angle + offset;
+    if (this.passo === 0) return raioAteParede(this.x, this.y, ang, this.alcance);
+
+    // Marching in fixed steps: overshoots walls by up to a step, and can miss a corner
+    for (let d = 0; d < this.alcance; d += this.passo) {
+      const px = this.x + Math.cos(ang) * d;
+      const py = this.y + Math.sin(ang) * d;
+      const row = Math.floor(py / tileSize);
+      const col = Math.floor(px / tileSize);
+      if (row < 0 || row >= mapa.length || col < 0 || col >= mapa[0].length) return d;
+      if (mapa[row][col] === 1) return d;
     }
-    return this._finishCache;
+    return this.alcance;
   }
 
-  /** BFS on tile grid; returns shortest path length × tileSize, or 9999. */
-  _bfs(start, targets) {
-    // Quick check: already at a target tile?
-    for (const t of targets) {
-      if (start.x === t.x && start.y === t.y) return 0;
-    }
-
-    const visited = new Set([`${start.x},${start.y}`]);
-    const queue = [{ pos: start, steps: 0 }];
-    const dirs = [createVector(0, -1), createVector(1, 0), createVector(0, 1), createVector(-1, 0)];
+  /** The original handling: steering at a fixed rate, velocity that only decays. */
+  _moverArcade(rot, throttle) {
+    this.angle += rot * 0.12; // slightly more responsive steering
+    this.vel.x += Math.cos(this.angle) * throttle * 0.35; // slightly more acceleration
+    this.vel.y += Math.sin(this.angle) * throttle * 0.35;
 
-    while (queue.length > 0) {
-      const { pos, steps } = queue.shift();
+    // Apply friction & move
+    this.vel.x *= 0.95;
+    this.vel.y *= 0.95;
+    this.x += this.vel.x;
+    this.y += this.vel.y;
+  }
 
-      for (const t of targets) {
-        if (pos.x === t.x && pos.y === t.y) return steps * tileSize;
-      }
+  /** Bicycle model with a sideways grip limit (FISICA_REALISTA). */
+  _moverRealista(rot, throttle) {
+    const f = FISICA_REALISTA;
+
+    // Yaw from the rolling speed and a steering lock that shrinks with speed
+    const speed = Math.hypot(this.vel.x, this.vel.y);
+    const esterco = rot * f.estercoMaximo / (1 + speed / f.velocidadeEsterco);
+    const rolando = this.vel.x * Math.cos(this.angle) + this.vel.y * Math.sin(this.angle);
+    this.angle += rolando * Math.tan(esterco) / f.entreEixos;
+
+    // Velocity along and across the new heading: the car keeps moving the old way
+    const cos = Math.cos(this.angle);
+    const sin = Math.sin(this.angle);
+    let frente = this.vel.x * cos + this.vel.y * sin;
+    let lado = this.vel.y * cos - this.vel.x * sin;
+    frente = (frente + throttle * f.aceleracao) * f.atrito;
+
+    // Tyres cancel sideways motion up to their grip; past the slip angle they slide
+    const deslizando = Math.atan2(Math.abs(lado), Math.abs(frente)) > f.anguloDeslize;
+    const aderencia = deslizando ? f.aderenciaDeslizando : f.aderencia;
+    lado = Math.sign(lado) * Math.max(0, Math.abs(lado) - aderencia);
+
+    this.vel.x = frente * cos - lado * sin;
+    this.vel.y = frente * sin + lado * cos;
+    this.x += this.vel.x;
+    this.y += this.vel.y;
+  }
 
-      for (const d of dirs) {
-        const np = createVector(pos.x + d.x, pos.y + d.y);
-        const nk = `${np.x},${np.y}`;
-        if (!visited.has(nk) && this._tileWalkable(np)) {
-          visited.add(nk);
-          queue.push({ pos: np, steps: steps + 1 });
-        }
+  /**
+   * Swept collision from pose `antes` to the current one: the body is tested
+   * at sub-steps no corner moves more than half a tile between, so a fast car
+   * can't jump a thin wall. On a hit the car is left at the first touching pose.
+   * @returns {boolean}  true if the body touched a wall or left the map
+   */
+  _varrerColisao(antes) {
+    const depois = { x: this.x, y: this.y, angle: this.angle };
+    const desvio = Math.hypot(depois.x - antes.x, depois.y - antes.y) + Math.abs(depois.angle - antes.angle) * CAR_RAIO;
+    const passos = Math.max(1, Math.ceil(desvio / (tileSize / 2)));
+    for (let i = 1; i <= passos; i++) {
+      const t = i / passos;
+      const x = antes.x + (depois.x - antes.x) * t;
+      const y = antes.y + (depois.y - antes.y) * t;
+      const angle = antes.angle + (depois.angle - antes.angle) * t;
+      if (corpoTocaParede(x, y, angle)) {
+        this.x = x;
+        this.y = y;
+        this.angle = angle;
+        return true;
       }
     }
-    return 9999;
-  }
-
-  /** A tile is walkable if it's road (0), spawn (3), or finish (2). */
-  _tileWalkable(pos) {
-    if (pos.y < 0 || pos.y >= mapa.length || pos.x < 0 || pos.x >= mapa[0].length) return false;
-    return mapa[pos.y][pos.x] !== 1;
+    return false;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,183 @@
+/**
+ * checkpoint.js – Save and resume a whole run (no p5, no DOM)
+ * ────────────────────────────────────────────────────────────
+ * A checkpoint is taken between two generations and holds everything the next
+ * one depends on, so resuming continues exactly as if the run never stopped
+ * (same seed, same maps → the same stats as an uninterrupted run):
+ *
+ *   {
+ *     checkpoint: 1,                         // FORMATO_CHECKPOINT
+ *     salvoEm, geracao,                      // geracao = next generation to run
+ *     contadores: { bestScoreEver, totalFinished, bestLapEver },
+ *     rng: { semente, estado },
+ *     estagnacao: { recorde, semMelhora, nivel, reforco, pendente },   // stall tracker (mutation.js)
+ *     otimizador: { otimizador, config, formas, estado },   // ES / CMA-ES distribution (optimizer.js), or null
+ *     config: { backend, arquitetura, entradas, fitness, selecao, mutacao, otimizador, distancia, fisica,
+ *               pistas, nivel },
+ *     pistas: [{ nome, tileSize, mapa, dificuldade, checkpoints, voltas }],
+ *     pistaAtiva,
+ *     elite: [{ pesos, fitness, mutacao }],  // eliteBrains, best first (mutacao: self-adaptive runs)
+ *     neat,                                  // CerebroNEAT.exportarRegistro() (NEAT runs only)
+ *     historico: [...],                      // per-generation history (history.js)
+ *     interface: { … },                      // page-only settings, e.g. { fps }
+ *   }
+ *
+ * Shared by sketch.js (automatic checkpoints in IndexedDB, export/import as a
+ * file) and train.js (--checkpoint-every / --resume).
+ */
+
+const FORMATO_CHECKPOINT = 1;
+
+/**
+ * Snapshot the run. Call after a generation was evaluated, before the next
+ * one is bred.
+ * @param {object}     estado
+ * @param {number}     estado.generation     Next generation to run
+ * @param {object[]}   estado.eliteBrains    Elite pool (each with its `fitness`)
+ * @param {number}     estado.bestScoreEver
+ * @param {number}     estado.totalFinished
+ * @param {number}     estado.bestLapEver
+ * @param {Curriculo}  estado.curriculo
+ * @param {object[]}   [estado.historico]    Per-generation history (history.js)
+ * @param {object}     [estado.interface]    Extra page settings, returned as-is on restore
+ * @returns {object}
+ */
+function capturarCheckpoint({ generation, eliteBrains, bestScoreEver, totalFinished, bestLapEver, curriculo,
+  historico = [], interface: ui = {} }) {
+  return {
+    checkpoint: FORMATO_CHECKPOINT,
+    salvoEm: new Date().toISOString(),
+    geracao: generation,
+    contadores: { bestScoreEver, totalFinished, bestLapEver: bestLapEver === Infinity ? null : bestLapEver },
+    rng: { semente: rng.semente, estado: rng.estado },
+    estagnacao: capturarEstagnacao(),
+    otimizador: capturarOtimizador(),
+    config: {
+      backend: brainBackend,
+      arquitetura: arquiteturaRede.map(c => ({ ...c })),
+      entradas: copiaEntradas(configEntradas),
+      fitness: fitnessConfig,
+      selecao: { ...selecaoConfig },
+      mutacao: { ...mutacaoConfig, respostas: mutacaoConfig.respostas.slice() },
+      otimizador: { ...otimizadorConfig },
+      distancia: distanceMode,
+      fisica: modeloFisica,
+      pistas: { ...curriculo.config },
+      nivel: curriculo.nivel,
+    },
+    pistas: pistas.map(p => ({
+      nome: p.nome,
+      tileSize: p.tileSize,
+      mapa: p.mapa.map(row => Array.from(row, v => v || 0)),
+      dificuldade: p.dificuldade,
+      checkpoints: p.checkpoints,
+      voltas: p.voltas,
+    })),
+    pistaAtiva: pistaAtiva.nome,
+    elite: eliteBrains.map(b => ({ pesos: b.exportarPesos(), fitness: b.fitness, mutacao: b.mutacao })),
+    neat: brainBackend === 'neat' ? CerebroNEAT.exportarRegistro() : null,
+    historico: historico.slice(),
+    interface: ui,
+  };
+}
+
+/**
+ * Put the simulation back in a checkpoint's state: settings, tracks (edited
+ * maps included; tracks this page doesn't have are registered), RNG and the
+ * NEAT registry. The caller takes over the returned run state.
+ * @param {object} dados  A parsed checkpoint
+ * @returns {{ generation: number, eliteBrains: object[], bestScoreEver: number,
+ *            totalFinished: number, bestLapEver: number,
+ *            curriculo: { config: object, nivel: number }, historico: object[], interface: object }}
+ */
+function restaurarCheckpoint(dados) {
+  if (!dados || !dados.checkpoint) throw new Error('Not a run checkpoint');
+  if (dados.checkpoint > FORMATO_CHECKPOINT) {
+    throw new Error(`Checkpoint format ${dados.checkpoint} is newer than this version supports (${FORMATO_CHECKPOINT})`);
+  }
+  const { config } = dados;
+
+  brainBackend = config.backend;
+  definirArquitetura(config.arquitetura);
+  definirEntradas({ ...RAIOS_LEGADOS, ...config.entradas });
+  definirFitness(config.fitness.estrategia, config.fitness.pesos);
+  definirSelecao(config.selecao);   // older checkpoints: the defaults, which bred the same way
+  definirMutacao(config.mutacao);   // older checkpoints: the defaults, with a clean stall tracker
+  definirOtimizador(config.otimizador);   // older checkpoints: the genetic algorithm
+  definirModoDistancia(config.distancia);
+  definirModeloFisica(config.fisica || 'arcade');
+
+  for (const salva of dados.pistas) {
+    const pista = pistas.find(p => p.nome === salva.nome) ||
+      registrarPista(salva.nome, salva.tileSize, salva.mapa, salva.dificuldade);
+    Object.assign(pista, salva);
+  }
+  pistas.sort((a, b) => a.dificuldade - b.dificuldade);
+  ativarPista(pistas.find(p => p.nome === dados.pistaAtiva) || pistas[0]);
+
+  reiniciarBackend();
+  if (dados.neat) CerebroNEAT.importarRegistro(dados.neat);
+  const tipo = config.backend === 'neat' ? 'neat' : 'denso';
+  const eliteBrains = dados.elite.map(({ pesos, fitness, mutacao }) => {
+    const brain = construirCerebro({ tipo, arquitetura: arquiteturaAtiva(), pesos });
+    brain.fitness = fitness;
+    if (mutacao) brain.mutacao = mutacao;
+    return brain;
+  });
+
+  rng.semente = dados.rng.semente;
+  rng.estado = dados.rng.estado;
+  restaurarEstagnacao(dados.estagnacao);
+  restaurarOtimizador(dados.otimizador);
+
+  const { bestScoreEver, totalFinished, bestLapEver } = dados.contadores;
+  return {
+    generation: dados.geracao,
+    eliteBrains,
+    bestScoreEver,
+    totalFinished,
+    bestLapEver: bestLapEver === null ? Infinity : bestLapEver,
+    curriculo: { config: config.pistas, nivel: config.nivel },
+    historico: dados.historico || [],
+    interface: dados.interface || {},
+  };
+}
+
+// ── IndexedDB (browser only) ───────────────────────────────────────────────
+// localStorage is too small for a population of brains plus maps, so the page
+// keeps its latest checkpoint in IndexedDB. All of these return Promises.
+
+const CHECKPOINT_DB = { nome: 'neuroevolucao', versao: 1, loja: 'checkpoints', chave: 'ultimo' };
+
+function abrirBancoCheckpoints() {
+  return new Promise((resolve, reject) => {
+    const pedido = indexedDB.open(CHECKPOINT_DB.nome, CHECKPOINT_DB.versao);
+    pedido.onupgradeneeded = () => pedido.result.createObjectStore(CHECKPOINT_DB.loja);
+    pedido.onsuccess = () => resolve(pedido.result);
+    pedido.onerror = () => reject(pedido.error);
+  });
+}
+
+/** Run `operacao(store)` in a transaction and resolve with its request's result. */
+async function transacaoCheckpoint(modo, operacao) {
+  const db = await abrirBancoCheckpoints();
+  try {
+    return await new Promise((resolve, reject) => {
+      const pedido = operacao(db.transaction(CHECKPOINT_DB.loja, modo).objectStore(CHECKPOINT_DB.loja));
+      pedido.onsuccess = () => resolve(pedido.result);
+      pedido.onerror = () => reject(pedido.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/** Store `dados` as the latest checkpoint (replacing the previous one). */
+function gravarCheckpointLocal(dados) {
+  return transacaoCheckpoint('readwrite', loja => loja.put(dados, CHECKPOINT_DB.chave));
+}
+
+/** @returns {Promise<object|null>}  The latest checkpoint, or null */
+async function lerCheckpointLocal() {
+  return (await transacaoCheckpoint('readonly', loja => loja.get(CHECKPOINT_DB.chave))) || null;
+}
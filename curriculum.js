@@ -0,0 +1,100 @@
+/**
+ * curriculum.js – Multi-track evaluation and training curriculum
+ * ──────────────────────────────────────────────────────────────
+ * A generation is evaluated in one *round* per scheduled track: the same
+ * brains drive every track, and their per-track fitness is combined into a
+ * single score for selection. With only mapa_gerado.js registered this is
+ * one round with the plain Car.calcularFitness() score, as before.
+ *
+ * Curriculum mode starts on the easiest track and unlocks the next one (by
+ * `dificuldade`) once enough cars finish every track of a generation.
+ */
+
+// ── Multi-track parameters ─────────────────────────────────────────────────
+const TRACK_CONFIG = {
+  modo: 'todas',        // 'todas' = every active track each generation, 'rotativo' = rotating subset
+  subconjunto: 2,       // tracks per generation in 'rotativo' mode
+  agregacao: 'media',   // 'media' = mean fitness across tracks, 'pior' = worst-case
+  curriculo: false,     // unlock tracks one at a time
+  metaConclusao: 0.3,   // fraction of cars that must finish each track to unlock the next
+};
+
+class Curriculo {
+  /**
+   * @param {object[]} listaPistas  Track registry (track.js `pistas`)
+   * @param {object}   config       Overrides for TRACK_CONFIG
+   */
+  constructor(listaPistas, config = {}) {
+    this.pistas = listaPistas;
+    this.config = { ...TRACK_CONFIG, ...config };
+    this.nivel = 1;          // tracks unlocked in curriculum mode
+    this.rodadas = [];       // tracks scheduled for the current generation
+    this.resultados = [];    // { pista, fitness: number[], finished: number }
+  }
+
+  /** Tracks currently available for evaluation. */
+  pistasAtivas() {
+    return this.config.curriculo ? this.pistas.slice(0, this.nivel) : this.pistas;
+  }
+
+  /**
+   * Schedule the rounds of a generation.
+   * @param {number} generation
+   * @returns {object[]}  Tracks to run, in order
+   */
+  iniciarGeracao(generation) {
+    const ativas = this.pistasAtivas();
+    if (this.config.modo === 'rotativo' && ativas.length > this.config.subconjunto) {
+      const n = this.config.subconjunto;
+      const inicio = ((generation - 1) * n) % ativas.length;
+      this.rodadas = Array.from({ length: n }, (_, i) => ativas[(inicio + i) % ativas.length]);
+    } else {
+      this.rodadas = ativas.slice();
+    }
+    this.resultados = [];
+    return this.rodadas;
+  }
+
+  /** The track of the next round still to run, or null when the generation is done. */
+  proximaRodada() {
+    return this.rodadas[this.resultados.length] || null;
+  }
+
+  /**
+   * Record a finished round. `population[i]` must drive the generation's i-th brain.
+   * @param {Car[]} population
+   * @returns {number}  Cars that finished this track
+   */
+  registrarRodada(population) {
+    const finished = population.filter(c => c.finished).length;
+    this.resultados.push({
+      pista: this.proximaRodada(),
+      fitness: population.map(c => c.calcularFitness()),
+      finished,
+    });
+    return finished;
+  }
+
+  /**
+   * Combine the rounds into one fitness per brain and, in curriculum mode,
+   * unlock the next track when every round met the finish target.
+   * @returns {{ fitness: number[], desbloqueada: object|null }}
+   */
+  concluirGeracao() {
+    const n = this.resultados[0].fitness.length;
+    const fitness = Array.from({ length: n }, (_, i) => {
+      const scores = this.resultados.map(r => r.fitness[i]);
+      return this.config.agregacao === 'pior'
+        ? Math.min(...scores)
+        : scores.reduce((a, b) => a + b, 0) / scores.length;
+    });
+
+    let desbloqueada = null;
+    const meta = this.resultados.every(r => r.finished / n >= this.config.metaConclusao);
+    if (this.config.curriculo && meta && this.nivel < this.pistas.length) {
+      desbloqueada = this.pistas[this.nivel];
+      this.nivel++;
+    }
+    return { fitness, desbloqueada };
+  }
+}
@@ -0,0 +1,325 @@
+/**
+ * editor.js – In-browser track editor (p5.js + DOM)
+ * ──────────────────────────────────────────────────
+ * Paints the active track's tiles directly on the canvas, using the same
+ * encoding drawMap() renders: 0 = road, 1 = wall, 2 = finish, 3 = spawn.
+ *
+ * While editing, the simulation is paused and a working copy of the grid is
+ * edited. Applying swaps it into the running simulation via ativarPista(),
+ * which re-detects spawn & finish and rebuilds the distance field, then
+ * restarts the current round.
+ *
+ * Keyboard (edit mode only):
+ *   0–3       →  select road / wall / finish / spawn
+ *   F         →  toggle flood-fill tool
+ *   [ / ]     →  shrink / grow brush
+ *   Ctrl+Z/Y  →  undo / redo
+ *   E         →  apply & leave edit mode (also enters it)
+ *
+ * Dropping an image anywhere on the page converts it with pista.js and loads
+ * it live (into the editor when it is open, otherwise straight into the run).
+ */
+
+const EDITOR_STORAGE_KEY = 'mapaEditado';
+const EDITOR_MAX_UNDO = 50;
+const NOMES_TILE = ['road', 'wall', 'finish', 'spawn'];
+
+let editorAtivo = false;
+const editor = {
+  grade: null,        // working copy of the grid
+  tileSize: null,     // its tile size in pixels (shown at the active track's scale)
+  tile: 1,            // tile value being painted
+  pincel: 1,          // brush size in tiles (square)
+  preencher: false,   // flood-fill tool instead of brush
+  desfazer: [],       // { grade, tileSize } snapshots for undo
+  refazer: [],        // { grade, tileSize } snapshots for redo
+  alterado: false,    // anything to apply?
+};
+
+// ── Mode switching ─────────────────────────────────────────────────────────
+
+function alternarEditor() {
+  if (editorAtivo) aplicarEdicao();
+  else abrirEditor();
+}
+
+function abrirEditor() {
+  if (manualAtivo) fecharManual();
+  if (arquipelago) pararIlhas();   // the islands drive their own copies of the map
+  editorAtivo = true;
+  editor.grade = copiarGrade(mapa);
+  editor.tileSize = tileSize;
+  editor.desfazer = [];
+  editor.refazer = [];
+  editor.alterado = false;
+  document.getElementById('editor-panel').style.display = 'flex';
+  atualizarPainelEditor();
+  showToast('✏️ Edit mode — simulation paused.');
+}
+
+/** Hot-swap the edited grid into the running simulation. */
+function aplicarEdicao() {
+  editorAtivo = false;
+  document.getElementById('editor-panel').style.display = 'none';
+  if (!editor.alterado) {
+    resizeCanvas(mapa[0].length * tileSize, mapa.length * tileSize);
+    return;
+  }
+  substituirMapaAtivo(editor.grade, editor.tileSize);
+  showToast('✅ Map applied — round restarted.');
+}
+
+/** Swap `grade` in as the active track's map and restart the current round. */
+function substituirMapaAtivo(grade, tamanho = tileSize) {
+  pistaAtiva.mapa = grade;
+  pistaAtiva.tileSize = tamanho;
+  ativarPista(pistaAtiva);
+  resizeCanvas(mapa[0].length * tileSize, mapa.length * tileSize);
+  iniciarRodada();
+}
+
+function cancelarEdicao() {
+  editor.alterado = false;
+  aplicarEdicao();
+  showToast('✖ Edits discarded.');
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────────
+
+/** Called from draw() instead of the simulation while editing. */
+function desenharEditor() {
+  drawMap(editor.grade);
+
+  // Brush outline under the mouse
+  const { col, row } = tileSobMouse();
+  const inicio = -Math.floor((editor.pincel - 1) / 2);
+  noFill();
+  stroke(255, 255, 255, 200);
+  strokeWeight(1);
+  if (editor.preencher) {
+    rect(col * tileSize, row * tileSize, tileSize, tileSize);
+  } else {
+    rect((col + inicio) * tileSize, (row + inicio) * tileSize,
+      editor.pincel * tileSize, editor.pincel * tileSize);
+  }
+
+  fill(255);
+  noStroke();
+  textFont('monospace');
+  textSize(13);
+  text(`EDIT  |  ${NOMES_TILE[editor.tile]}  |  ${editor.preencher ? 'fill' : `brush ${editor.pincel}`}`, 8, 18);
+}
+
+// ── Mouse (clicks via sketch.js's mousePressed, drags via p5) ──────────────
+
+function tratarCliqueEditor() {
+  if (!mouseNaGrade()) return;
+  salvarPassoDesfazer();
+  const { col, row } = tileSobMouse();
+  if (editor.preencher) preencherRegiao(col, row, editor.tile);
+  else pintar(col, row);
+}
+
+function mouseDragged() {
+  if (!editorAtivo || editor.preencher || !mouseNaGrade()) return;
+  // Interpolate from the previous mouse position so fast strokes leave no gaps
+  const passos = Math.max(1, Math.ceil(Math.hypot(mouseX - pmouseX, mouseY - pmouseY) / (tileSize / 2)));
+  for (let i = 1; i <= passos; i++) {
+    const x = pmouseX + (mouseX - pmouseX) * i / passos;
+    const y = pmouseY + (mouseY - pmouseY) * i / passos;
+    pintar(Math.floor(x / tileSize), Math.floor(y / tileSize));
+  }
+}
+
+function mouseNaGrade() {
+  return mouseX >= 0 && mouseY >= 0 && mouseX < width && mouseY < height;
+}
+
+function tileSobMouse() {
+  return { col: Math.floor(mouseX / tileSize), row: Math.floor(mouseY / tileSize) };
+}
+
+// ── Tools ──────────────────────────────────────────────────────────────────
+
+/** Paint a brush-sized square centred on (col, row). */
+function pintar(col, row) {
+  const g = editor.grade;
+  const inicio = -Math.floor((editor.pincel - 1) / 2);
+  for (let dr = 0; dr < editor.pincel; dr++) {
+    for (let dc = 0; dc < editor.pincel; dc++) {
+      const r = row + inicio + dr;
+      const c = col + inicio + dc;
+      if (r >= 0 && r < g.length && c >= 0 && c < g[0].length) g[r][c] = editor.tile;
+    }
+  }
+  editor.alterado = true;
+}
+
+/** 4-connected flood fill of the region containing (col, row). */
+function preencherRegiao(col, row, valor) {
+  const g = editor.grade;
+  const alvo = g[row][col];
+  if (alvo === valor) return;
+  const pilha = [[col, row]];
+  while (pilha.length > 0) {
+    const [c, r] = pilha.pop();
+    if (r < 0 || r >= g.length || c < 0 || c >= g[0].length || g[r][c] !== alvo) continue;
+    g[r][c] = valor;
+    pilha.push([c + 1, r], [c - 1, r], [c, r + 1], [c, r - 1]);
+  }
+  editor.alterado = true;
+}
+
+/** Resize the grid, keeping the top-left content; new tiles are walls. */
+function redimensionarGrade(largura, altura) {
+  if (!(largura > 0 && altura > 0)) return;
+  salvarPassoDesfazer();
+  editor.grade = Array.from({ length: altura }, (_, r) =>
+    Array.from({ length: largura }, (_, c) => (editor.grade[r] && c < editor.grade[r].length ? editor.grade[r][c] : 1))
+  );
+  editor.alterado = true;
+  resizeCanvas(largura * tileSize, altura * tileSize);
+  atualizarPainelEditor();
+}
+
+// ── Undo / redo ────────────────────────────────────────────────────────────
+
+function salvarPassoDesfazer() {
+  editor.desfazer.push({ grade: copiarGrade(editor.grade), tileSize: editor.tileSize });
+  if (editor.desfazer.length > EDITOR_MAX_UNDO) editor.desfazer.shift();
+  editor.refazer = [];
+}
+
+function desfazerEdicao() {
+  if (editor.desfazer.length === 0) return;
+  editor.refazer.push({ grade: editor.grade, tileSize: editor.tileSize });
+  const passo = editor.desfazer.pop();
+  trocarGrade(passo.grade, passo.tileSize);
+}
+
+function refazerEdicao() {
+  if (editor.refazer.length === 0) return;
+  editor.desfazer.push({ grade: editor.grade, tileSize: editor.tileSize });
+  const passo = editor.refazer.pop();
+  trocarGrade(passo.grade, passo.tileSize);
+}
+
+function trocarGrade(grade, tamanho = editor.tileSize) {
+  editor.grade = grade;
+  editor.tileSize = tamanho;
+  editor.alterado = true;
+  resizeCanvas(grade[0].length * tileSize, grade.length * tileSize);
+  atualizarPainelEditor();
+}
+
+// ── Save / load / export ───────────────────────────────────────────────────
+
+function salvarMapaLocal() {
+  localStorage.setItem(EDITOR_STORAGE_KEY, JSON.stringify({ tileSize: editor.tileSize, mapa: editor.grade }));
+  showToast('💾 Map saved to localStorage.');
+}
+
+function carregarMapaLocal() {
+  const raw = localStorage.getItem(EDITOR_STORAGE_KEY);
+  if (!raw) { showToast('⚠️ No saved map found.'); return; }
+  const dados = JSON.parse(raw);
+  salvarPassoDesfazer();
+  trocarGrade(dados.mapa, dados.tileSize || tileSize);
+  showToast('📂 Saved map loaded into the editor.');
+}
+
+function exportarMapaJS() {
+  baixarArquivo('mapa_gerado.js', mapaParaJS(editor.grade, editor.tileSize, 'the track editor'), 'text/javascript');
+}
+
+function exportarMapaJSON() {
+  baixarArquivo('mapa.json', JSON.stringify({ tileSize: editor.tileSize, mapa: editor.grade }), 'application/json');
+}
+
+// ── Image import (drag & drop) ─────────────────────────────────────────────
+
+window.addEventListener('dragover', e => e.preventDefault());
+window.addEventListener('drop', e => {
+  e.preventDefault();
+  const file = e.dataTransfer.files[0];
+  if (file && file.type.startsWith('image/')) importarImagem(file);
+});
+
+/** Convert a dropped image file with pista.js and load the result live. */
+function importarImagem(file) {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    const cnv = document.createElement('canvas');
+    cnv.width = img.width;
+    cnv.height = img.height;
+    const ctx = cnv.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    const grade = imagemParaMapa(ctx.getImageData(0, 0, img.width, img.height));
+
+    const resumo = descreverResumo(resumoMapa(grade));
+    console.log(`🖼️ ${file.name}: ${resumo}`);
+    if (editorAtivo) {
+      salvarPassoDesfazer();
+      trocarGrade(grade, PISTA_CONFIG.TILE_SIZE);
+    } else {
+      substituirMapaAtivo(grade, PISTA_CONFIG.TILE_SIZE);
+    }
+    showToast(`🖼️ ${resumo}`);
+  };
+  img.src = url;
+}
+
+// ── Keyboard & panel ───────────────────────────────────────────────────────
+
+/**
+ * Handle an edit-mode key press (called from keyPressed()).
+ * @returns {boolean}  true if the key was consumed
+ */
+function tratarTeclaEditor() {
+  if (keyIsDown(CONTROL) && (key === 'z' || key === 'Z')) { desfazerEdicao(); return true; }
+  if (keyIsDown(CONTROL) && (key === 'y' || key === 'Y')) { refazerEdicao(); return true; }
+  if ('0123'.includes(key)) { editor.tile = Number(key); atualizarPainelEditor(); return true; }
+  if (key === 'f' || key === 'F') { editor.preencher = !editor.preencher; atualizarPainelEditor(); return true; }
+  if (key === '[') { editor.pincel = Math.max(1, editor.pincel - 1); atualizarPainelEditor(); return true; }
+  if (key === ']') { editor.pincel = Math.min(15, editor.pincel + 1); atualizarPainelEditor(); return true; }
+  return false;
+}
+
+function selecionarTile(valor) {
+  editor.tile = valor;
+  atualizarPainelEditor();
+}
+
+function definirPincel(valor) {
+  editor.pincel = Number(valor);
+  atualizarPainelEditor();
+}
+
+function alternarPreencher() {
+  editor.preencher = !editor.preencher;
+  atualizarPainelEditor();
+}
+
+function aplicarTamanhoGrade() {
+  redimensionarGrade(
+    Number(document.getElementById('editor-largura').value),
+    Number(document.getElementById('editor-altura').value)
+  );
+}
+
+function atualizarPainelEditor() {
+  document.querySelectorAll('[data-tile]').forEach(btn =>
+    btn.classList.toggle('active', Number(btn.dataset.tile) === editor.tile));
+  document.getElementById('editor-fill').classList.toggle('active', editor.preencher);
+  document.getElementById('editor-pincel').value = editor.pincel;
+  document.getElementById('editor-pincel-valor').textContent = editor.pincel;
+  document.getElementById('editor-largura').value = editor.grade[0].length;
+  document.getElementById('editor-altura').value = editor.grade.length;
+}
+
+/** Dense copy of a grid (holes in generated maps become road). */
+function copiarGrade(grade) {
+  return grade.map(row => Array.from(row, v => v || 0));
+}
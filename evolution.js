@@ -0,0 +1,190 @@
+/**
+ * evolution.js – Genetic algorithm (no p5, no DOM)
+ * ─────────────────────────────────────────────────
+ * Shared by sketch.js (one frame per draw() call) and train.js (headless
+ * loop in Node), so both evolve brains exactly the same way.
+ */
+
+// ── Evolution parameters ───────────────────────────────────────────────────
+const POPULATION_SIZE = 50;   // increased for more diversity
+const MUTATION_RATE = 0.08; // slightly higher initial mutation
+const MAX_FRAMES = 3500; // slightly longer
+
+// ── Reproduction ───────────────────────────────────────────────────────────
+
+/**
+ * Build the brains of a new generation.
+ * The best selecaoConfig.elitismo brains are kept unchanged, the rest are
+ * crossovers of parents picked from the pool (selection.js), mutated by
+ * mutarFilho() (mutation.js).
+ * With no pool yet, mutated copies of `saved` (or fresh random brains) are used.
+ * After a stall, the pending response (random immigrants or a partial
+ * restart, see acompanharEstagnacao) reshapes this one generation.
+ * With ES or CMA-ES selected (optimizer.js), dense brains are sampled from
+ * the optimizer's distribution instead.
+ * @param {Cerebro[]}    eliteBrains  Elite pool, sorted best-first (may be empty)
+ * @param {Cerebro|null} saved        Optional seed brain for the first generation
+ * @param {number}       total        Population size
+ * @returns {Cerebro[]}
+ */
+function criarCerebros(eliteBrains, saved = null, total = POPULATION_SIZE) {
+  if (usaOtimizador()) return amostrarGeracao(eliteBrains, saved, total);
+  reiniciarOtimizador();   // switching back to ES / CMA-ES starts around the best brain again
+  const resposta = retirarRespostaPendente();
+  if (resposta === 'reinicio' && eliteBrains.length > 0) return reiniciarParte(eliteBrains, total);
+  const brains = reproduzirGeracao(eliteBrains, saved, total);
+  if (resposta === 'imigrantes') receberImigrantes(brains, eliteBrains);
+  return brains;
+}
+
+/** criarCerebros() without the stall responses. */
+function reproduzirGeracao(eliteBrains, saved, total) {
+  // Topology-evolving brains breed by species instead (CerebroNEAT.reproduzir)
+  const Classe = eliteBrains.length > 0 ? eliteBrains[0].constructor : null;
+  if (Classe && typeof Classe.reproduzir === 'function') {
+    return Classe.reproduzir(eliteBrains, total, MUTATION_RATE);
+  }
+
+  const brains = [];
+
+  // 1. Keep elites directly (Elitism)
+  for (let i = 0; i < Math.min(eliteBrains.length, selecaoConfig.elitismo) && brains.length < total; i++) {
+    brains.push(eliteBrains[i].copiaCerebro());
+  }
+
+  // 2. Fill the rest with offspring
+  while (brains.length < total) {
+    let childBrain;
+    try {
+      if (eliteBrains.length >= 2) {
+        // Selection
+        const parentA = selecionarParente(eliteBrains);
+        const parentB = selecionarParente(eliteBrains);
+
+        // Crossover + Mutation
+        childBrain = parentA.cruzar(parentB, selecaoConfig.cruzamento);
+        mutarFilho(childBrain, MUTATION_RATE, [parentA, parentB]);
+      } else if (saved) {
+        childBrain = saved.copiaCerebro();
+        if (brains.length > 0) mutarFilho(childBrain, MUTATION_RATE);
+      } else {
+        childBrain = novoCerebro();
+      }
+    } catch (e) {
+      console.error("❌ Error creating car brain, falling back to random:", e);
+      childBrain = novoCerebro();
+    }
+    brains.push(childBrain);
+  }
+  return brains;
+}
+
+// ── Simulation step ────────────────────────────────────────────────────────
+
+/**
+ * Advance every alive car by one frame. When all brains share a backend with
+ * a batched forward pass (CerebroMatriz.pensarLote) the whole population is
+ * thought through at once; otherwise each car runs its own update().
+ * @param {Car[]} population
+ */
+function atualizarPopulacao(population) {
+  const vivos = population.filter(c => c.alive);
+  if (vivos.length === 0) return;
+
+  const Classe = vivos[0].brain.constructor;
+  if (typeof Classe.pensarLote !== 'function' || !vivos.every(c => c.brain.constructor === Classe)) {
+    for (const car of vivos) car.update();
+    return;
+  }
+
+  let inputs = null;
+  vivos.forEach((car, i) => {
+    const entradas = car.prepararEntradas();
+    if (!inputs) inputs = new Float32Array(vivos.length * entradas.length);
+    inputs.set(entradas, i * entradas.length);
+  });
+  const outputs = Classe.pensarLote(vivos.map(c => c.brain), inputs);
+  const n = outputs.length / vivos.length;
+  vivos.forEach((car, i) => car.aplicarDecisao(outputs.subarray(i * n, (i + 1) * n)));
+}
+
+// ── Evaluation ─────────────────────────────────────────────────────────────
+
+/**
+ * Sort the population by fitness (best first, in place) and summarise it.
+ * Each elite copy carries its `fitness`; for brains that breed by species the
+ * whole population is returned, since every species needs its members.
+ * @param {Car[]}    population
+ * @param {number[]} [scores]  Fitness per car, in population order. Defaults to
+ *                             calcularFitness(); multi-track runs pass the
+ *                             aggregate from Curriculo.concluirGeracao().
+ * @returns {{ eliteBrains: Cerebro[], best: number, mean: number, median: number, worst: number,
+ *            finished: number, checkpoints: number, bestLap: number,
+ *            avgFrames: number, avgSpeed: number, diversity: number,
+ *            mutationRate: number, mutationSigma: number }}
+ *          checkpoints = most gates passed by one car; bestLap = fastest lap in frames (Infinity if none);
+ *          avgFrames / avgSpeed = mean survival and speed of `population` (the last
+ *          round's cars in multi-track runs); diversity = diversidade() of the brains;
+ *          mutationRate / mutationSigma = mediaMutacao() of the brains (with an
+ *          optimizer: passoOtimizador(), the distribution's)
+ */
+function avaliarGeracao(population, scores = population.map(c => c.calcularFitness())) {
+  const fitness = new Map(population.map((c, i) => [c, scores[i]]));
+  population.sort((a, b) => fitness.get(b) - fitness.get(a));
+
+  // Update elite pool: the elites plus every parent candidate (selection.js)
+  const Classe = population.length > 0 ? population[0].brain.constructor : null;
+  const poolSize = Classe && typeof Classe.reproduzir === 'function' ? population.length : tamanhoPool();
+  const eliteBrains = population.slice(0, poolSize).map(c => {
+    const brain = c.brain.copiaCerebro();
+    brain.fitness = fitness.get(c);
+    return brain;
+  });
+
+  const sorted = population.map(c => fitness.get(c));
+  const media = valores => (valores.length ? valores.reduce((a, b) => a + b, 0) / valores.length : 0);
+  const meio = Math.floor(sorted.length / 2);
+  const mutacao = passoOtimizador() || mediaMutacao(population.map(c => c.brain));
+  return {
+    eliteBrains,
+    best: sorted.length ? sorted[0] : 0,
+    mean: media(sorted),
+    median: sorted.length ? (sorted.length % 2 ? sorted[meio] : (sorted[meio - 1] + sorted[meio]) / 2) : 0,
+    worst: sorted.length ? sorted[sorted.length - 1] : 0,
+    finished: population.filter(c => c.finished).length,
+    checkpoints: Math.max(0, ...population.map(c => c.checkpointsPassados)),
+    bestLap: Math.min(Infinity, ...population.map(c => c.melhorVolta)),
+    avgFrames: media(population.map(c => c.framesAlive)),
+    avgSpeed: media(population.map(c => c.accumulatedSpeed / Math.max(1, c.framesAlive))),
+    diversity: diversidade(population.map(c => c.brain)),
+    mutationRate: mutacao.taxa,
+    mutationSigma: mutacao.sigma,
+  };
+}
+
+/**
+ * How spread out a population's brains are (0 = all identical).
+ * Fixed-layout brains: the standard deviation of each weight across the
+ * population, averaged over all weights. NEAT genomes: the mean compatibility
+ * distance to the first (best) genome. Draws no random numbers.
+ * @param {object[]} brains  Best first
+ * @returns {number}
+ */
+function diversidade(brains) {
+  if (brains.length < 2) return 0;
+  if (typeof brains[0].distancia === 'function') {
+    return brains.slice(1).reduce((s, b) => s + b.distancia(brains[0]), 0) / (brains.length - 1);
+  }
+  const vetores = brains.map(b => b.exportarPesos().values.flat());
+  const n = vetores.length;
+  let soma = 0;
+  for (let i = 0; i < vetores[0].length; i++) {
+    let m = 0;
+    for (const v of vetores) m += v[i];
+    m /= n;
+    let variancia = 0;
+    for (const v of vetores) variancia += (v[i] - m) ** 2;
+    soma += Math.sqrt(variancia / n);
+  }
+  return soma / vetores[0].length;
+}
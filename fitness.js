@@ -0,0 +1,166 @@
+/**
+ * fitness.js – Named fitness strategies
+ * ──────────────────────────────────────
+ * A strategy has two halves:
+ *  • in-run shaping — what Car.aplicarDecisao() adds to `car.score` every
+ *    frame (speed, progress, gates, laps, crashes, finishing);
+ *  • calcular(car, pesos) — the final fitness used for selection.
+ *
+ * Every number either half uses is a named weight, editable from the HUD
+ * (sketch.js), `?fitness=` / `train.js --fitness`, and saved next to brains.
+ * 'padrao' reproduces the original hard-coded reward exactly.
+ */
+
+// ── In-run shaping weights (shared by every strategy) ──────────────────────
+const PESOS_CORRIDA = {
+  limiteVelocidadeAlta: 1.5,    // speed above which the high bonus applies
+  bonusVelocidadeAlta: 0.2,     // score per unit of speed, per frame, above it
+  limiteVelocidadeBaixa: 0.5,   // speed above which the low bonus applies
+  bonusVelocidadeBaixa: 0.15,
+  progresso: 0.3,               // score per pixel gained toward the next target
+  checkpoint: 300,              // per gate passed
+  volta: 1000,                  // per lap completed (except the last)
+  chegada: 2000,                // for finishing the run
+  batida: 100,                  // penalty per collision
+  parado: 100,                  // penalty for being killed while idle
+};
+
+const ESTRATEGIAS_FITNESS = {
+  padrao: {
+    nome: 'Default',
+    descricao: 'Speed, progress, survival time and finish bonuses (the original reward).',
+    pesos: {
+      ...PESOS_CORRIDA,
+      multiplicadorMorte: 0.5,      // score multiplier for cars that crashed
+      tempoVivo: 0.05,              // per frame survived
+      velocidadeMedia: 60,          // per unit of average speed
+      referenciaProgresso: 1200,    // distance (px) that counts as zero progress
+      progressoFinal: 0.5,          // per pixel of best distance below the reference
+      bonusFinal: 1000,             // extra for finishers
+    },
+    calcular(car, p) {
+      let fitness = car.score;
+      if (!car.alive && !car.finished) fitness *= p.multiplicadorMorte;
+
+      const avgSpeed = car.accumulatedSpeed / Math.max(1, car.framesAlive);
+      fitness += (car.framesAlive * p.tempoVivo) + (avgSpeed * p.velocidadeMedia);
+      fitness += Math.max(0, (p.referenciaProgresso - car.bestDist)) * p.progressoFinal;
+      if (car.finished) fitness += p.bonusFinal;
+
+      return Math.max(0, fitness);
+    },
+  },
+
+  progresso: {
+    nome: 'Progress only',
+    descricao: 'Only ground gained toward gates and the finish counts — no speed, time or crash terms.',
+    pesos: {
+      ...PESOS_CORRIDA,
+      bonusVelocidadeAlta: 0,
+      bonusVelocidadeBaixa: 0,
+      progresso: 1,
+      batida: 0,
+      parado: 0,
+    },
+    calcular(car) {
+      return Math.max(0, car.score);
+    },
+  },
+
+  tempo: {
+    nome: 'Time to finish',
+    descricao: 'Progress until a car finishes; finishers are then ranked by how few frames they needed.',
+    pesos: {
+      ...PESOS_CORRIDA,
+      bonusVelocidadeAlta: 0,
+      bonusVelocidadeBaixa: 0,
+      progresso: 1,
+      batida: 0,
+      parado: 0,
+      chegada: 5000,
+      porFrameRestante: 2,          // per frame left of MAX_FRAMES when finishing
+    },
+    calcular(car, p) {
+      let fitness = Math.max(0, car.score);
+      if (car.finished) fitness += Math.max(0, MAX_FRAMES - car.framesAlive) * p.porFrameRestante;
+      return fitness;
+    },
+  },
+
+  suave: {
+    nome: 'Smooth driving',
+    descricao: 'The default reward minus a penalty for jerky steering (mean change of the steering output per frame).',
+    pesos: {
+      ...PESOS_CORRIDA,
+      multiplicadorMorte: 0.5,
+      tempoVivo: 0.05,
+      velocidadeMedia: 60,
+      referenciaProgresso: 1200,
+      progressoFinal: 0.5,
+      bonusFinal: 1000,
+      suavidade: 1500,              // penalty per unit of mean |Δ steering|
+    },
+    calcular(car, p) {
+      const base = ESTRATEGIAS_FITNESS.padrao.calcular(car, p);
+      const tremor = car.variacaoDirecao / Math.max(1, car.framesAlive);
+      return Math.max(0, base - tremor * p.suavidade);
+    },
+  },
+};
+
+/** Human-readable weight names for the HUD panel. */
+const ROTULOS_PESOS = {
+  limiteVelocidadeAlta: 'High speed threshold',
+  bonusVelocidadeAlta: 'High speed bonus',
+  limiteVelocidadeBaixa: 'Low speed threshold',
+  bonusVelocidadeBaixa: 'Low speed bonus',
+  progresso: 'Progress / px',
+  checkpoint: 'Checkpoint bonus',
+  volta: 'Lap bonus',
+  chegada: 'Finish bonus',
+  batida: 'Crash penalty',
+  parado: 'Idle penalty',
+  multiplicadorMorte: 'Death multiplier',
+  tempoVivo: 'Per frame alive',
+  velocidadeMedia: 'Avg speed weight',
+  referenciaProgresso: 'Progress reference (px)',
+  progressoFinal: 'Final progress / px',
+  bonusFinal: 'Extra finish bonus',
+  porFrameRestante: 'Per frame saved',
+  suavidade: 'Jerk penalty',
+};
+
+// ── Active strategy ────────────────────────────────────────────────────────
+
+/**
+ * Build a strategy config: the strategy's default weights with `pesos` on top.
+ * @param {string} estrategia  Key of ESTRATEGIAS_FITNESS
+ * @param {object} pesos       Weight overrides (unknown names are ignored)
+ * @returns {{ estrategia: string, pesos: object }}
+ */
+function configFitness(estrategia, pesos = {}) {
+  const base = ESTRATEGIAS_FITNESS[estrategia];
+  if (!base) throw new Error(`Unknown fitness strategy "${estrategia}"`);
+  const config = { estrategia, pesos: { ...base.pesos } };
+  for (const nome of Object.keys(config.pesos)) {
+    if (Number.isFinite(pesos[nome])) config.pesos[nome] = pesos[nome];
+  }
+  return config;
+}
+
+/** Strategy and weights every car is currently scored with. */
+let fitnessConfig = configFitness('padrao');
+
+/** Switch the active strategy (and optionally override some weights). */
+function definirFitness(estrategia, pesos = {}) {
+  fitnessConfig = configFitness(estrategia, pesos);
+}
+
+/**
+ * Final fitness of a car under the active strategy.
+ * @param {Car} car
+ * @returns {number}
+ */
+function avaliarFitness(car) {
+  return ESTRATEGIAS_FITNESS[fitnessConfig.estrategia].calcular(car, fitnessConfig.pesos);
+}
@@ -0,0 +1,148 @@
+/**
+ * history.js – Per-generation history, sidebar charts and export (browser only)
+ * ─────────────────────────────────────────────────────────────────────────────
+ * nextGeneration() (sketch.js) records one entry per generation from the
+ * avaliarGeracao() summary; the same numbers train.js writes to stats.jsonl.
+ * Two charts are redrawn after every generation: fitness (best / mean /
+ * median / worst) and one other metric picked in the HUD, both with a
+ * dashed mark at each generation that ended in a stall response (mutation.js).
+ * The history can be downloaded as CSV or JSON and travels with run checkpoints.
+ */
+
+/** Recorded metrics: column name → chart label and colour. */
+const METRICAS_HISTORICO = {
+  best: { nome: 'Best', cor: '#00e676' },
+  mean: { nome: 'Mean', cor: '#6c63ff' },
+  median: { nome: 'Median', cor: '#ff8c42' },
+  worst: { nome: 'Worst', cor: '#ff5252' },
+  finished: { nome: 'Finishers', cor: '#00e676' },
+  avgFrames: { nome: 'Avg survival (frames)', cor: '#6c63ff' },
+  avgSpeed: { nome: 'Avg speed', cor: '#ff8c42' },
+  diversity: { nome: 'Diversity', cor: '#e0e0f0' },
+  mutationRate: { nome: 'Mutation rate', cor: '#ff8c42' },
+  mutationSigma: { nome: 'Mutation σ', cor: '#6c63ff' },
+};
+const COR_ESTAGNACAO = '#ffd54f';
+const METRICAS_FITNESS = ['best', 'mean', 'median', 'worst'];
+
+/** One entry per completed generation: { generation, seed, ...METRICAS_HISTORICO, stall? }. */
+let historico = [];
+
+/**
+ * Record a finished generation and redraw the charts.
+ * @param {number} geracao
+ * @param {object} resultado  avaliarGeracao() summary
+ * @param {number} finished   Finishers over every track round of the generation
+ * @param {object|null} [evento]  The generation's stall event (acompanharEstagnacao)
+ */
+function registrarHistorico(geracao, resultado, finished, evento = null) {
+  const entrada = { generation: geracao, seed: rng.semente };
+  for (const chave of Object.keys(METRICAS_HISTORICO)) entrada[chave] = resultado[chave];
+  entrada.finished = finished;
+  const stall = respostaDoEvento(evento);
+  if (stall) entrada.stall = stall;
+  historico.push(entrada);
+  desenharHistorico();
+}
+
+/** Replace the whole history (new run, or one restored from a checkpoint). */
+function definirHistorico(entradas = []) {
+  historico = entradas;
+  desenharHistorico();
+}
+
+// ── Charts ─────────────────────────────────────────────────────────────────
+
+function desenharHistorico() {
+  const metrica = document.getElementById('historico-metrica').value;
+  desenharGrafico(document.getElementById('grafico-fitness'), METRICAS_FITNESS);
+  desenharGrafico(document.getElementById('grafico-metrica'), [metrica]);
+  document.getElementById('historico-legenda').replaceChildren(...METRICAS_FITNESS.map(chave => {
+    const item = document.createElement('span');
+    item.style.color = METRICAS_HISTORICO[chave].cor;
+    item.textContent = `■ ${METRICAS_HISTORICO[chave].nome}`;
+    return item;
+  }));
+}
+
+/**
+ * Line chart of `chaves` over the generations, scaled to their joint range.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string[]} chaves  Keys of METRICAS_HISTORICO
+ */
+function desenharGrafico(canvas, chaves) {
+  const ctx = canvas.getContext('2d');
+  const { width: w, height: h } = canvas;
+  const margem = { esquerda: 38, direita: 6, topo: 8, base: 16 };
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = '10px monospace';
+  ctx.fillStyle = '#7070a0';
+  if (historico.length === 0) {
+    ctx.fillText('No generations yet', margem.esquerda, h / 2);
+    return;
+  }
+
+  // Histories from older versions lack the newer metrics
+  const valores = chaves.flatMap(chave => historico.map(e => e[chave])).filter(v => v !== undefined);
+  const min = Math.min(0, ...valores);
+  const max = Math.max(...valores, min + 1e-9);
+  const x = i => margem.esquerda + (historico.length === 1 ? 0 : i / (historico.length - 1)) * (w - margem.esquerda - margem.direita);
+  const y = v => h - margem.base - ((v - min) / (max - min)) * (h - margem.topo - margem.base);
+
+  // Axes: value range on the left, generation range below
+  ctx.strokeStyle = '#222236';
+  ctx.beginPath();
+  ctx.moveTo(margem.esquerda, margem.topo);
+  ctx.lineTo(margem.esquerda, h - margem.base);
+  ctx.lineTo(w - margem.direita, h - margem.base);
+  ctx.stroke();
+  const rotulo = v => (Math.abs(max - min) < 10 ? v.toFixed(2) : Math.round(v).toString());
+  ctx.textAlign = 'right';
+  ctx.fillText(rotulo(max), margem.esquerda - 3, margem.topo + 8);
+  ctx.fillText(rotulo(min), margem.esquerda - 3, h - margem.base);
+  ctx.textAlign = 'left';
+  ctx.fillText(`gen ${historico[0].generation}`, margem.esquerda, h - 3);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${historico[historico.length - 1].generation}`, w - margem.direita, h - 3);
+  ctx.textAlign = 'left';
+
+  // Stall responses
+  ctx.strokeStyle = COR_ESTAGNACAO;
+  ctx.setLineDash([2, 3]);
+  historico.forEach((e, i) => {
+    if (!e.stall) return;
+    ctx.beginPath();
+    ctx.moveTo(x(i), margem.topo);
+    ctx.lineTo(x(i), h - margem.base);
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+
+  for (const chave of chaves) {
+    ctx.strokeStyle = METRICAS_HISTORICO[chave].cor;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    historico.forEach((e, i) => {
+      if (e[chave] === undefined) return;
+      if (i === 0 || historico[i - 1][chave] === undefined) ctx.moveTo(x(i), y(e[chave]));
+      else ctx.lineTo(x(i), y(e[chave]));
+    });
+    if (historico.length === 1) ctx.arc(x(0), y(historico[0][chave]), 1.5, 0, 2 * Math.PI);
+    ctx.stroke();
+  }
+  ctx.lineWidth = 1;
+}
+
+// ── Export ─────────────────────────────────────────────────────────────────
+
+function exportarHistoricoCSV() {
+  if (historico.length === 0) { showToast('⚠️ No generations recorded yet.'); return; }
+  const colunas = ['generation', 'seed', ...Object.keys(METRICAS_HISTORICO), 'stall'];
+  const linhas = historico.map(e => colunas.map(c => e[c]).join(','));
+  baixarArquivo(`historico-seed${historico[0].seed}.csv`, [colunas.join(','), ...linhas].join('\n') + '\n', 'text/csv');
+}
+
+function exportarHistoricoJSON() {
+  if (historico.length === 0) { showToast('⚠️ No generations recorded yet.'); return; }
+  baixarArquivo(`historico-seed${historico[0].seed}.json`, JSON.stringify(historico, null, 2));
+}
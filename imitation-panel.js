@@ -0,0 +1,149 @@
+/**
+ * imitation-panel.js – Driving examples and pre-training in the page (DOM)
+ * ────────────────────────────────────────────────────────────────────────
+ * Every drive in manual mode (M) adds its frames to the page's example set
+ * (imitation.js). 🎓 Pre-train fits a fresh brain of the selected backend to
+ * them, showing the training loss and the held-out loss and accuracy after
+ * each epoch; the result can seed a new run or go to the brain library.
+ *
+ * Examples live in memory only — export them (⬇) to keep them, and import
+ * them back (📥 or drag & drop) in a later session.
+ */
+
+const IMITACAO_PAINEL = {
+  gravar: true,     // add manual drives to the example set
+};
+
+let demonstracoes = null;    // example set (imitation.js), created on the first recorded drive
+let cerebroImitado = null;   // result of the last pre-training: { brain, amostras, epocas, perda, … }
+let treinandoImitacao = false;
+
+// ── Recording (called from manual.js) ──────────────────────────────────────
+
+/**
+ * Add a finished manual drive to the example set.
+ * @param {number[][]} amostras  [...inputs, rot, throttle] per frame
+ * @param {boolean}    bateu     The drive ended against a wall
+ */
+function registrarConducao(amostras, bateu) {
+  if (!IMITACAO_PAINEL.gravar || amostras.length === 0) return;
+  if (demonstracoes && !demonstracoesCompativeis(demonstracoes)) {
+    showToast('ℹ️ The network inputs changed — starting a new set of examples.');
+    demonstracoes = null;
+  }
+  if (!demonstracoes) demonstracoes = novasDemonstracoes();
+  adicionarConducao(demonstracoes, amostras, bateu);
+  atualizarPainelImitacao();
+}
+
+// ── Pre-training ───────────────────────────────────────────────────────────
+
+async function preTreinar() {
+  if (treinandoImitacao) return;
+  if (!demonstracoes || demonstracoes.amostras.length === 0) {
+    showToast('⚠️ No examples yet — drive a few laps in manual mode (M) first.');
+    return;
+  }
+  const epocas = Math.max(1, Math.floor(Number(document.getElementById('imitacao-epocas').value)) || IMITACAO_CONFIG.epocas);
+  const status = document.getElementById('imitacao-status');
+  treinandoImitacao = true;
+  status.textContent = 'Training…';
+  try {
+    cerebroImitado = await treinarImitacao(demonstracoes, {
+      epocas,
+      aoProgresso: progresso => { status.textContent = descreverProgresso(progresso, epocas); },
+    });
+    showToast(`🎓 Pre-trained: ${Math.round(cerebroImitado.acuracia * 100)}% of held-out frames match your keys.`);
+  } catch (e) {
+    status.textContent = '';
+    showToast(`⚠️ ${e.message}`);
+  } finally {
+    treinandoImitacao = false;
+  }
+}
+
+/** "epoch 12/40 · loss 0.081 · held-out 0.094 · accuracy 71%" */
+function descreverProgresso({ epoca, perda, perdaValidacao, acuracia }, epocas) {
+  return `epoch ${epoca}/${epocas} · loss ${perda.toFixed(3)} · held-out ${perdaValidacao.toFixed(3)} · ` +
+    `accuracy ${Math.round(acuracia * 100)}%`;
+}
+
+/**
+ * Start a new run (generation 1) from the pre-trained brain, switching the
+ * run back to its inputs and layers if they were changed since pre-training.
+ */
+function semearComImitacao() {
+  if (!cerebroImitado) { showToast('⚠️ Pre-train a brain first.'); return; }
+  let brain;
+  try {
+    const arquivo = serializarCerebro(cerebroImitado.brain);
+    aplicarDescricao(arquivo);
+    brain = construirCerebro(arquivo);
+  } catch (e) {
+    showToast(`⚠️ Could not rebuild the brain: ${e.message}`);
+    return;
+  }
+  brain.fitness = 0;
+  iniciarComCerebros([brain]);
+  showToast('🌱 New run seeded from the pre-trained brain.');
+}
+
+function salvarImitacaoNaBiblioteca() {
+  if (!cerebroImitado) { showToast('⚠️ Pre-train a brain first.'); return; }
+  const { brain, amostras, epocas, perdaValidacao, acuracia } = cerebroImitado;
+  const treino = {
+    ...dadosTreino(0, curriculo.pistasAtivas()),
+    imitacao: { amostras, epocas, perdaValidacao, acuracia },
+  };
+  const arquivo = serializarCerebro(brain, { fitness: fitnessConfig, treino });
+  if (adicionarABiblioteca(`Imitation · ${Math.round(acuracia * 100)}%`, arquivo)) {
+    showToast('✅ Pre-trained brain added to the library.');
+  }
+}
+
+// ── Example files ──────────────────────────────────────────────────────────
+
+function exportarDemonstracoes() {
+  if (!demonstracoes || demonstracoes.amostras.length === 0) { showToast('⚠️ No examples yet.'); return; }
+  baixarArquivo('driving-examples.json', JSON.stringify(demonstracoes));
+}
+
+function importarArquivoDemonstracoes(file) {
+  const leitor = new FileReader();
+  leitor.onload = () => {
+    try {
+      importarDemonstracoes(JSON.parse(leitor.result));
+    } catch (e) {
+      showToast(`⚠️ ${file.name}: ${e.message}`);
+    }
+  };
+  leitor.readAsText(file);
+}
+
+/** Add a parsed examples file; it joins the current set when the inputs match. */
+function importarDemonstracoes(dados) {
+  const novas = lerDemonstracoes(dados);
+  const juntar = demonstracoes && JSON.stringify(demonstracoes.entradas) === JSON.stringify(novas.entradas);
+  if (juntar) {
+    demonstracoes.amostras.push(...novas.amostras);
+    demonstracoes.conducoes += novas.conducoes;
+  } else {
+    demonstracoes = novas;
+  }
+  atualizarPainelImitacao();
+  showToast(demonstracoesCompativeis(demonstracoes)
+    ? `📥 ${novas.amostras.length} examples ${juntar ? 'added' : 'loaded'}.`
+    : '⚠️ Examples loaded, but they were recorded with different network inputs.');
+}
+
+function limparDemonstracoes() {
+  if (!demonstracoes || !confirm(`Delete ${demonstracoes.amostras.length} examples?`)) return;
+  demonstracoes = null;
+  atualizarPainelImitacao();
+}
+
+function atualizarPainelImitacao() {
+  document.getElementById('imitacao-contagem').textContent = demonstracoes
+    ? `${demonstracoes.amostras.length} examples from ${demonstracoes.conducoes} drive${demonstracoes.conducoes === 1 ? '' : 's'}`
+    : 'No examples yet — drive in manual mode (M).';
+}
@@ -0,0 +1,319 @@
+/**
+ * imitation.js – Pre-train a brain on recorded human driving (no p5, no DOM)
+ * ──────────────────────────────────────────────────────────────────────────
+ * Manual mode (manual.js) records every frame a person drives as an example:
+ * the exact inputs Car.update() hands a network (prepararEntradas) and the
+ * [rot, throttle] the arrow keys produced. A fresh brain is then fitted to
+ * those examples by supervised learning — mean squared error, Adam — and can
+ * seed a run, so evolution starts from cars that already leave the spawn.
+ *
+ *   {
+ *     demonstracoes: 1,                  // FORMATO_DEMONSTRACOES
+ *     entradas: { sensores, alcance, passo, extras },  // network inputs they were recorded with
+ *     conducoes,                         // drives they came from
+ *     amostras: [[...inputs, rot, throttle], …],
+ *   }
+ *
+ * Backends: Cerebro trains with TF.js model.fit(); CerebroMatriz and
+ * CerebroNEAT backpropagate through their own forward pass. A share of the
+ * examples is held out and never trained on; the loss and accuracy on it show
+ * whether the brain learned to drive or only memorised.
+ * Shared by sketch.js (imitation card) and train.js (--imitate).
+ */
+
+const FORMATO_DEMONSTRACOES = 1;
+
+const IMITACAO_CONFIG = {
+  epocas: 40,          // passes over the training examples
+  lote: 32,            // examples per gradient step
+  taxa: 0.005,         // Adam learning rate
+  validacao: 0.2,      // share of the examples held out
+  semente: 1,          // initial weights and shuffling (the run's own rng is left alone)
+  descarteBatida: 30,  // frames dropped before a crash (the lead-up is what not to imitate)
+};
+
+// ── Examples ───────────────────────────────────────────────────────────────
+
+/** Empty example set for the current network inputs. */
+function novasDemonstracoes() {
+  return {
+    demonstracoes: FORMATO_DEMONSTRACOES,
+    entradas: copiaEntradas(configEntradas),
+    conducoes: 0,
+    amostras: [],
+  };
+}
+
+/**
+ * Add one drive's frames to `demos`.
+ * @param {object}     demos
+ * @param {number[][]} amostras  [...inputs, rot, throttle] per frame
+ * @param {boolean}    bateu     The drive ended against a wall
+ * @returns {number}   Examples kept
+ */
+function adicionarConducao(demos, amostras, bateu) {
+  const guardadas = bateu ? amostras.slice(0, Math.max(0, amostras.length - IMITACAO_CONFIG.descarteBatida)) : amostras;
+  demos.amostras.push(...guardadas);
+  demos.conducoes++;
+  return guardadas.length;
+}
+
+/** true if `demos` were recorded with the current network inputs. */
+function demonstracoesCompativeis(demos) {
+  return JSON.stringify(demos.entradas) === JSON.stringify(configEntradas);
+}
+
+/**
+ * Parse an examples file.
+ * @param {object} dados  Parsed JSON
+ */
+function lerDemonstracoes(dados) {
+  if (!dados || !dados.demonstracoes) throw new Error('Not a driving examples file');
+  if (dados.demonstracoes > FORMATO_DEMONSTRACOES) {
+    throw new Error(`Examples format ${dados.demonstracoes} is newer than this version supports (${FORMATO_DEMONSTRACOES})`);
+  }
+  const largura = dados.entradas.sensores.length + dados.entradas.extras.length + 2;
+  if (dados.amostras.some(a => a.length !== largura)) throw new Error(`Every example must have ${largura} numbers`);
+  return { ...dados, entradas: copiaEntradas({ ...RAIOS_LEGADOS, ...dados.entradas }) };
+}
+
+/**
+ * Shuffle a copy of `amostras` (with `gerador`) and split off the held-out share.
+ * @returns {{ treino: number[][], validacao: number[][] }}
+ */
+function separarAmostras(amostras, gerador) {
+  const ordem = embaralhar(amostras.slice(), gerador);
+  const n = Math.round(ordem.length * IMITACAO_CONFIG.validacao);
+  return { validacao: ordem.slice(0, n), treino: ordem.slice(n) };
+}
+
+/** In-place Fisher–Yates shuffle. */
+function embaralhar(lista, gerador) {
+  for (let i = lista.length - 1; i > 0; i--) {
+    const j = gerador.inteiro(i + 1);
+    [lista[i], lista[j]] = [lista[j], lista[i]];
+  }
+  return lista;
+}
+
+// ── Training ───────────────────────────────────────────────────────────────
+
+/**
+ * Build a fresh brain of the selected backend and fit it to `demos`.
+ * @param {object} demos  Must match the current network inputs
+ * @param {object} [opcoes]
+ * @param {number} [opcoes.epocas]
+ * @param {(progresso: { epoca: number, perda: number, perdaValidacao: number, acuracia: number }) => void}
+ *        [opcoes.aoProgresso]  Called after every epoch
+ * @returns {Promise<{ brain, amostras: number, epocas: number, perda: number, perdaValidacao: number, acuracia: number }>}
+ */
+async function treinarImitacao(demos, { epocas = IMITACAO_CONFIG.epocas, aoProgresso = () => {} } = {}) {
+  if (!demonstracoesCompativeis(demos)) {
+    throw new Error('The examples were recorded with different network inputs (sensors / extras)');
+  }
+  const gerador = new Aleatorio(IMITACAO_CONFIG.semente);
+  const { treino, validacao } = separarAmostras(demos.amostras, gerador);
+  if (treino.length === 0) throw new Error('No examples to train on — drive a few laps first');
+
+  // Fresh weights drawn from a fixed seed, without moving the run's generator
+  const estado = { semente: rng.semente, estado: rng.estado };
+  rng.definirSemente(IMITACAO_CONFIG.semente);
+  const brain = novoCerebro();
+  rng.semente = estado.semente;
+  rng.estado = estado.estado;
+
+  const passo = brain instanceof Cerebro ? criarPassoTF(brain) : criarPassoAdam(brain);
+  let progresso;
+  for (let epoca = 1; epoca <= epocas; epoca++) {
+    const perda = await passo(embaralhar(treino, gerador));
+    const avaliacao = avaliarImitacao(brain, validacao.length > 0 ? validacao : treino);
+    progresso = { epoca, perda, perdaValidacao: avaliacao.perda, acuracia: avaliacao.acuracia };
+    aoProgresso(progresso);
+    await new Promise(resolve => setTimeout(resolve, 0));   // let the page redraw
+  }
+  if (brain instanceof Cerebro) brain.model.optimizer.dispose();
+  return { brain, amostras: demos.amostras.length, epocas, ...progresso };
+}
+
+/** One epoch of TF.js model.fit() over the (already shuffled) examples. */
+function criarPassoTF(brain) {
+  brain.model.compile({ optimizer: tf.train.adam(IMITACAO_CONFIG.taxa), loss: 'meanSquaredError' });
+  return async amostras => {
+    const [xs, ys] = tensoresAmostras(amostras);
+    try {
+      const historia = await brain.model.fit(xs, ys, { epochs: 1, batchSize: IMITACAO_CONFIG.lote, shuffle: false });
+      return historia.history.loss[0];
+    } finally {
+      xs.dispose();
+      ys.dispose();
+    }
+  };
+}
+
+function tensoresAmostras(amostras) {
+  const entradas = amostras[0].length - 2;
+  return [
+    tf.tensor2d(amostras.map(a => a.slice(0, entradas))),
+    tf.tensor2d(amostras.map(a => a.slice(entradas))),
+  ];
+}
+
+/**
+ * One epoch of mini-batch Adam for the plain-JS backends.
+ * @returns {(amostras: number[][]) => Promise<number>}  Mean training loss of the epoch
+ */
+function criarPassoAdam(brain) {
+  const { parametros, gradiente, aplicar } = parametrosTreinaveis(brain);
+  const m = parametros.map(p => new Float64Array(p.length));
+  const v = parametros.map(p => new Float64Array(p.length));
+  const grads = parametros.map(p => new Float64Array(p.length));
+  const [b1, b2, eps] = [0.9, 0.999, 1e-7];   // TF.js's Adam defaults
+  let t = 0;
+
+  return async amostras => {
+    let soma = 0;
+    for (let inicio = 0; inicio < amostras.length; inicio += IMITACAO_CONFIG.lote) {
+      const lote = amostras.slice(inicio, inicio + IMITACAO_CONFIG.lote);
+      grads.forEach(g => g.fill(0));
+      for (const amostra of lote) soma += gradiente(amostra, grads);
+
+      t++;
+      const taxa = IMITACAO_CONFIG.taxa * Math.sqrt(1 - b2 ** t) / (1 - b1 ** t);
+      parametros.forEach((p, a) => {
+        for (let i = 0; i < p.length; i++) {
+          const g = grads[a][i] / lote.length;
+          m[a][i] = b1 * m[a][i] + (1 - b1) * g;
+          v[a][i] = b2 * v[a][i] + (1 - b2) * g * g;
+          p[i] -= taxa * m[a][i] / (Math.sqrt(v[a][i]) + eps);
+        }
+      });
+      aplicar();
+    }
+    return soma / amostras.length;
+  };
+}
+
+/**
+ * The weights of a plain-JS brain as flat arrays, a per-example gradient of the
+ * squared error (accumulated into arrays shaped like them; returns the
+ * example's loss) and a hook that writes updated weights back.
+ */
+function parametrosTreinaveis(brain) {
+  if (brain instanceof CerebroNEAT) {
+    const genes = brain.conexoes.filter(c => c.ativa);
+    const pesos = Float64Array.from(genes, c => c.peso);
+    const indice = new Map(genes.map((c, i) => [c, i]));
+    return {
+      parametros: [pesos],
+      gradiente: (amostra, [g]) => gradienteNEAT(brain, indice, amostra, g),
+      aplicar: () => genes.forEach((c, i) => { c.peso = pesos[i]; }),
+    };
+  }
+  return { parametros: brain._arrays(), gradiente: (amostra, grads) => gradienteMatriz(brain, amostra, grads), aplicar: () => {} };
+}
+
+/** Derivative of an activation, given its output `y`. */
+function derivadaAtivacao(ativacao, y) {
+  if (ativacao === 'relu') return y > 0 ? 1 : 0;
+  if (ativacao === 'tanh') return 1 - y * y;
+  if (ativacao === 'sigmoid') return y * (1 - y);
+  return 1; // linear
+}
+
+/** Backpropagation through CerebroMatriz's dense layers (grads: kernel₀, bias₀, …). */
+function gradienteMatriz(brain, amostra, grads) {
+  const camadas = brain.camadas;
+  const ativacoes = [amostra.slice(0, camadas[0].entradas)];
+  for (const { entradas, saidas, ativacao, pesos, bias } of camadas) {
+    const x = ativacoes[ativacoes.length - 1];
+    const y = new Float64Array(saidas);
+    for (let j = 0; j < saidas; j++) {
+      let soma = bias[j];
+      for (let k = 0; k < entradas; k++) soma += x[k] * pesos[k * saidas + j];
+      y[j] = ativacao === 'relu' ? Math.max(0, soma)
+        : ativacao === 'tanh' ? Math.tanh(soma)
+        : ativacao === 'sigmoid' ? 1 / (1 + Math.exp(-soma))
+        : soma;
+    }
+    ativacoes.push(y);
+  }
+
+  const saida = ativacoes[ativacoes.length - 1];
+  const alvo = amostra.slice(camadas[0].entradas);
+  let perda = 0;
+  let erro = Float64Array.from(saida, (y, j) => {
+    perda += (y - alvo[j]) ** 2 / saida.length;
+    return 2 * (y - alvo[j]) / saida.length;
+  });
+  for (let l = camadas.length - 1; l >= 0; l--) {
+    const { entradas, saidas, ativacao, pesos } = camadas[l];
+    const x = ativacoes[l];
+    const delta = Float64Array.from(erro, (e, j) => e * derivadaAtivacao(ativacao, ativacoes[l + 1][j]));
+    const anterior = new Float64Array(entradas);
+    for (let k = 0; k < entradas; k++) {
+      for (let j = 0; j < saidas; j++) {
+        grads[2 * l][k * saidas + j] += x[k] * delta[j];
+        anterior[k] += pesos[k * saidas + j] * delta[j];
+      }
+    }
+    for (let j = 0; j < saidas; j++) grads[2 * l + 1][j] += delta[j];
+    erro = anterior;
+  }
+  return perda;
+}
+
+/** Backpropagation through a NEAT genome's enabled genes, in reverse topological order. */
+function gradienteNEAT(brain, indice, amostra, grads) {
+  const saidaRede = brain.pensar(amostra);   // fills the compiled network's node values
+  const { ordem, entradasDe, saidas, valores } = brain._compilar();
+  const alvo = amostra.slice(amostra.length - saidas.length);
+  const erro = new Float64Array(valores.length);
+  let perda = 0;
+  saidas.forEach((no, j) => {
+    perda += (saidaRede[j] - alvo[j]) ** 2 / saidas.length;
+    erro[no] += 2 * (valores[no] - alvo[j]) / saidas.length;
+  });
+  for (let i = ordem.length - 1; i >= 0; i--) {
+    const no = ordem[i];
+    const delta = erro[no] * (1 - valores[no] * valores[no]);   // every hidden/output node is tanh
+    for (const c of entradasDe[no]) {
+      grads[indice.get(c)] += delta * valores[c.de];
+      erro[c.de] += delta * c.peso;
+    }
+  }
+  return perda;
+}
+
+// ── Evaluation ─────────────────────────────────────────────────────────────
+
+/** An output rounded to the key it stands for: -1, 0 or 1. */
+function teclaDaSaida(v) {
+  return v > 0.5 ? 1 : (v < -0.5 ? -1 : 0);
+}
+
+/**
+ * Loss and accuracy of `brain` on `amostras`. An example counts as correct
+ * when both outputs round to the keys the person pressed.
+ * @returns {{ perda: number, acuracia: number }}
+ */
+function avaliarImitacao(brain, amostras) {
+  if (amostras.length === 0) return { perda: 0, acuracia: 0 };
+  const previstas = preverAmostras(brain, amostras);
+  let perda = 0;
+  let certas = 0;
+  amostras.forEach((amostra, i) => {
+    const [rot, throttle] = previstas[i];
+    const [alvoRot, alvoThrottle] = amostra.slice(amostra.length - 2);
+    perda += ((rot - alvoRot) ** 2 + (throttle - alvoThrottle) ** 2) / 2;
+    if (teclaDaSaida(rot) === alvoRot && teclaDaSaida(throttle) === alvoThrottle) certas++;
+  });
+  return { perda: perda / amostras.length, acuracia: certas / amostras.length };
+}
+
+/** [rot, throttle] for every example (one batched predict on TF.js). */
+function preverAmostras(brain, amostras) {
+  if (brain instanceof Cerebro) {
+    return tf.tidy(() => brain.model.predict(tensoresAmostras(amostras)[0]).arraySync());
+  }
+  return amostras.map(a => brain.pensar(a.slice(0, a.length - 2)));
+}
@@ -0,0 +1,68 @@
+/**
+ * island-worker.js – One island of an island-model run (Web Worker or worker_threads)
+ * ────────────────────────────────────────────────────────────────────────────
+ * Loads the simulation scripts (no p5, no DOM) and evolves one island
+ * (island.js) on request from the page or train.js. Messages, each answered
+ * with one reply:
+ *
+ *   { tipo: 'iniciar', estado, semear }  →  { tipo: 'pronta', generation }
+ *       estado = a run checkpoint: settings, tracks, elite, seed
+ *   { tipo: 'geracao' }                  →  { tipo: 'geracao', …resumoIlha() }
+ *   { tipo: 'migrantes', elite }         →  { tipo: 'recebidos' }
+ *       elite = [{ pesos, fitness, mutacao }], the best of another island
+ *
+ * Any failure is answered with { tipo: 'erro', mensagem }.
+ */
+
+const SCRIPTS_ILHA = ['mapa_gerado.js', 'random.js', 'brain.js', 'brain-matrix.js', 'brain-neat.js', 'brain-format.js',
+  'fitness.js', 'car.js', 'track.js', 'curriculum.js', 'selection.js', 'mutation.js', 'optimizer.js', 'evolution.js',
+  'checkpoint.js', 'island.js'];
+
+let ilhaAtual = null;
+let geracaoIlha = 1;       // next generation the island runs
+let sementeIlha = null;    // seed brain for generation 1 (criarCerebros' `saved`)
+
+function tratarMensagem(msg) {
+  try {
+    switch (msg.tipo) {
+      case 'iniciar': {
+        const estado = restaurarCheckpoint(msg.estado);
+        const curriculo = new Curriculo(pistas, estado.curriculo.config);
+        curriculo.nivel = estado.curriculo.nivel;
+        ilhaAtual = new Ilha(curriculo, estado.eliteBrains);
+        geracaoIlha = estado.generation;
+        sementeIlha = msg.semear ? estado.eliteBrains[0] : null;
+        return { tipo: 'pronta', generation: geracaoIlha };
+      }
+      case 'geracao': {
+        const rodada = ilhaAtual.geracao(geracaoIlha, geracaoIlha === 1 ? sementeIlha : null);
+        return { tipo: 'geracao', ...resumoIlha(geracaoIlha++, rodada, ilhaAtual.curriculo) };
+      }
+      case 'migrantes': {
+        ilhaAtual.receberMigrantes(cerebrosDaElite(msg.elite));
+        return { tipo: 'recebidos' };
+      }
+      default:
+        throw new Error(`Unknown island message "${msg.tipo}"`);
+    }
+  } catch (e) {
+    return { tipo: 'erro', mensagem: e.message };
+  }
+}
+
+if (typeof importScripts === 'function') {
+  // Web Worker: the scripts share the worker's global scope, as in the page
+  importScripts(...SCRIPTS_ILHA);
+  onmessage = e => postMessage(tratarMensagem(e.data));
+} else {
+  // worker_threads: the same scripts, run in this thread's context like train.js does
+  const fs = require('fs');
+  const path = require('path');
+  const vm = require('vm');
+  const { parentPort } = require('worker_threads');
+  for (const file of SCRIPTS_ILHA) {
+    const caminho = path.join(__dirname, file);
+    vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+  }
+  parentPort.on('message', msg => parentPort.postMessage(tratarMensagem(msg)));
+}
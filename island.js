@@ -0,0 +1,311 @@
+/**
+ * island.js – Island-model evolution (no p5, no DOM)
+ * ───────────────────────────────────────────────────
+ * An island is a population of its own that breeds and is evaluated exactly
+ * like a single run (criarCerebros → one round per scheduled track →
+ * avaliarGeracao). An archipelago runs several islands side by side, each in
+ * a worker (island-worker.js) with its own generator, and every
+ * ILHAS_CONFIG.migracaoACada generations copies each island's best brains
+ * into the next island's elite pool (a ring: 0 → 1 → … → n-1 → 0).
+ *
+ * Islands start from a checkpoint of the run (checkpoint.js) — settings,
+ * tracks and elite — and report each generation as plain data (resumoIlha),
+ * so the page and train.js only combine the summaries and pick what to show.
+ * Only the matrix backend runs on islands: NEAT's innovation numbers and
+ * species live in one process, and TF.js isn't loaded in the workers.
+ *
+ * Shared by sketch.js / islands-panel.js, train.js (--islands) and the
+ * workers themselves.
+ */
+
+const ILHAS_CONFIG = {
+  ilhas: 4,            // islands, one worker each
+  migracaoACada: 5,    // generations between migrations
+  migrantes: 2,        // best brains each island sends to the next
+};
+
+// ── One island ─────────────────────────────────────────────────────────────
+
+class Ilha {
+  /**
+   * @param {Curriculo} curriculo    The island's own track schedule
+   * @param {object[]}  eliteBrains  Elite pool to breed the first generation from
+   */
+  constructor(curriculo, eliteBrains = []) {
+    this.curriculo = curriculo;
+    this.eliteBrains = eliteBrains;
+  }
+
+  /**
+   * Breed, drive and evaluate one generation; the pool moves on to its elite.
+   * @param {number}      generation
+   * @param {object|null} [saved]  Seed brain (generation 1, see criarCerebros)
+   * @returns {{ resultado: object, brains: object[], population: Car[], fitness: number[],
+   *            tracks: object, finished: number, frames: number, desbloqueada: object|null,
+   *            evento: object|null }}
+   *          resultado = avaliarGeracao(); population = the last round's cars, best
+   *          first; tracks = finishers per track; finished = their sum;
+   *          evento = acompanharEstagnacao()'s stall event (mutation.js).
+   *          With ES or CMA-ES the distribution learns from `fitness` (optimizer.js).
+   */
+  geracao(generation, saved = null) {
+    const brains = criarCerebros(this.eliteBrains, saved);
+
+    // One round per scheduled track, same brains each time
+    let population;
+    let frames = 0;
+    const tracks = {};
+    for (const pista of this.curriculo.iniciarGeracao(generation)) {
+      ativarPista(pista);
+      population = brains.map(brain => new Car(spawnPoint.x, spawnPoint.y, brain));
+      frames += correrRodada(population);
+      tracks[pista.nome] = this.curriculo.registrarRodada(population);
+    }
+
+    const { fitness, desbloqueada } = this.curriculo.concluirGeracao();
+    const cerebros = population.map(c => c.brain);   // in `fitness` order, before avaliarGeracao sorts
+    const resultado = avaliarGeracao(population, fitness);
+    this.eliteBrains = resultado.eliteBrains;
+    atualizarDistribuicao(cerebros, fitness);
+    const evento = acompanharEstagnacao(generation, resultado.best, desbloqueada);
+    const finished = Object.values(tracks).reduce((a, b) => a + b, 0);
+    return { resultado, brains, population, fitness, tracks, finished, frames, desbloqueada, evento };
+  }
+
+  /**
+   * Take in brains bred elsewhere: they replace the weakest of the pool,
+   * which is re-sorted by fitness so a strong migrant becomes an elite.
+   * @param {object[]} migrantes  Brains, each with its `fitness`
+   */
+  receberMigrantes(migrantes) {
+    const ficam = this.eliteBrains.slice(0, Math.max(0, this.eliteBrains.length - migrantes.length));
+    this.eliteBrains = ficam.concat(migrantes).sort((a, b) => b.fitness - a.fitness);
+  }
+}
+
+/**
+ * Run one track round to the end, with the same end condition as draw():
+ * everyone dead or time's up.
+ * @param {Car[]} population
+ * @returns {number}  Frames simulated
+ */
+function correrRodada(population) {
+  let frames = 0;
+  let aliveCount = population.length;
+  while (aliveCount > 0 && frames <= MAX_FRAMES) {
+    atualizarPopulacao(population);
+    aliveCount = population.filter(c => c.alive).length;
+    frames++;
+  }
+  return frames;
+}
+
+/**
+ * An island generation as plain data, the way a worker posts it.
+ * @param {number}    generation
+ * @param {object}    rodada     Ilha.geracao()'s result
+ * @param {Curriculo} curriculo  The island's schedule
+ * @returns {object}  avaliarGeracao()'s numbers plus: generation, pontuacoes (every
+ *   car's fitness, best first), tracks, finished, frames, nivel, desbloqueada (track
+ *   name or null), pista (the last round's track), brains (the generation's weights,
+ *   to draw it), elite ([{ pesos, fitness, mutacao }], best first), melhor (a brain
+ *   file) and evento (stall event or null)
+ */
+function resumoIlha(generation, rodada, curriculo) {
+  const { resultado, brains, fitness, tracks, finished, frames, desbloqueada, evento } = rodada;
+  const { eliteBrains, ...metricas } = resultado;
+  return {
+    ...metricas,
+    generation,
+    pontuacoes: fitness.slice().sort((a, b) => b - a),
+    tracks,
+    finished,
+    frames,
+    nivel: curriculo.nivel,
+    desbloqueada: desbloqueada ? desbloqueada.nome : null,
+    pista: curriculo.rodadas[curriculo.rodadas.length - 1].nome,
+    brains: brains.map(b => b.exportarPesos()),
+    elite: eliteBrains.map(b => ({ pesos: b.exportarPesos(), fitness: b.fitness, mutacao: b.mutacao })),
+    melhor: serializarCerebro(eliteBrains[0], {
+      fitness: fitnessConfig,
+      treino: dadosTreino(generation, curriculo.pistasAtivas(), resultado.best),
+    }),
+    evento,
+  };
+}
+
+// ── Archipelago ────────────────────────────────────────────────────────────
+
+/** Why this run can't be split into islands, or null if it can. */
+function motivoSemIlhas() {
+  if (brainBackend !== 'matriz') return `Islands run the matrix backend only (this run uses "${brainBackend}")`;
+  if (usaOtimizador()) return `Islands breed with the genetic algorithm (this run uses ${OTIMIZADORES[otimizadorConfig.otimizador].nome})`;
+  return null;
+}
+
+/**
+ * A checkpoint per island: the run's own for island 0, so it carries on the
+ * run's random sequence, and fresh seeds spread over 32 bits for the others.
+ * @param {object} checkpoint  capturarCheckpoint() of the run
+ * @param {number} n
+ * @returns {object[]}
+ */
+function estadosIlhas(checkpoint, n) {
+  return Array.from({ length: n }, (_, i) => {
+    if (i === 0) return checkpoint;
+    const semente = (checkpoint.rng.semente + i * 0x9E3779B9) >>> 0;
+    return { ...checkpoint, rng: { semente, estado: semente } };
+  });
+}
+
+/**
+ * Promise-based requests to an island worker — a Web Worker in the page or a
+ * worker_threads Worker under Node. One request at a time; a worker's
+ * `{ tipo: 'erro' }` reply (or a crash) rejects it.
+ * @param {Worker} worker
+ * @returns {{ pedir: (mensagem: object) => Promise<object>, encerrar: () => void }}
+ */
+function canalIlha(worker) {
+  let pendente = null;
+  const concluir = (erro, resposta) => {
+    const pedido = pendente;
+    pendente = null;
+    if (!pedido) return;
+    if (erro) pedido.reject(erro);
+    else pedido.resolve(resposta);
+  };
+  const responder = msg => (msg.tipo === 'erro' ? concluir(new Error(msg.mensagem)) : concluir(null, msg));
+  const falhar = e => concluir(new Error(`Island worker failed: ${e.message}`));
+
+  if (typeof worker.on === 'function') {
+    worker.on('message', responder);
+    worker.on('error', falhar);
+  } else {
+    worker.onmessage = e => responder(e.data);
+    worker.onerror = e => { e.preventDefault(); falhar(e); };
+  }
+  return {
+    pedir(mensagem) {
+      return new Promise((resolve, reject) => {
+        pendente = { resolve, reject };
+        worker.postMessage(mensagem);
+      });
+    },
+    encerrar() {
+      worker.terminate();
+      concluir(new Error('Island stopped'));
+    },
+  };
+}
+
+class Arquipelago {
+  /**
+   * @param {object[]} canais  canalIlha() per island
+   * @param {object}   config  Overrides for ILHAS_CONFIG (migracaoACada, migrantes)
+   */
+  constructor(canais, config = {}) {
+    this.canais = canais;
+    this.config = { ...ILHAS_CONFIG, ...config, ilhas: canais.length };
+    this.geracoes = 0;   // generations run since iniciar()
+  }
+
+  /**
+   * Load each island's starting state.
+   * @param {object[]} estados  A checkpoint per island (estadosIlhas)
+   * @param {boolean}  semear   Breed generation 1 from the elite's best as the seed brain
+   */
+  iniciar(estados, semear = false) {
+    return Promise.all(this.canais.map((canal, i) => canal.pedir({ tipo: 'iniciar', estado: estados[i], semear })));
+  }
+
+  /**
+   * Run one generation on every island (in parallel, in lockstep), then
+   * migrate if it's time.
+   * @returns {Promise<{ resumos: object[], migrou: boolean }>}  resumoIlha() per island
+   */
+  async geracao() {
+    const resumos = await Promise.all(this.canais.map(canal => canal.pedir({ tipo: 'geracao' })));
+    this.geracoes++;
+    const migrou = this.canais.length > 1 && this.config.migrantes > 0 &&
+      this.geracoes % this.config.migracaoACada === 0;
+    if (migrou) await this.migrar(resumos);
+    return { resumos, migrou };
+  }
+
+  /** Island i takes in the best `migrantes` of island i - 1. */
+  migrar(resumos) {
+    const n = resumos.length;
+    return Promise.all(this.canais.map((canal, i) => canal.pedir({
+      tipo: 'migrantes',
+      elite: resumos[(i + n - 1) % n].elite.slice(0, this.config.migrantes),
+    })));
+  }
+
+  encerrar() {
+    for (const canal of this.canais) canal.encerrar();
+  }
+}
+
+// ── Combining islands ──────────────────────────────────────────────────────
+
+/**
+ * One summary for a generation of every island, shaped like avaliarGeracao()'s:
+ * best / mean / median / worst over all cars, finishers and frames summed,
+ * the most gates and fastest lap of any island, and avgFrames, avgSpeed,
+ * diversity and the mutation rate and σ averaged over the islands (diversity
+ * is within each island).
+ * @param {object[]} resumos  resumoIlha() per island
+ * @returns {{ best, mean, median, worst, finished, tracks, checkpoints, bestLap,
+ *            avgFrames, avgSpeed, diversity, mutationRate, mutationSigma, frames }}
+ */
+function resumirArquipelago(resumos) {
+  const todas = resumos.flatMap(r => r.pontuacoes).sort((a, b) => b - a);
+  const media = valores => valores.reduce((a, b) => a + b, 0) / valores.length;
+  const meio = Math.floor(todas.length / 2);
+  const tracks = {};
+  for (const r of resumos) {
+    for (const [nome, n] of Object.entries(r.tracks)) tracks[nome] = (tracks[nome] || 0) + n;
+  }
+  return {
+    best: todas[0],
+    mean: media(todas),
+    median: todas.length % 2 ? todas[meio] : (todas[meio - 1] + todas[meio]) / 2,
+    worst: todas[todas.length - 1],
+    finished: resumos.reduce((s, r) => s + r.finished, 0),
+    tracks,
+    checkpoints: Math.max(...resumos.map(r => r.checkpoints)),
+    bestLap: Math.min(...resumos.map(r => r.bestLap)),
+    avgFrames: media(resumos.map(r => r.avgFrames)),
+    avgSpeed: media(resumos.map(r => r.avgSpeed)),
+    diversity: media(resumos.map(r => r.diversity)),
+    mutationRate: media(resumos.map(r => r.mutationRate)),
+    mutationSigma: media(resumos.map(r => r.mutationSigma)),
+    frames: resumos.reduce((s, r) => s + r.frames, 0),
+  };
+}
+
+/**
+ * The best brains of all islands as one elite pool (best first, the size
+ * avaliarGeracao() keeps), built with the current backend.
+ * @param {object[]} resumos  resumoIlha() per island
+ * @returns {object[]}
+ */
+function juntarElites(resumos) {
+  return cerebrosDaElite(resumos.flatMap(r => r.elite)
+    .sort((a, b) => b.fitness - a.fitness)
+    .slice(0, tamanhoPool()));
+}
+
+/**
+ * Rebuild posted elite entries as brains of the current (dense) backend.
+ * @param {{ pesos: object, fitness: number, mutacao?: object }[]} elite
+ * @returns {object[]}  Each with its `fitness` (and self-adaptive `mutacao`)
+ */
+function cerebrosDaElite(elite) {
+  return elite.map(({ pesos, fitness, mutacao }) => {
+    const brain = construirCerebro({ tipo: 'denso', arquitetura: arquiteturaAtiva(), pesos });
+    brain.fitness = fitness;
+    if (mutacao) brain.mutacao = mutacao;
+    return brain;
+  });
+}
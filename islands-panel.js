@@ -0,0 +1,184 @@
+/**
+ * islands-panel.js – Island-model runs in the page (Web Workers + DOM)
+ * ────────────────────────────────────────────────────────────────────
+ * 🏝️ Start islands splits the run into several populations (island.js),
+ * each evolving in a Web Worker from the run's current state — settings,
+ * tracks, elite and seed. From then on the page breeds nothing: every
+ * generation of the islands is recorded in the history, counters and
+ * checkpoint as one, with their best brains combined as the run's elite, and
+ * draw() only replays the latest generation of the island picked in the
+ * panel, on the track that island drove last. Stop (or a reset, a load, a
+ * resume, opening the editor) ends the workers; the run then carries on here
+ * from the combined elite.
+ *
+ * Browsers don't start workers for pages opened from file:// — serve the
+ * folder over http (see the README).
+ */
+
+let arquipelago = null;   // running islands (island.js), or null
+const ilhasVisor = {
+  escolhida: 0,           // island drawn on the canvas
+  resumos: [],            // latest resumoIlha() of each island
+  mostrado: null,         // the resumo being drawn
+};
+
+// ── Start / stop ───────────────────────────────────────────────────────────
+
+function alternarIlhas() {
+  if (arquipelago) pararIlhas();
+  else iniciarIlhas();
+}
+
+async function iniciarIlhas() {
+  if (typeof Worker === 'undefined') { showToast('⚠️ This browser has no Web Workers.'); return; }
+  const motivo = motivoSemIlhas();
+  if (motivo) { showToast(`⚠️ ${motivo}.`); return; }
+  if (diagnosticoMapa.erros.length > 0) { showToast('⚠️ Fix the map errors (E) before starting islands.'); return; }
+  if (editorAtivo) aplicarEdicao();
+
+  const ler = (id, padrao, minimo) => Math.max(minimo, Math.floor(Number(document.getElementById(id).value)) || padrao);
+  const n = ler('ilhas-quantidade', ILHAS_CONFIG.ilhas, 2);
+  const config = {
+    migracaoACada: ler('ilhas-migracao', ILHAS_CONFIG.migracaoACada, 1),
+    migrantes: ler('ilhas-migrantes', ILHAS_CONFIG.migrantes, 0),
+  };
+
+  // Generation 1 breeds from the seed brain, as in newGeneration()
+  const saved = generation === 1 ? (cerebroInicial || carregarCerebroSalvo()) : null;
+  const elite = eliteBrains.length > 0 || !saved ? eliteBrains : [saved];
+  const checkpoint = capturarCheckpoint({
+    generation, eliteBrains: elite, bestScoreEver, totalFinished, bestLapEver, curriculo,
+  });
+
+  let canais;
+  try {
+    canais = Array.from({ length: n }, () => canalIlha(new Worker('island-worker.js')));
+  } catch (e) {
+    showToast(`⚠️ Could not start the workers (${e.message}) — serve the page over http.`);
+    return;
+  }
+  const atual = new Arquipelago(canais, config);
+  arquipelago = atual;
+  ilhasVisor.escolhida = Math.min(ilhasVisor.escolhida, n - 1);
+  atualizarPainelIlhas();
+  try {
+    await atual.iniciar(estadosIlhas(checkpoint, n), saved !== null);
+  } catch (e) {
+    if (arquipelago === atual) pararIlhas();
+    showToast(`⚠️ Islands failed to start: ${e.message}`);
+    return;
+  }
+  const cada = config.migracaoACada;
+  showToast(`🏝️ ${n} islands evolving — ${config.migrantes} brains migrate every ${cada} generation${cada === 1 ? '' : 's'}.`);
+  evoluirIlhas(atual);
+}
+
+/** Run generations on the islands until they're stopped. */
+async function evoluirIlhas(atual) {
+  while (arquipelago === atual) {
+    let geracaoIlhas;
+    try {
+      geracaoIlhas = await atual.geracao();
+    } catch (e) {
+      if (arquipelago !== atual) return;   // stopped on purpose
+      pararIlhas();
+      showToast(`⚠️ Islands stopped: ${e.message}`);
+      return;
+    }
+    if (arquipelago !== atual) return;
+    registrarGeracaoIlhas(geracaoIlhas);
+  }
+}
+
+/** End the islands; the run goes on here from their combined elite. */
+function pararIlhas() {
+  encerrarIlhas();
+  newGeneration();
+  showToast(`⏹ Islands stopped — gen ${generation} breeds from their best brains.`);
+}
+
+/** Terminate the workers (newGeneration() calls this when a run replaces theirs). */
+function encerrarIlhas() {
+  arquipelago.encerrar();
+  arquipelago = null;
+  ilhasVisor.resumos = [];
+  ilhasVisor.mostrado = null;
+  atualizarPainelIlhas();
+}
+
+// ── Generations ────────────────────────────────────────────────────────────
+
+/** Fold a generation of every island into the run, like nextGeneration() does for one. */
+function registrarGeracaoIlhas({ resumos, migrou }) {
+  const resultado = resumirArquipelago(resumos);
+  eliteBrains = juntarElites(resumos);
+  cerebroInicial = null;
+  totalFinished += resultado.finished;
+  bestScoreEver = Math.max(bestScoreEver, resultado.best);
+  bestLapEver = Math.min(bestLapEver, resultado.bestLap);
+  curriculo.nivel = Math.max(...resumos.map(r => r.nivel));
+  // The history marks a stall response if any island gave one
+  const respostas = resumos.filter(r => respostaDoEvento(r.evento));
+  registrarHistorico(generation, resultado, resultado.finished, respostas.length > 0 ? respostas[0].evento : null);
+  gravarReplayDaGeracao({ ...resultado, eliteBrains });
+  resumos.forEach((r, i) => {
+    if (r.desbloqueada) showToast(`🔓 Island ${i + 1} unlocked: ${r.desbloqueada}`);
+    if (r.evento) registrarEventoMutacao(r.evento, i);
+  });
+  if (migrou) console.log(`🔀 Islands exchanged their best ${arquipelago.config.migrantes} brains`);
+
+  generation++;
+  registrarCheckpoint();
+  ilhasVisor.resumos = resumos;
+  if (!ilhasVisor.mostrado) mostrarIlha();
+  atualizarPainelIlhas();
+  atualizarPainelMutacao();
+}
+
+// ── Drawing ────────────────────────────────────────────────────────────────
+
+/**
+ * Put the chosen island's latest generation on the canvas, if it has a new
+ * one (called from draw() when a round ends).
+ * @param {boolean} [sempre]  Restart even if that generation is already shown
+ */
+function mostrarIlha(sempre = false) {
+  const resumo = ilhasVisor.resumos[ilhasVisor.escolhida];
+  if (!resumo || (resumo === ilhasVisor.mostrado && !sempre)) return;
+  ilhasVisor.mostrado = resumo;
+  frameCount_ = 0;
+  transitioning = false;
+
+  const pista = pistas.find(p => p.nome === resumo.pista);
+  if (pista.mapa !== mapa) {
+    ativarPista(pista);
+    resizeCanvas(mapa[0].length * tileSize, mapa.length * tileSize);
+  }
+  population = resumo.brains.map(pesos => new Car(spawnPoint.x, spawnPoint.y,
+    construirCerebro({ tipo: 'denso', arquitetura: arquiteturaAtiva(), pesos })));
+}
+
+function escolherIlha(indice) {
+  ilhasVisor.escolhida = Number(indice);
+  mostrarIlha(true);
+}
+
+/** "Gen: 12" — or, with islands running, the island and generation being drawn. */
+function rotuloGeracao() {
+  if (!arquipelago) return `Gen: ${generation}`;
+  const { escolhida, mostrado } = ilhasVisor;
+  return `Island ${escolhida + 1}  |  Gen: ${mostrado ? mostrado.generation : '…'}`;
+}
+
+// ── Panel ──────────────────────────────────────────────────────────────────
+
+function atualizarPainelIlhas() {
+  const n = arquipelago ? arquipelago.canais.length : 0;
+  document.getElementById('ilhas-visor').replaceChildren(...Array.from({ length: n },
+    (_, i) => new Option(`Show island ${i + 1}`, i, false, i === ilhasVisor.escolhida)));
+  const linhas = ilhasVisor.resumos.map((r, i) =>
+    `${i + 1}: best ${Math.floor(r.best)} · mean ${Math.floor(r.mean)} · ${r.finished} finished`);
+  document.getElementById('ilhas-status').textContent = !arquipelago
+    ? 'One population, evolving in this page.'
+    : linhas.length > 0 ? `Gen ${generation - 1}\n${linhas.join('\n')}` : 'Starting the workers…';
+}
@@ -0,0 +1,239 @@
+/**
+ * library.js – Named brain library (browser only)
+ * ─────────────────────────────────────────────────
+ * Keeps any number of saved brains in localStorage instead of the single
+ * 'bestBrain' slot. Each entry wraps a brain file (brain-format.js):
+ *
+ *   { id, nome, salvoEm, arquivo }
+ *
+ * Entries can be renamed, deleted, downloaded as .json and uploaded back (on
+ * any machine), and several of them can seed a new run together as its
+ * initial eliteBrains. S still writes 'bestBrain' and adds an entry here.
+ */
+
+const BIBLIOTECA_STORAGE_KEY = 'bibliotecaCerebros';
+
+/** ids of the entries ticked in the panel (for seeding a run). */
+const selecionadosBiblioteca = new Set();
+
+// ── Storage ────────────────────────────────────────────────────────────────
+
+/** @returns {{ id: string, nome: string, salvoEm: string, arquivo: object }[]} */
+function lerBiblioteca() {
+  try {
+    return JSON.parse(localStorage.getItem(BIBLIOTECA_STORAGE_KEY)) || [];
+  } catch (e) {
+    console.warn('⚠️ Ignoring unreadable brain library.');
+    return [];
+  }
+}
+
+/** @returns {boolean}  false if localStorage is full */
+function gravarBiblioteca(entradas) {
+  try {
+    localStorage.setItem(BIBLIOTECA_STORAGE_KEY, JSON.stringify(entradas));
+    return true;
+  } catch (e) {
+    showToast('⚠️ Library is full — delete or download some brains first.');
+    return false;
+  }
+}
+
+/**
+ * Add a brain file to the library under `nome`.
+ * @param {string} nome
+ * @param {object} arquivo  Brain file (any format version)
+ * @returns {boolean}  false if it didn't fit in localStorage
+ */
+function adicionarABiblioteca(nome, arquivo) {
+  const entradas = lerBiblioteca();
+  entradas.unshift({
+    id: `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`,
+    nome,
+    salvoEm: new Date().toISOString(),
+    arquivo: migrarCerebro(arquivo),
+  });
+  if (!gravarBiblioteca(entradas)) return false;
+  montarBiblioteca();
+  return true;
+}
+
+/** Start the panel; a brain saved before the library existed becomes its first entry. */
+function iniciarBiblioteca() {
+  if (localStorage.getItem(BIBLIOTECA_STORAGE_KEY) === null) {
+    const legado = lerCerebroSalvo('bestBrain');
+    if (legado) {
+      adicionarABiblioteca('Saved brain', legado);
+      return;
+    }
+  }
+  montarBiblioteca();
+}
+
+// ── Entry actions (called from the panel) ──────────────────────────────────
+
+function salvarNaBiblioteca() {
+  const campo = document.getElementById('biblioteca-nome');
+  salvarCerebro(campo.value.trim() || undefined);
+  campo.value = '';
+}
+
+function renomearNaBiblioteca(id) {
+  const entradas = lerBiblioteca();
+  const entrada = entradas.find(e => e.id === id);
+  const nome = entrada && prompt('Brain name', entrada.nome);
+  if (!nome || !nome.trim()) return;
+  entrada.nome = nome.trim();
+  if (gravarBiblioteca(entradas)) montarBiblioteca();
+}
+
+function apagarDaBiblioteca(id) {
+  const entradas = lerBiblioteca();
+  const entrada = entradas.find(e => e.id === id);
+  if (!entrada || !confirm(`Delete "${entrada.nome}"?`)) return;
+  selecionadosBiblioteca.delete(id);
+  if (gravarBiblioteca(entradas.filter(e => e !== entrada))) montarBiblioteca();
+}
+
+function baixarDaBiblioteca(id) {
+  const entrada = lerBiblioteca().find(e => e.id === id);
+  if (!entrada) return;
+  const arquivo = entrada.nome.replace(/[^\w.-]+/g, '_') || 'brain';
+  baixarArquivo(`${arquivo}.json`, JSON.stringify(entrada.arquivo));
+}
+
+/**
+ * Read uploaded .json brain files (from train.js or another browser) into the
+ * library. A run checkpoint among them is resumed instead (sketch.js), a
+ * replay is opened in the replay viewer, and driving examples join the
+ * imitation-learning set.
+ */
+function importarArquivosCerebro(files) {
+  for (const file of files) {
+    const leitor = new FileReader();
+    leitor.onload = () => {
+      try {
+        const dados = JSON.parse(leitor.result);
+        if (dados.checkpoint) { aplicarCheckpoint(dados); return; }
+        if (dados.replay) { importarReplay(dados); return; }
+        if (dados.demonstracoes) { importarDemonstracoes(dados); return; }
+        const arquivo = migrarCerebro(dados);
+        if (adicionarABiblioteca(file.name.replace(/\.json$/i, ''), arquivo)) {
+          showToast(`📥 ${file.name} added to the library.`);
+        }
+      } catch (e) {
+        showToast(`⚠️ ${file.name}: not a brain file (${e.message})`);
+      }
+    };
+    leitor.readAsText(file);
+  }
+}
+
+// Dropped .json files are brains, checkpoints, replays or driving examples (editor.js handles dropped images)
+window.addEventListener('drop', e => {
+  const files = [...e.dataTransfer.files].filter(f => f.name.toLowerCase().endsWith('.json'));
+  if (files.length > 0) importarArquivosCerebro(files);
+});
+
+function alternarSelecaoBiblioteca(id, marcado) {
+  if (marcado) selecionadosBiblioteca.add(id);
+  else selecionadosBiblioteca.delete(id);
+}
+
+/**
+ * Start a new run with the ticked brains as generation 1's elites. They must
+ * share one network layout; the run switches to it (like L does for one brain).
+ */
+function semearComSelecionados() {
+  const escolhidas = lerBiblioteca().filter(e => selecionadosBiblioteca.has(e.id));
+  if (escolhidas.length === 0) { showToast('⚠️ Tick one or more brains first.'); return; }
+
+  const layout = e => JSON.stringify([e.arquivo.tipo, e.arquivo.arquitetura, e.arquivo.entradas]);
+  if (escolhidas.some(e => layout(e) !== layout(escolhidas[0]))) {
+    showToast('⚠️ The selected brains have different network layouts.');
+    return;
+  }
+
+  // Best first: tournament selection favours the front of the elite pool
+  escolhidas.sort((a, b) => pontuacaoEntrada(b) - pontuacaoEntrada(a));
+  let brains;
+  try {
+    aplicarDescricao(escolhidas[0].arquivo);
+    brains = escolhidas.map(e => {
+      const brain = construirCerebro(e.arquivo);
+      brain.fitness = pontuacaoEntrada(e);
+      return brain;
+    });
+  } catch (e) {
+    showToast(`⚠️ Could not rebuild the brains: ${e.message}`);
+    return;
+  }
+  iniciarComCerebros(brains);
+  showToast(`🌱 New run seeded from ${brains.length} brain${brains.length > 1 ? 's' : ''}.`);
+}
+
+// ── Panel ──────────────────────────────────────────────────────────────────
+
+function pontuacaoEntrada(entrada) {
+  const treino = entrada.arquivo.treino;
+  return treino && Number.isFinite(treino.pontuacao) ? treino.pontuacao : 0;
+}
+
+/** "dense · Gen 42 · 1834 pts · mapa_gerado · 19/10/26 14:02" */
+function descreverEntrada(entrada) {
+  const { tipo, treino } = entrada.arquivo;
+  const partes = [tipo === 'neat' ? 'NEAT' : 'dense'];
+  if (treino) {
+    partes.push(treino.imitacao
+      ? `imitation of ${treino.imitacao.amostras} frames (${Math.round(treino.imitacao.acuracia * 100)}%)`
+      : `Gen ${treino.geracao}`);
+    if (Number.isFinite(treino.pontuacao)) partes.push(`${Math.floor(treino.pontuacao)} pts`);
+    if (treino.pistas.length > 0) partes.push(treino.pistas.map(p => p.nome).join(', '));
+  }
+  partes.push(new Date(entrada.salvoEm).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' }));
+  return partes.join(' · ');
+}
+
+function montarBiblioteca() {
+  const entradas = lerBiblioteca();
+  const itens = entradas.map(entrada => {
+    const item = document.createElement('div');
+    item.className = 'biblioteca-item';
+
+    const marcar = document.createElement('input');
+    marcar.type = 'checkbox';
+    marcar.checked = selecionadosBiblioteca.has(entrada.id);
+    marcar.onchange = () => alternarSelecaoBiblioteca(entrada.id, marcar.checked);
+
+    const texto = document.createElement('div');
+    texto.className = 'biblioteca-texto';
+    const nome = document.createElement('div');
+    nome.className = 'biblioteca-nome';
+    nome.textContent = entrada.nome;
+    const meta = document.createElement('div');
+    meta.className = 'biblioteca-meta';
+    meta.textContent = descreverEntrada(entrada);
+    texto.append(nome, meta);
+
+    const botao = (rotulo, titulo, acao) => {
+      const b = document.createElement('button');
+      b.className = 'btn-ghost';
+      b.textContent = rotulo;
+      b.title = titulo;
+      b.onclick = acao;
+      return b;
+    };
+    item.append(marcar, texto,
+      botao('⬇', 'Download .json', () => baixarDaBiblioteca(entrada.id)),
+      botao('✎', 'Rename', () => renomearNaBiblioteca(entrada.id)),
+      botao('🗑', 'Delete', () => apagarDaBiblioteca(entrada.id)));
+    return item;
+  });
+  if (itens.length === 0) {
+    const vazio = document.createElement('div');
+    vazio.className = 'fitness-descricao';
+    vazio.textContent = 'No saved brains yet — press S or Save.';
+    itens.push(vazio);
+  }
+  document.getElementById('biblioteca-lista').replaceChildren(...itens);
+}
@@ -0,0 +1,238 @@
+/**
+ * manual.js – Drive a car yourself and race the AI (p5.js + DOM)
+ * ───────────────────────────────────────────────────────────────
+ * Manual mode pauses the simulation and puts one Car on the active track with
+ * a PilotoTeclado instead of a brain: Car.update() asks it for [rot, throttle]
+ * and gets the arrow keys, so a person drives under exactly the same physics,
+ * collision and lap rules as the evolved drivers.
+ *
+ * The saved best brain (or, without one, this run's best) is driven alone
+ * first (replay.js) and drawn as a ghost on the same frame clock. The clock
+ * starts with the first key press. Each drive is kept as a human replay in
+ * the replay viewer, its frames become imitation-learning examples
+ * (imitation-panel.js), and the fastest finish per track is remembered.
+ *
+ * Keyboard (manual mode only):
+ *   ← / →    →  steer
+ *   ↑ / ↓    →  throttle / brake & reverse
+ *   Enter    →  start over
+ *   M        →  open / close manual mode (E and V switch to the editor / viewer)
+ */
+
+const MANUAL_CONFIG = {
+  fantasma: true,   // race the saved best brain as a ghost
+};
+const RECORDES_STORAGE_KEY = 'recordesManuais';
+
+let manualAtivo = false;
+const manual = {
+  carro: null,       // the human's Car
+  quadros: [],       // frames driven so far (replay layout)
+  iniciado: false,   // clock running (first key pressed)
+  fantasma: null,    // the AI's replay, or null
+  resultado: null,   // text shown once the drive ended
+};
+
+// ── Keyboard driver ────────────────────────────────────────────────────────
+
+/**
+ * Stands in for a brain: Car.update() gets the arrow keys as its outputs.
+ * Every call is kept as an example — the network inputs it was shown and the
+ * keys pressed — for imitation learning (imitation.js).
+ */
+class PilotoTeclado {
+  constructor() {
+    this.saida = [0, 0];   // last [rot, throttle] handed to the car
+    this.amostras = [];    // [...inputs, rot, throttle] per frame
+  }
+
+  copiaCerebro() {
+    return this;
+  }
+
+  /**
+   * @param {number[]} entradas  The network inputs (see configEntradas)
+   * @returns {number[]}  [rot, throttle], each -1, 0 or 1
+   */
+  pensar(entradas) {
+    const eixo = (mais, menos) => (keyIsDown(mais) ? 1 : 0) - (keyIsDown(menos) ? 1 : 0);
+    this.saida = [eixo(RIGHT_ARROW, LEFT_ARROW), eixo(UP_ARROW, DOWN_ARROW)];
+    this.amostras.push([...entradas, ...this.saida]);
+    return this.saida;
+  }
+}
+
+// ── Mode ───────────────────────────────────────────────────────────────────
+
+function alternarManual() {
+  if (manualAtivo) fecharManual();
+  else abrirManual();
+}
+
+/** Pause the simulation and put a keyboard-driven car on the active track. */
+function abrirManual() {
+  if (diagnosticoMapa.erros.length > 0) { showToast('⚠️ Fix the map errors (E) before driving.'); return; }
+  if (editorAtivo) aplicarEdicao();
+  if (replayAtivo) fecharReplay();
+  manualAtivo = true;
+  frameRate(60);   // drive in real time whatever the simulation speed
+  manual.fantasma = MANUAL_CONFIG.fantasma ? gravarFantasma() : null;
+  document.getElementById('manual-panel').style.display = 'flex';
+  recomecarManual();
+  showToast(manual.fantasma
+    ? `🕹️ Manual mode — race the ghost of ${manual.fantasma.origem}. Arrow keys to drive.`
+    : '🕹️ Manual mode — arrow keys to drive.');
+}
+
+function fecharManual() {
+  manualAtivo = false;
+  frameRate(currentFPS);
+  document.getElementById('manual-panel').style.display = 'none';
+}
+
+/** Back to the spawn, clock stopped until the next key press. */
+function recomecarManual() {
+  manual.carro = new Car(spawnPoint.x, spawnPoint.y, new PilotoTeclado());
+  manual.quadros = [];
+  manual.iniciado = false;
+  manual.resultado = null;
+}
+
+/**
+ * Record the ghost: the saved best brain if it fits the current network,
+ * otherwise the best of this run so far.
+ * @returns {object|null}  A replay, with `origem` describing its brain
+ */
+function gravarFantasma() {
+  const salvo = carregarCerebroSalvo();
+  const brain = salvo || eliteBrains[0];
+  if (!brain) return null;
+  const replay = gravarReplay(brain, { geracao: salvo ? null : generation - 1, fitness: 0 });
+  replay.origem = salvo ? 'the saved brain' : `gen ${generation - 1}'s best`;
+  return replay;
+}
+
+// ── Driving ────────────────────────────────────────────────────────────────
+
+/** Called from draw() instead of the simulation while manual mode is open. */
+function desenharManual() {
+  const car = manual.carro;
+  if (!manual.iniciado && car.alive &&
+      [LEFT_ARROW, RIGHT_ARROW, UP_ARROW, DOWN_ARROW].some(k => keyIsDown(k))) {
+    manual.iniciado = true;
+  }
+  if (manual.iniciado && car.alive) {
+    car.update();
+    manual.quadros.push(...quadroDoCarro(car, car.brain.saida));
+    if (car.framesAlive > MAX_FRAMES) car.alive = false;   // same time limit as a round
+    if (!car.alive) terminarManual();
+  }
+
+  drawMap();
+  desenharCheckpoints();
+  const quadro = Math.max(0, car.framesAlive - 1);
+  if (manual.fantasma) {
+    drawingContext.globalAlpha = 0.35;
+    Car.prototype.show.call({ ...quadroReplay(manual.fantasma, quadro), sensors: [] }, false);
+    drawingContext.globalAlpha = 1;
+  }
+  car.show(true);
+
+  fill(255);
+  noStroke();
+  textFont('monospace');
+  textSize(13);
+  const voltas = voltasAtivas();
+  text(`MANUAL  |  frame ${car.framesAlive}/${MAX_FRAMES}  |  lap ${Math.min(car.voltasCompletas + 1, voltas)}/${voltas}` +
+    (Number.isFinite(car.melhorVolta) ? `  |  best lap ${car.melhorVolta}` : ''), 8, 18);
+  text(manual.resultado || (manual.iniciado ? situacaoFantasma(quadro) : 'Press an arrow key to start'), 8, 34);
+}
+
+/** What the ghost is doing at frame `quadro`. */
+function situacaoFantasma(quadro) {
+  const fantasma = manual.fantasma;
+  if (!fantasma) return '';
+  const chegada = quadrosAteChegada(fantasma);
+  if (chegada !== null && quadro >= chegada) return `ghost finished in ${chegada} frames`;
+  if (quadro >= totalQuadros(fantasma)) return 'ghost crashed';
+  return 'ghost racing';
+}
+
+/** The drive ended (crash, idle, finish or time's up): record it and compare. */
+function terminarManual() {
+  const car = manual.carro;
+  adicionarReplay(montarReplay({ piloto: 'humano', geracao: null, fitness: car.calcularFitness() },
+    null, Float64Array.from(manual.quadros)));
+  registrarConducao(car.brain.amostras, car.collisions > 0);
+
+  const chegada = manual.fantasma && quadrosAteChegada(manual.fantasma);
+  let resultado;
+  if (!car.finished) {
+    resultado = `You stopped after ${car.framesAlive} frames.`;
+  } else {
+    resultado = `You finished in ${car.framesAlive} frames (${segundos(car.framesAlive)}).`;
+    if (salvarRecorde(car)) resultado += ' New record!';
+  }
+  if (manual.fantasma) {
+    if (chegada === null) resultado += ' The ghost did not finish.';
+    else if (!car.finished) resultado += ` The ghost finished in ${chegada}.`;
+    else if (chegada === car.framesAlive) resultado += ' Dead heat with the ghost!';
+    else resultado += chegada < car.framesAlive
+      ? ` The ghost was ${car.framesAlive - chegada} frames faster.`
+      : ` You beat the ghost by ${chegada - car.framesAlive} frames!`;
+  }
+  manual.resultado = `${resultado}  Enter: again`;
+  showToast(`🏁 ${resultado}`);
+  montarRecordes();
+}
+
+/** "13.53 s" at the 60 FPS manual mode runs at. */
+function segundos(frames) {
+  return `${(frames / 60).toFixed(2)} s`;
+}
+
+// ── Records ────────────────────────────────────────────────────────────────
+// Fastest human finish per track, lap count and vehicle model (arcade unnamed):
+// { "oval · 3 laps": { frames, melhorVolta, data }, "oval · 3 laps · Realistic": … }
+
+function lerRecordes() {
+  try {
+    return JSON.parse(localStorage.getItem(RECORDES_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function chaveRecorde() {
+  const voltas = voltasAtivas();
+  const modelo = modeloFisica === 'arcade' ? '' : ` · ${MODELOS_FISICA[modeloFisica].nome}`;
+  return `${pistaAtiva.nome} · ${voltas} lap${voltas > 1 ? 's' : ''}${modelo}`;
+}
+
+/** @returns {boolean}  true if `car` set a new record on the active track */
+function salvarRecorde(car) {
+  const recordes = lerRecordes();
+  const anterior = recordes[chaveRecorde()];
+  if (anterior && anterior.frames <= car.framesAlive) return false;
+  recordes[chaveRecorde()] = { frames: car.framesAlive, melhorVolta: car.melhorVolta, data: new Date().toISOString() };
+  localStorage.setItem(RECORDES_STORAGE_KEY, JSON.stringify(recordes));
+  return true;
+}
+
+function montarRecordes() {
+  const linhas = Object.entries(lerRecordes())
+    .map(([pista, r]) => `${pista}: ${r.frames} frames (${segundos(r.frames)}), best lap ${r.melhorVolta}`);
+  document.getElementById('manual-recordes').textContent =
+    linhas.length > 0 ? linhas.join('\n') : 'No finishes yet.';
+}
+
+/**
+ * Handle a manual-mode key press (called from keyPressed()). Every key is
+ * consumed: the arrows are polled by PilotoTeclado (and mustn't scroll the
+ * page), and the simulation shortcuts (speed, reset, …) wait until M.
+ * @returns {boolean}  true if the key was consumed
+ */
+function tratarTeclaManual() {
+  if (keyCode === ENTER) recomecarManual();
+  return true;
+}
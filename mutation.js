@@ -0,0 +1,252 @@
+/**
+ * mutation.js – Self-adaptive mutation and stagnation recovery (no p5, no DOM)
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Every child criarCerebros() (evolution.js) breeds is mutated by mutarFilho():
+ *  • fixed mode — each weight with probability MUTATION_RATE, by N(0, σ);
+ *  • self-adaptive mode — each genome carries its own `mutacao: { taxa, sigma }`.
+ *    A child inherits its parents' (geometric mean), perturbs both log-normally
+ *    and mutates its weights with the result, so rates that breed fitter
+ *    children spread through the population with them.
+ *
+ * acompanharEstagnacao() watches the best fitness of each generation. After
+ * `janela` generations without a gain of `tolerancia`, the run is stalled and
+ * the next of `respostas` kicks in:
+ *  • mutacao    — rate and σ of every child are multiplied by `reforco`
+ *                 until a new best;
+ *  • imigrantes — a share of the next generation are fresh random brains;
+ *  • reinicio   — the next generation keeps its elites, all others start over.
+ * Each further stall moves on to the next response (the last one repeats); a
+ * new best resets the escalation. Every response, and the recovery, returns
+ * an event for the HUD and train.js to log.
+ *
+ * Set from the HUD (sketch.js), ?adaptive= … / train.js --adaptive …, and
+ * saved in run checkpoints together with the stall tracker.
+ */
+
+const SIGMA_MUTACAO = 0.1;   // std. dev. of a dense weight perturbation
+
+// ── Settings ───────────────────────────────────────────────────────────────
+
+const RESPOSTAS_ESTAGNACAO = {
+  mutacao: { nome: 'Raise mutation', icone: '🔥' },
+  imigrantes: { nome: 'Random immigrants', icone: '🧬' },
+  reinicio: { nome: 'Partial restart', icone: '♻️' },
+};
+
+const MUTACAO_PADRAO = {
+  adaptativa: false,       // each genome evolves its own rate and σ
+  janela: 20,              // generations without a new best before a response (0 = never)
+  tolerancia: 0.01,        // relative gain that counts as a new best
+  respostas: ['mutacao', 'imigrantes', 'reinicio'],   // in order of escalation
+  reforco: 3,              // rate and σ factor of a 'mutacao' response (stacks up to reforco³)
+  imigrantes: 0.2,         // share of the population an 'imigrantes' response replaces
+};
+
+// Self-adaptation: log-normal step, and the range each genome's rate and σ
+// stay in, relative to their starting values (the rate never above 1)
+const AUTOADAPTACAO = { tau: 0.2, minimo: 0.1, maximo: 10 };
+
+/**
+ * Build a complete, validated mutation config: MUTACAO_PADRAO with `config` on top.
+ * @param {object} [config]
+ * @returns {{ adaptativa: boolean, janela: number, tolerancia: number, respostas: string[],
+ *            reforco: number, imigrantes: number }}
+ */
+function configMutacao(config = {}) {
+  const c = { ...MUTACAO_PADRAO, ...config };
+  const adaptativa = Boolean(c.adaptativa);
+  if (!Number.isInteger(c.janela) || c.janela < 0) throw new Error(`Invalid stall window "${c.janela}"`);
+  if (!(c.tolerancia >= 0)) throw new Error(`Invalid stall gain "${c.tolerancia}"`);
+  if (!(c.reforco >= 1)) throw new Error(`Invalid mutation boost "${c.reforco}"`);
+  if (!(c.imigrantes > 0 && c.imigrantes <= 1)) throw new Error(`Invalid immigrant share "${c.imigrantes}"`);
+  if (!Array.isArray(c.respostas) || c.respostas.length === 0) throw new Error('Pick at least one stall response');
+  const desconhecida = c.respostas.find(r => !(r in RESPOSTAS_ESTAGNACAO));
+  if (desconhecida !== undefined) throw new Error(`Unknown stall response "${desconhecida}"`);
+  const { janela, tolerancia, reforco, imigrantes } = c;
+  return { adaptativa, janela, tolerancia, respostas: c.respostas.slice(), reforco, imigrantes };
+}
+
+/** How children are mutated and stalls are answered. */
+let mutacaoConfig = configMutacao();
+
+/** Switch mutation settings; fields left out take their defaults. */
+function definirMutacao(config = {}) {
+  mutacaoConfig = configMutacao(config);
+}
+
+// ── Mutation ───────────────────────────────────────────────────────────────
+
+/** The σ a brain's backend perturbs weights with by default. */
+function sigmaPadrao(brain) {
+  return typeof brain.constructor.reproduzir === 'function' ? NEAT_CONFIG.desvioPeso : SIGMA_MUTACAO;
+}
+
+/**
+ * The rate and σ a brain mutates with — its own in self-adaptive runs (once
+ * it has bred with them), else the fixed ones.
+ * @param {object} brain
+ * @param {number} rate  The fixed rate
+ * @returns {{ taxa: number, sigma: number }}
+ */
+function parametrosMutacao(brain, rate) {
+  return (mutacaoConfig.adaptativa && brain.mutacao) || { taxa: rate, sigma: sigmaPadrao(brain) };
+}
+
+/**
+ * Mutate a freshly bred child in place (see the header). A stalled run's
+ * boost multiplies whatever rate and σ the child ends up with.
+ * @param {object}   filho
+ * @param {number}   rate         The fixed rate (MUTATION_RATE)
+ * @param {object[]} [pais]       The child's parents, for self-adaptive inheritance
+ */
+function mutarFilho(filho, rate, pais = [filho]) {
+  let { taxa, sigma } = parametrosMutacao(filho, rate);
+  if (mutacaoConfig.adaptativa) {
+    const { tau, minimo, maximo } = AUTOADAPTACAO;
+    const herdado = chave => Math.exp(pais.reduce((s, p) => s + Math.log(parametrosMutacao(p, rate)[chave]), 0) / pais.length);
+    const limitar = (v, inicial, teto = Infinity) => Math.min(teto, inicial * maximo, Math.max(inicial * minimo, v));
+    taxa = limitar(herdado('taxa') * Math.exp(tau * randn_bm()), rate, 1);
+    sigma = limitar(herdado('sigma') * Math.exp(tau * randn_bm()), sigmaPadrao(filho));
+    filho.mutacao = { taxa, sigma };
+  }
+  filho.mutar(Math.min(1, taxa * estagnacao.reforco), sigma * estagnacao.reforco);
+}
+
+/**
+ * Mean rate and σ a population's brains carry, times the boost they were bred
+ * under (for the history and stats.jsonl).
+ * @param {object[]} brains
+ * @returns {{ taxa: number, sigma: number }}
+ */
+function mediaMutacao(brains) {
+  const media = chave => brains.reduce((s, b) => s + parametrosMutacao(b, MUTATION_RATE)[chave], 0) / Math.max(1, brains.length);
+  return { taxa: Math.min(1, media('taxa') * estagnacao.reforco), sigma: media('sigma') * estagnacao.reforco };
+}
+
+// ── Stagnation ─────────────────────────────────────────────────────────────
+
+function estagnacaoInicial() {
+  return {
+    recorde: -Infinity,   // best fitness the current stretch has to beat
+    semMelhora: 0,        // generations since then
+    nivel: 0,             // responses given since the last new best
+    reforco: 1,           // current mutation boost
+    pendente: null,       // response the next criarCerebros() applies
+  };
+}
+
+/** The run's stall tracker. */
+let estagnacao = estagnacaoInicial();
+
+/** Start a run with a clean tracker. */
+function reiniciarEstagnacao() {
+  estagnacao = estagnacaoInicial();
+}
+
+/** The tracker as plain data, for run checkpoints. */
+function capturarEstagnacao() {
+  return { ...estagnacao, recorde: estagnacao.recorde === -Infinity ? null : estagnacao.recorde };
+}
+
+/** Put a captured tracker back (older checkpoints have none: a clean one). */
+function restaurarEstagnacao(dados) {
+  estagnacao = dados ? { ...dados, recorde: dados.recorde === null ? -Infinity : dados.recorde } : estagnacaoInicial();
+}
+
+/**
+ * Record a generation's best fitness and respond if the run has stalled.
+ * @param {number}      generation
+ * @param {number}      best         The generation's best fitness
+ * @param {object|null} desbloqueada  Track the curriculum just unlocked — the
+ *                                    fitness scale changes, so tracking starts over
+ * @returns {{ generation: number, tipo: string, semMelhora: number, recorde: number,
+ *            reforco: number }|null}
+ *          tipo = a key of RESPOSTAS_ESTAGNACAO, or 'recuperou' for a new best
+ *          that ends a stall; null when nothing happened (always, while ES or
+ *          CMA-ES sample the generations — they adapt their own step size)
+ */
+function acompanharEstagnacao(generation, best, desbloqueada = null) {
+  if (usaOtimizador()) return null;
+  const e = estagnacao;
+  const { janela, tolerancia, respostas, reforco } = mutacaoConfig;
+  const melhorou = e.recorde === -Infinity || best > e.recorde + Math.abs(e.recorde) * tolerancia;
+  if (desbloqueada || melhorou) {
+    const recuperou = e.nivel > 0 && !desbloqueada;
+    Object.assign(e, { recorde: best, semMelhora: 0, nivel: 0, reforco: 1 });
+    return recuperou ? { generation, tipo: 'recuperou', semMelhora: 0, recorde: best, reforco: 1 } : null;
+  }
+  e.semMelhora++;
+  if (janela === 0 || e.semMelhora < janela) return null;
+
+  const tipo = respostas[Math.min(e.nivel, respostas.length - 1)];
+  const evento = { generation, tipo, semMelhora: e.semMelhora, recorde: e.recorde };
+  e.semMelhora = 0;
+  e.nivel++;
+  if (tipo === 'mutacao') e.reforco = Math.min(e.reforco * reforco, reforco ** 3);
+  else e.pendente = tipo;
+  if (tipo === 'reinicio') e.reforco = 1;
+  return { ...evento, reforco: e.reforco };
+}
+
+/** Take the response the generation about to be bred should apply, if any. */
+function retirarRespostaPendente() {
+  const resposta = estagnacao.pendente;
+  estagnacao.pendente = null;
+  return resposta;
+}
+
+/** Brains criarCerebros() keeps unchanged from `eliteBrains` (NEAT: the champion). */
+function sobreviventes(eliteBrains) {
+  const Classe = eliteBrains.length > 0 ? eliteBrains[0].constructor : null;
+  if (Classe && typeof Classe.reproduzir === 'function') return 1;
+  return Math.min(eliteBrains.length, selecaoConfig.elitismo);
+}
+
+/**
+ * Partial restart: the elites (at least the best brain) and random brains for the rest.
+ * @param {object[]} eliteBrains  Elite pool, best first (not empty)
+ * @param {number}   total
+ * @returns {object[]}
+ */
+function reiniciarParte(eliteBrains, total) {
+  const mantidos = Math.min(total, Math.max(1, sobreviventes(eliteBrains)));
+  const brains = eliteBrains.slice(0, mantidos).map(b => b.copiaCerebro());
+  while (brains.length < total) brains.push(novoCerebro());
+  return brains;
+}
+
+/**
+ * Replace the last offspring of a bred generation with random immigrants
+ * (never the elites, nor the champion NEAT keeps at the head of each species).
+ * @param {object[]} brains       The new generation, elites first
+ * @param {object[]} eliteBrains  The pool it was bred from
+ */
+function receberImigrantes(brains, eliteBrains) {
+  const vagas = [];   // replaceable slots, last first
+  for (let i = brains.length - 1; i >= sobreviventes(eliteBrains); i--) {
+    if (!brains[i].campeao) vagas.push(i);
+  }
+  const n = Math.min(Math.round(mutacaoConfig.imigrantes * brains.length), vagas.length);
+  for (const i of vagas.slice(0, n)) brains[i] = novoCerebro();
+}
+
+/** The response an event records in the history and stats.jsonl (none for a recovery). */
+function respostaDoEvento(evento) {
+  return evento && evento.tipo in RESPOSTAS_ESTAGNACAO ? evento.tipo : undefined;
+}
+
+/**
+ * One line for a stagnation event (HUD log, toasts, train.js output).
+ * @param {object} evento  From acompanharEstagnacao()
+ * @returns {string}
+ */
+function descreverEvento({ generation, tipo, semMelhora, recorde, reforco }) {
+  if (tipo === 'recuperou') return `📈 Gen ${generation}: new best ${Math.floor(recorde)} — stall over, mutation back to normal`;
+  const parado = `Gen ${generation}: no new best for ${semMelhora} generations`;
+  const acao = {
+    mutacao: `mutation ×${+reforco.toFixed(2)}`,
+    imigrantes: `${Math.round(mutacaoConfig.imigrantes * 100)}% random immigrants`,
+    reinicio: 'restarting all but the elites',
+  }[tipo];
+  return `${RESPOSTAS_ESTAGNACAO[tipo].icone} ${parado} — ${acao}`;
+}
@@ -0,0 +1,211 @@
+/**
+ * network-view.js – Live drawing of a car's network (sidebar canvas)
+ * ──────────────────────────────────────────────────────────────────
+ * Draws the brain of the leader — or of the car last clicked on the track —
+ * as nodes and weighted edges: edges are green for positive and red for
+ * negative weights, thicker and brighter the larger they are; nodes light up
+ * with their activation for the car's current inputs. The rotation and
+ * throttle outputs are shown as gauges underneath.
+ *
+ * Works for every backend: dense brains (Cerebro, CerebroMatriz) are drawn
+ * layer by layer from exportarPesos(); NEAT genomes column by column from
+ * their depth in the graph, with disabled genes left out.
+ */
+
+let carroSelecionado = null;          // car clicked on the canvas; null → the leader
+const _desenhosRede = new WeakMap();  // brain → layout (weights are fixed within a generation)
+
+// ── Which car ──────────────────────────────────────────────────────────────
+
+/** Select the car nearest to (x, y) on the canvas; a click on empty track goes back to the leader. */
+function selecionarCarro(x, y) {
+  let melhor = null;
+  let menor = 20;   // px
+  for (const car of population) {
+    const d = Math.hypot(car.x - x, car.y - y);
+    if (d < menor) { menor = d; melhor = car; }
+  }
+  carroSelecionado = melhor;
+}
+
+/** The car whose network is shown: the selected one while it's in the population, else `leader`. */
+function carroVisualizado(leader) {
+  return carroSelecionado && population.includes(carroSelecionado) ? carroSelecionado : leader;
+}
+
+/** Ring around the selected car (drawn on the p5 canvas). */
+function destacarSelecionado() {
+  if (!carroSelecionado || !population.includes(carroSelecionado)) return;
+  noFill();
+  stroke(0, 200, 255);
+  strokeWeight(2);
+  circle(carroSelecionado.x, carroSelecionado.y, 30);
+}
+
+// ── Layout ─────────────────────────────────────────────────────────────────
+
+/**
+ * Nodes, edges and a forward pass for `brain`, built once per brain.
+ * @returns {{ nos: { coluna: number, linha: number }[],   // both in [0, 1]
+ *            arestas: { de: number, para: number, peso: number }[],
+ *            maxPeso: number,
+ *            saidas: number[],                         // node indices of rot, throttle
+ *            ativar: (entradas: number[]) => Float64Array }}  // value per node
+ */
+function desenhoDaRede(brain) {
+  if (!_desenhosRede.has(brain)) {
+    _desenhosRede.set(brain, brain instanceof CerebroNEAT ? desenhoNEAT(brain) : desenhoDenso(brain));
+  }
+  return _desenhosRede.get(brain);
+}
+
+/** Evenly spaced rows for `n` nodes in one column. */
+function linhasColuna(n) {
+  return Array.from({ length: n }, (_, i) => (n === 1 ? 0.5 : i / (n - 1)));
+}
+
+function desenhoDenso(brain) {
+  const { entradas, camadas } = brain.descreverArquitetura();
+  const { values } = brain.exportarPesos();   // kernel₀, bias₀, kernel₁, bias₁, …
+  const tamanhos = [entradas, ...camadas.map(c => c.unidades)];
+  const inicio = tamanhos.map((_, l) => tamanhos.slice(0, l).reduce((a, b) => a + b, 0));
+
+  const nos = tamanhos.flatMap((n, l) => linhasColuna(n).map(linha => ({ coluna: l / camadas.length, linha })));
+  const arestas = [];
+  camadas.forEach(({ unidades }, l) => {
+    const kernel = values[2 * l];
+    for (let k = 0; k < tamanhos[l]; k++) {
+      for (let j = 0; j < unidades; j++) {
+        arestas.push({ de: inicio[l] + k, para: inicio[l + 1] + j, peso: kernel[k * unidades + j] });
+      }
+    }
+  });
+
+  const ativar = x => {
+    const valores = new Float64Array(nos.length);
+    valores.set(x);
+    camadas.forEach(({ unidades, ativacao }, l) => {
+      const kernel = values[2 * l];
+      const bias = values[2 * l + 1];
+      for (let j = 0; j < unidades; j++) {
+        let soma = bias[j];
+        for (let k = 0; k < tamanhos[l]; k++) soma += valores[inicio[l] + k] * kernel[k * unidades + j];
+        valores[inicio[l + 1] + j] = ativacao === 'relu' ? Math.max(0, soma)
+          : ativacao === 'tanh' ? Math.tanh(soma)
+          : ativacao === 'sigmoid' ? 1 / (1 + Math.exp(-soma))
+          : soma;
+      }
+    });
+    return valores;
+  };
+
+  const ultima = inicio[inicio.length - 1];
+  return { nos, arestas, maxPeso: maiorPeso(arestas), saidas: [ultima, ultima + 1], ativar };
+}
+
+function desenhoNEAT(brain) {
+  const { ordem, entradasDe, saidas } = brain._compilar();
+
+  // Column = longest path from an input; outputs share the last column
+  const profundidade = new Map(brain.nos.filter(n => n.tipo === 'entrada' || n.tipo === 'bias').map(n => [n.id, 0]));
+  for (const id of ordem) {
+    profundidade.set(id, Math.max(1, ...entradasDe[id].map(c => (profundidade.get(c.de) || 0) + 1)));
+  }
+  const ultimaColuna = Math.max(1, ...ordem.filter(id => !saidas.includes(id)).map(id => profundidade.get(id) + 1));
+  for (const id of saidas) profundidade.set(id, ultimaColuna);
+
+  const colunas = new Map();
+  for (const n of brain.nos) {
+    const c = profundidade.get(n.id) || 0;
+    if (!colunas.has(c)) colunas.set(c, []);
+    colunas.get(c).push(n.id);
+  }
+  const indice = new Map();
+  const nos = [];
+  for (const [c, ids] of colunas) {
+    linhasColuna(ids.length).forEach((linha, i) => {
+      indice.set(ids[i], nos.length);
+      nos.push({ coluna: c / ultimaColuna, linha });
+    });
+  }
+  const arestas = brain.conexoes.filter(c => c.ativa)
+    .map(c => ({ de: indice.get(c.de), para: indice.get(c.para), peso: c.peso }));
+
+  const ativar = x => {
+    brain.pensar(x);   // fills the compiled network's node values
+    const { valores } = brain._compilar();
+    const resultado = new Float64Array(nos.length);
+    for (const [id, i] of indice) resultado[i] = valores[id];
+    return resultado;
+  };
+  return { nos, arestas, maxPeso: maiorPeso(arestas), saidas: saidas.map(id => indice.get(id)), ativar };
+}
+
+function maiorPeso(arestas) {
+  return Math.max(1e-9, ...arestas.map(a => Math.abs(a.peso)));
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────────
+
+/** Draw `car`'s network on #rede-visor (called from draw() every frame). */
+function desenharRede(car) {
+  const canvas = document.getElementById('rede-visor');
+  const ctx = canvas.getContext('2d');
+  const { width: w, height: h } = canvas;
+  ctx.clearRect(0, 0, w, h);
+  document.getElementById('rede-visor-rotulo').textContent = !car ? '—'
+    : `${car === carroSelecionado ? 'Selected car' : 'Leader'} · ${car.finished ? 'finished' : (car.alive ? 'driving' : 'stopped')}` +
+      ` · ${Math.floor(car.score)} pts`;
+  if (!car) return;
+
+  const rede = desenhoDaRede(car.brain);
+  const valores = rede.ativar(car.entradasAtuais());
+  const area = { x: 8, y: 8, w: w - 16, h: h - 58 };
+  const px = no => area.x + rede.nos[no].coluna * area.w;
+  const py = no => area.y + rede.nos[no].linha * area.h;
+
+  for (const { de, para, peso } of rede.arestas) {
+    const forca = Math.abs(peso) / rede.maxPeso;
+    ctx.strokeStyle = peso >= 0 ? `rgba(60, 230, 100, ${0.08 + 0.6 * forca})` : `rgba(255, 82, 82, ${0.08 + 0.6 * forca})`;
+    ctx.lineWidth = 0.4 + 1.6 * forca;
+    ctx.beginPath();
+    ctx.moveTo(px(de), py(de));
+    ctx.lineTo(px(para), py(para));
+    ctx.stroke();
+  }
+  ctx.lineWidth = 1;
+  rede.nos.forEach((_, i) => {
+    const v = Math.max(-1, Math.min(1, valores[i]));
+    ctx.fillStyle = v >= 0 ? `rgba(60, 230, 100, ${0.15 + 0.85 * v})` : `rgba(255, 82, 82, ${0.15 - 0.85 * v})`;
+    ctx.strokeStyle = '#3a3a5a';
+    ctx.beginPath();
+    ctx.arc(px(i), py(i), 3.5, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+  });
+
+  const [rot, throttle] = rede.saidas.map(i => valores[i]);
+  desenharMedidor(ctx, 'steer', rot, h - 38, w);
+  desenharMedidor(ctx, 'throttle', throttle, h - 16, w);
+}
+
+/** Horizontal gauge for an output in [-1, 1], filled from the centre. */
+function desenharMedidor(ctx, nome, valor, y, w) {
+  const barra = { x: 58, w: w - 100, h: 10 };
+  const meio = barra.x + barra.w / 2;
+  const v = Math.max(-1, Math.min(1, valor));
+  ctx.font = '10px monospace';
+  ctx.fillStyle = '#7070a0';
+  ctx.textAlign = 'left';
+  ctx.fillText(nome, 4, y + 9);
+  ctx.fillStyle = '#222236';
+  ctx.fillRect(barra.x, y, barra.w, barra.h);
+  ctx.fillStyle = v >= 0 ? '#3ce664' : '#ff5252';
+  ctx.fillRect(Math.min(meio, meio + v * barra.w / 2), y, Math.abs(v) * barra.w / 2, barra.h);
+  ctx.fillStyle = '#e0e0f0';
+  ctx.fillRect(meio, y - 2, 1, barra.h + 4);
+  ctx.fillStyle = '#7070a0';
+  ctx.textAlign = 'right';
+  ctx.fillText(valor.toFixed(2), w - 4, y + 9);
+  ctx.textAlign = 'left';
+}
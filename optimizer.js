@@ -0,0 +1,583 @@
+/**
+ * optimizer.js – Evolution Strategies and CMA-ES (no p5, no DOM)
+ * ───────────────────────────────────────────────────────────────
+ * Alternatives to the genetic algorithm for fixed-topology (dense) brains.
+ * Both treat a brain as the flat vector of its weights, in exportarPesos()
+ * order, and keep a search distribution over those vectors instead of a pool
+ * of elites:
+ *  • es    — OpenAI-style Evolution Strategies: an isotropic Gaussian around a
+ *            mean, sampled in mirrored pairs (θ ± σε); the mean climbs the
+ *            fitness gradient estimated from the centred fitness ranks, with Adam.
+ *  • cmaes — CMA-ES: a full-covariance Gaussian whose mean, shape and step
+ *            size all follow the best half of each generation (Hansen's
+ *            standard settings, with lazy eigendecomposition).
+ *
+ * criarCerebros() (evolution.js) samples each generation from the
+ * distribution — car 0 always drives the mean itself, so the current
+ * estimate is evaluated, kept as an elite and saved like any best brain —
+ * and atualizarDistribuicao() updates it from the generation's fitness
+ * (calcularFitness, or the curriculum's aggregate). The distribution starts
+ * around the seed brain, the best brain so far, or a random one, and travels
+ * with run checkpoints. Changing a setting restarts it around the best brain.
+ * NEAT genomes have no fixed vector and always breed by species.
+ */
+
+const OTIMIZADORES = {
+  ga: {
+    nome: 'Genetic algorithm',
+    descricao: 'Elites, selection, crossover and mutation — set in the Breeding and Mutation cards.',
+  },
+  es: {
+    nome: 'Evolution Strategies',
+    descricao: 'OpenAI-style ES: mirrored Gaussian samples around a mean that follows the estimated fitness gradient (Adam).',
+  },
+  cmaes: {
+    nome: 'CMA-ES',
+    descricao: 'Covariance Matrix Adaptation: learns the step size and the correlations between weights from the best half of each generation.',
+  },
+};
+
+const OTIMIZADOR_PADRAO = {
+  otimizador: 'ga',   // key of OTIMIZADORES
+  sigma: 0.1,         // ES: std. dev. of the samples; CMA-ES: initial step size
+  aprendizado: 0.02,  // ES: Adam learning rate
+};
+
+/**
+ * Build a complete, validated optimizer config: OTIMIZADOR_PADRAO with `config` on top.
+ * @param {object} [config]
+ * @returns {{ otimizador: string, sigma: number, aprendizado: number }}
+ */
+function configOtimizador(config = {}) {
+  const c = { ...OTIMIZADOR_PADRAO, ...config };
+  if (!(c.otimizador in OTIMIZADORES)) throw new Error(`Unknown optimizer "${c.otimizador}"`);
+  if (!(c.sigma > 0)) throw new Error(`Invalid sigma "${c.sigma}"`);
+  if (!(c.aprendizado > 0)) throw new Error(`Invalid learning rate "${c.aprendizado}"`);
+  const { otimizador, sigma, aprendizado } = c;
+  return { otimizador, sigma, aprendizado };
+}
+
+/** Which optimizer breeds the next generations. */
+let otimizadorConfig = configOtimizador();
+
+/** Switch optimizer settings; fields left out take their defaults. */
+function definirOtimizador(config = {}) {
+  otimizadorConfig = configOtimizador(config);
+}
+
+/** Whether the next generation is sampled from a distribution (not bred by the GA). */
+function usaOtimizador() {
+  return otimizadorConfig.otimizador !== 'ga' && brainBackend !== 'neat';
+}
+
+/** Why this run can't use the selected optimizer, or null if it can. */
+function motivoSemOtimizador() {
+  return otimizadorConfig.otimizador !== 'ga' && brainBackend === 'neat'
+    ? `${OTIMIZADORES[otimizadorConfig.otimizador].nome} needs fixed-topology brains — NEAT keeps the genetic algorithm`
+    : null;
+}
+
+// ── Weight vectors ─────────────────────────────────────────────────────────
+
+/** A dense brain's weights as one vector, in exportarPesos() order. */
+function vetorDoCerebro(brain) {
+  return Float64Array.from(brain.exportarPesos().values.flat());
+}
+
+/**
+ * A dense brain of the current backend with the weights in `vetor`.
+ * @param {Float64Array} vetor
+ * @param {number[][]}   formas  exportarPesos().shapes of the network
+ */
+function cerebroDoVetor(vetor, formas) {
+  let inicio = 0;
+  const values = formas.map(forma => {
+    const tamanho = forma.reduce((a, b) => a * b, 1);
+    const valores = Array.from(vetor.subarray(inicio, inicio + tamanho));
+    inicio += tamanho;
+    return valores;
+  });
+  return construirCerebro({ tipo: 'denso', arquitetura: arquiteturaAtiva(), pesos: { shapes: formas, values } });
+}
+
+// ── Evolution Strategies ───────────────────────────────────────────────────
+
+class EstrategiaEvolutiva {
+  /**
+   * @param {Float64Array} media   Starting mean
+   * @param {{ sigma: number, aprendizado: number }} config
+   */
+  constructor(media, { sigma, aprendizado }) {
+    this.media = Float64Array.from(media);
+    this.sigma = sigma;
+    this.aprendizado = aprendizado;
+    this.momento = new Float64Array(media.length);    // Adam's first moment
+    this.variancia = new Float64Array(media.length);  // Adam's second moment
+    this.passos = 0;
+    this.ruidos = [];   // ε and sign per sample of the generation being evaluated
+  }
+
+  /** Per-weight std. dev. of the samples. */
+  desvio() {
+    return this.sigma;
+  }
+
+  /**
+   * The mean, then mirrored pairs θ + σε, θ − σε.
+   * @param {number} total
+   * @returns {Float64Array[]}
+   */
+  amostrar(total) {
+    const n = this.media.length;
+    const vetores = [Float64Array.from(this.media)];
+    this.ruidos = [null];
+    while (vetores.length < total) {
+      const ruido = new Float64Array(n);
+      for (let j = 0; j < n; j++) ruido[j] = randn_bm();
+      for (const sinal of [1, -1]) {
+        if (vetores.length === total) break;
+        vetores.push(this.media.map((m, j) => m + sinal * this.sigma * ruido[j]));
+        this.ruidos.push({ ruido, sinal });
+      }
+    }
+    return vetores;
+  }
+
+  /**
+   * One Adam ascent step along the gradient estimated from the samples'
+   * centred ranks (rank / (k − 1) − 0.5), which ignores the fitness scale.
+   * @param {number[]} pontuacoes  Fitness per sample, in amostrar() order
+   */
+  atualizar(pontuacoes) {
+    const k = pontuacoes.length - 1;   // the mean itself isn't a sample of the gradient
+    if (k < 2) return;
+    const ordem = Array.from({ length: k }, (_, i) => i + 1).sort((a, b) => pontuacoes[a] - pontuacoes[b]);
+    const peso = new Float64Array(pontuacoes.length);
+    ordem.forEach((amostra, posicao) => { peso[amostra] = posicao / (k - 1) - 0.5; });
+
+    const n = this.media.length;
+    const gradiente = new Float64Array(n);
+    for (let i = 1; i <= k; i++) {
+      const { ruido, sinal } = this.ruidos[i];
+      const w = peso[i] * sinal;
+      for (let j = 0; j < n; j++) gradiente[j] += w * ruido[j];
+    }
+    const beta1 = 0.9, beta2 = 0.999;
+    this.passos++;
+    const corrige1 = 1 - beta1 ** this.passos, corrige2 = 1 - beta2 ** this.passos;
+    for (let j = 0; j < n; j++) {
+      const g = gradiente[j] / (k * this.sigma);
+      this.momento[j] = beta1 * this.momento[j] + (1 - beta1) * g;
+      this.variancia[j] = beta2 * this.variancia[j] + (1 - beta2) * g * g;
+      this.media[j] += this.aprendizado * (this.momento[j] / corrige1) / (Math.sqrt(this.variancia[j] / corrige2) + 1e-8);
+    }
+    this.ruidos = [];
+  }
+
+  /** Plain data for run checkpoints (between generations). */
+  exportar() {
+    return {
+      media: Array.from(this.media), sigma: this.sigma, aprendizado: this.aprendizado,
+      momento: Array.from(this.momento), variancia: Array.from(this.variancia), passos: this.passos,
+    };
+  }
+
+  static importar(dados) {
+    const es = new EstrategiaEvolutiva(dados.media, dados);
+    es.momento = Float64Array.from(dados.momento);
+    es.variancia = Float64Array.from(dados.variancia);
+    es.passos = dados.passos;
+    return es;
+  }
+}
+
+// ── CMA-ES ─────────────────────────────────────────────────────────────────
+
+class CMAES {
+  /**
+   * @param {Float64Array} media  Starting mean
+   * @param {{ sigma: number }} config
+   */
+  constructor(media, { sigma }) {
+    const n = media.length;
+    this.media = Float64Array.from(media);
+    this.sigma = sigma;
+    this.pc = new Float64Array(n);   // evolution path of the covariance
+    this.ps = new Float64Array(n);   // evolution path of the step size
+    const identidade = () => Array.from({ length: n }, (_, i) => {
+      const linha = new Float64Array(n);
+      linha[i] = 1;
+      return linha;
+    });
+    this.C = identidade();           // covariance, rows
+    this.B = identidade();           // its eigenvectors, as columns
+    this.D = new Float64Array(n).fill(1);   // square roots of its eigenvalues
+    this.geracoes = 0;
+    this.decomposta = 0;             // generation of the last eigendecomposition
+    this.passosY = [];               // y = B·D·z per sample of the generation being evaluated
+  }
+
+  /** Per-weight std. dev. of the samples (root mean variance). */
+  desvio() {
+    return this.sigma * Math.sqrt(this.D.reduce((s, d) => s + d * d, 0) / this.D.length);
+  }
+
+  /** Hansen's default strategy parameters for `lambda` samples. */
+  static parametros(n, lambda) {
+    const mu = Math.floor(lambda / 2);
+    const brutos = Array.from({ length: mu }, (_, i) => Math.log(mu + 0.5) - Math.log(i + 1));
+    const soma = brutos.reduce((a, b) => a + b, 0);
+    const pesos = brutos.map(w => w / soma);
+    const muEff = 1 / pesos.reduce((s, w) => s + w * w, 0);
+    const cs = (muEff + 2) / (n + muEff + 5);
+    const c1 = 2 / ((n + 1.3) ** 2 + muEff);
+    return {
+      mu, pesos, muEff, cs, c1,
+      ds: 1 + 2 * Math.max(0, Math.sqrt((muEff - 1) / (n + 1)) - 1) + cs,
+      cc: (4 + muEff / n) / (n + 4 + 2 * muEff / n),
+      cmu: Math.min(1 - c1, 2 * (muEff - 2 + 1 / muEff) / ((n + 2) ** 2 + muEff)),
+      chiN: Math.sqrt(n) * (1 - 1 / (4 * n) + 1 / (21 * n * n)),
+    };
+  }
+
+  /**
+   * The mean, then x = m + σ·B·D·z with z ~ N(0, I).
+   * @param {number} total
+   * @returns {Float64Array[]}
+   */
+  amostrar(total) {
+    const n = this.media.length;
+    const vetores = [Float64Array.from(this.media)];
+    this.passosY = [null];
+    const z = new Float64Array(n);
+    while (vetores.length < total) {
+      for (let i = 0; i < n; i++) z[i] = this.D[i] * randn_bm();
+      const y = new Float64Array(n);
+      for (let k = 0; k < n; k++) {
+        const linha = this.B[k];
+        let s = 0;
+        for (let i = 0; i < n; i++) s += linha[i] * z[i];
+        y[k] = s;
+      }
+      vetores.push(this.media.map((m, k) => m + this.sigma * y[k]));
+      this.passosY.push(y);
+    }
+    return vetores;
+  }
+
+  /**
+   * Move the mean to the weighted best half, then adapt the evolution paths,
+   * the covariance (rank-one + rank-μ) and the step size.
+   * @param {number[]} pontuacoes  Fitness per sample, in amostrar() order
+   */
+  atualizar(pontuacoes) {
+    const n = this.media.length;
+    const lambda = pontuacoes.length - 1;   // the mean itself isn't a sample
+    if (lambda < 2) return;
+    const { mu, pesos, muEff, cs, ds, cc, c1, cmu, chiN } = CMAES.parametros(n, lambda);
+    const melhores = Array.from({ length: lambda }, (_, i) => i + 1)
+      .sort((a, b) => pontuacoes[b] - pontuacoes[a])
+      .slice(0, mu)
+      .map(i => this.passosY[i]);
+
+    // Mean: m += σ·y_w
+    const yw = new Float64Array(n);
+    melhores.forEach((y, i) => { for (let k = 0; k < n; k++) yw[k] += pesos[i] * y[k]; });
+    for (let k = 0; k < n; k++) this.media[k] += this.sigma * yw[k];
+
+    // Step-size path uses C^(-1/2)·y_w = B·D⁻¹·Bᵀ·y_w
+    const bty = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      const linha = this.B[k];
+      for (let i = 0; i < n; i++) bty[i] += linha[i] * yw[k];
+    }
+    for (let i = 0; i < n; i++) bty[i] /= this.D[i];
+    const fatorS = Math.sqrt(cs * (2 - cs) * muEff);
+    for (let k = 0; k < n; k++) {
+      const linha = this.B[k];
+      let s = 0;
+      for (let i = 0; i < n; i++) s += linha[i] * bty[i];
+      this.ps[k] = (1 - cs) * this.ps[k] + fatorS * s;
+    }
+    this.geracoes++;
+    const normaPs = Math.sqrt(this.ps.reduce((s, v) => s + v * v, 0));
+    const hsig = normaPs / Math.sqrt(1 - (1 - cs) ** (2 * this.geracoes)) / chiN < 1.4 + 2 / (n + 1) ? 1 : 0;
+    const fatorC = Math.sqrt(cc * (2 - cc) * muEff);
+    for (let k = 0; k < n; k++) this.pc[k] = (1 - cc) * this.pc[k] + hsig * fatorC * yw[k];
+
+    // Covariance: C = (1 − c1 − cμ)·C + c1·(pc·pcᵀ + δ·C) + cμ·Σ wᵢ·yᵢ·yᵢᵀ
+    const delta = (1 - hsig) * cc * (2 - cc);
+    const manter = 1 - c1 - cmu + c1 * delta;
+    for (let a = 0; a < n; a++) {
+      const linha = this.C[a];
+      for (let b = 0; b <= a; b++) {
+        let rankMu = 0;
+        for (let i = 0; i < mu; i++) rankMu += pesos[i] * melhores[i][a] * melhores[i][b];
+        const v = manter * linha[b] + c1 * this.pc[a] * this.pc[b] + cmu * rankMu;
+        linha[b] = v;
+        this.C[b][a] = v;
+      }
+    }
+
+    this.sigma *= Math.exp((cs / ds) * (normaPs / chiN - 1));
+    this.passosY = [];
+
+    // B and D lag behind C by a few generations, as in the reference implementation
+    if ((this.geracoes - this.decomposta) * (c1 + cmu) * n * 10 > lambda) {
+      this.decomposta = this.geracoes;
+      const { autovalores, autovetores } = autodecompor(this.C);
+      this.B = autovetores;
+      this.D = autovalores.map(v => Math.sqrt(Math.max(v, 1e-20)));
+    }
+  }
+
+  /** Plain data for run checkpoints (between generations). */
+  exportar() {
+    const linhas = m => m.map(linha => Array.from(linha));
+    return {
+      media: Array.from(this.media), sigma: this.sigma, pc: Array.from(this.pc), ps: Array.from(this.ps),
+      C: linhas(this.C), B: linhas(this.B), D: Array.from(this.D),
+      geracoes: this.geracoes, decomposta: this.decomposta,
+    };
+  }
+
+  static importar(dados) {
+    const cma = new CMAES(dados.media, dados);
+    const linhas = m => m.map(linha => Float64Array.from(linha));
+    Object.assign(cma, {
+      pc: Float64Array.from(dados.pc), ps: Float64Array.from(dados.ps),
+      C: linhas(dados.C), B: linhas(dados.B), D: Float64Array.from(dados.D),
+      geracoes: dados.geracoes, decomposta: dados.decomposta,
+    });
+    return cma;
+  }
+}
+
+/**
+ * Eigendecomposition of a symmetric matrix: Householder reduction to
+ * tridiagonal form, then the implicit QL method (tred2 / tql2, as in EISPACK
+ * and JAMA). O(n³), under a second for the default network's ~430
+ * weights.
+ * @param {Float64Array[]} A  Symmetric matrix, rows (left untouched)
+ * @returns {{ autovalores: Float64Array, autovetores: Float64Array[] }}
+ *          autovetores[k][i] = component k of the i-th eigenvector
+ */
+function autodecompor(A) {
+  const n = A.length;
+  const V = A.map(linha => Float64Array.from(linha));
+  const d = new Float64Array(n);
+  const e = new Float64Array(n);
+
+  // tred2
+  for (let j = 0; j < n; j++) d[j] = V[n - 1][j];
+  for (let i = n - 1; i > 0; i--) {
+    let escala = 0;
+    let h = 0;
+    for (let k = 0; k < i; k++) escala += Math.abs(d[k]);
+    if (escala === 0) {
+      e[i] = d[i - 1];
+      for (let j = 0; j < i; j++) {
+        d[j] = V[i - 1][j];
+        V[i][j] = 0;
+        V[j][i] = 0;
+      }
+    } else {
+      for (let k = 0; k < i; k++) {
+        d[k] /= escala;
+        h += d[k] * d[k];
+      }
+      let f = d[i - 1];
+      let g = f > 0 ? -Math.sqrt(h) : Math.sqrt(h);
+      e[i] = escala * g;
+      h -= f * g;
+      d[i - 1] = f - g;
+      for (let j = 0; j < i; j++) e[j] = 0;
+      for (let j = 0; j < i; j++) {
+        f = d[j];
+        V[j][i] = f;
+        g = e[j] + V[j][j] * f;
+        for (let k = j + 1; k <= i - 1; k++) {
+          g += V[k][j] * d[k];
+          e[k] += V[k][j] * f;
+        }
+        e[j] = g;
+      }
+      f = 0;
+      for (let j = 0; j < i; j++) {
+        e[j] /= h;
+        f += e[j] * d[j];
+      }
+      const hh = f / (h + h);
+      for (let j = 0; j < i; j++) e[j] -= hh * d[j];
+      for (let j = 0; j < i; j++) {
+        f = d[j];
+        g = e[j];
+        for (let k = j; k <= i - 1; k++) V[k][j] -= f * e[k] + g * d[k];
+        d[j] = V[i - 1][j];
+        V[i][j] = 0;
+      }
+    }
+    d[i] = h;
+  }
+  for (let i = 0; i < n - 1; i++) {
+    V[n - 1][i] = V[i][i];
+    V[i][i] = 1;
+    const h = d[i + 1];
+    if (h !== 0) {
+      for (let k = 0; k <= i; k++) d[k] = V[k][i + 1] / h;
+      for (let j = 0; j <= i; j++) {
+        let g = 0;
+        for (let k = 0; k <= i; k++) g += V[k][i + 1] * V[k][j];
+        for (let k = 0; k <= i; k++) V[k][j] -= g * d[k];
+      }
+    }
+    for (let k = 0; k <= i; k++) V[k][i + 1] = 0;
+  }
+  for (let j = 0; j < n; j++) {
+    d[j] = V[n - 1][j];
+    V[n - 1][j] = 0;
+  }
+  V[n - 1][n - 1] = 1;
+  e[0] = 0;
+
+  // tql2
+  for (let i = 1; i < n; i++) e[i - 1] = e[i];
+  e[n - 1] = 0;
+  let f = 0;
+  let tst1 = 0;
+  const eps = 2 ** -52;
+  for (let l = 0; l < n; l++) {
+    tst1 = Math.max(tst1, Math.abs(d[l]) + Math.abs(e[l]));
+    let m = l;
+    while (m < n - 1 && Math.abs(e[m]) > eps * tst1) m++;
+    if (m > l) {
+      do {
+        let g = d[l];
+        let p = (d[l + 1] - g) / (2 * e[l]);
+        let r = Math.hypot(p, 1);
+        if (p < 0) r = -r;
+        d[l] = e[l] / (p + r);
+        d[l + 1] = e[l] * (p + r);
+        const dl1 = d[l + 1];
+        let h = g - d[l];
+        for (let i = l + 2; i < n; i++) d[i] -= h;
+        f += h;
+
+        p = d[m];
+        let c = 1, c2 = 1, c3 = 1;
+        const el1 = e[l + 1];
+        let s = 0, s2 = 0;
+        for (let i = m - 1; i >= l; i--) {
+          c3 = c2;
+          c2 = c;
+          s2 = s;
+          g = c * e[i];
+          h = c * p;
+          r = Math.hypot(p, e[i]);
+          e[i + 1] = s * r;
+          s = e[i] / r;
+          c = p / r;
+          p = c * d[i] - s * g;
+          d[i + 1] = h + s * (c * g + s * d[i]);
+          for (let k = 0; k < n; k++) {
+            const linha = V[k];
+            h = linha[i + 1];
+            linha[i + 1] = s * linha[i] + c * h;
+            linha[i] = c * linha[i] - s * h;
+          }
+        }
+        p = -s * s2 * c3 * el1 * e[l] / dl1;
+        e[l] = s * p;
+        d[l] = c * p;
+      } while (Math.abs(e[l]) > eps * tst1);
+    }
+    d[l] += f;
+    e[l] = 0;
+  }
+  return { autovalores: d, autovetores: V };
+}
+
+// ── Run state ──────────────────────────────────────────────────────────────
+
+const CLASSES_OTIMIZADOR = { es: EstrategiaEvolutiva, cmaes: CMAES };
+
+let distribuicao = null;     // { otimizador, config, formas, instancia } of this run, or null
+let amostrasGeracao = [];    // brains sampled for the generation being evaluated, in order
+
+/** Start a run without a distribution (the first sampled generation creates one). */
+function reiniciarOtimizador() {
+  distribuicao = null;
+  amostrasGeracao = [];
+}
+
+/**
+ * Sample a generation (criarCerebros with an optimizer selected). A missing
+ * or outdated distribution is (re)started around `saved`, the best of
+ * `eliteBrains`, or a random brain.
+ * @param {object[]}    eliteBrains
+ * @param {object|null} saved
+ * @param {number}      total
+ * @returns {object[]}  The mean's brain first
+ */
+function amostrarGeracao(eliteBrains, saved, total) {
+  const config = otimizadorConfig;
+  if (!distribuicao || JSON.stringify(distribuicao.config) !== JSON.stringify(config)) {
+    const base = saved || eliteBrains[0] || novoCerebro();
+    const media = vetorDoCerebro(base);
+    distribuicao = {
+      otimizador: config.otimizador,
+      config: { ...config },
+      formas: base.exportarPesos().shapes,
+      instancia: new CLASSES_OTIMIZADOR[config.otimizador](media, config),
+    };
+  }
+  // Cars drive copies of these brains; copiaCerebro() carries `amostra` over
+  amostrasGeracao = distribuicao.instancia.amostrar(total).map((v, i) => {
+    const brain = cerebroDoVetor(v, distribuicao.formas);
+    brain.amostra = i;
+    return brain;
+  });
+  return amostrasGeracao.slice();
+}
+
+/**
+ * Update the distribution from the fitness of the generation it sampled.
+ * Does nothing for generations the GA bred. Scores are matched to samples by
+ * each brain's `amostra` index (copies included), so any order works as long
+ * as both arrays agree.
+ * @param {object[]} brains  The generation's brains, e.g. population.map(c => c.brain)
+ * @param {number[]} scores  Their fitness, in the same order
+ */
+function atualizarDistribuicao(brains, scores) {
+  if (!distribuicao || amostrasGeracao.length === 0) return;
+  const pontuacoes = new Array(amostrasGeracao.length).fill(undefined);
+  brains.forEach((b, i) => { if (b.amostra !== undefined) pontuacoes[b.amostra] = scores[i]; });
+  if (pontuacoes.includes(undefined)) throw new Error('Missing fitness for a sampled brain');
+  distribuicao.instancia.atualizar(pontuacoes);
+  amostrasGeracao = [];
+}
+
+/**
+ * Rate and σ of the generation being evaluated, as mediaMutacao() reports
+ * them for the GA: every weight moves, by the distribution's per-weight std.
+ * dev. Null if the GA bred that generation.
+ * @returns {{ taxa: number, sigma: number }|null}
+ */
+function passoOtimizador() {
+  return amostrasGeracao.length > 0 ? { taxa: 1, sigma: distribuicao.instancia.desvio() } : null;
+}
+
+/** The distribution as plain data, for run checkpoints (null: none yet). */
+function capturarOtimizador() {
+  if (!distribuicao) return null;
+  const { otimizador, config, formas, instancia } = distribuicao;
+  return { otimizador, config, formas, estado: instancia.exportar() };
+}
+
+/** Put a captured distribution back (older checkpoints have none). */
+function restaurarOtimizador(dados) {
+  reiniciarOtimizador();
+  if (!dados) return;
+  const { otimizador, config, formas, estado } = dados;
+  distribuicao = { otimizador, config, formas, instancia: CLASSES_OTIMIZADOR[otimizador].importar(estado) };
+}
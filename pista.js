@@ -0,0 +1,224 @@
+/**
+ * pista.js – Track image to tile map converter (JavaScript port of pista.py)
+ * ─────────────────────────────────────────────────────────────────────────
+ * Same colour thresholds and Lanczos resampling as pista.py, usable two ways:
+ *
+ *  • Browser: loaded as a script; drop an image on the page to load it live
+ *    (see the drag-and-drop handler in editor.js).
+ *  • Node CLI:
+ *      node pista.js [--image pista.png] [--out mapa_gerado.js]
+ *                    [--width 160] [--height 80] [--tile 10]
+ *    Requires: npm install pngjs
+ *
+ * Tile encoding:
+ *   0 = road        (white / light pixels)
+ *   1 = wall        (dark / black pixels)
+ *   2 = finish line (green pixels   — R<100, G>150, B<100)
+ *   3 = spawn point (blue pixels    — R<80,  G<80,  B>200)
+ */
+
+// ── Configuration ──────────────────────────────────────────────────────────
+const PISTA_CONFIG = {
+  MAP_WIDTH: 160,   // tiles (resize target)
+  MAP_HEIGHT: 80,   // tiles
+  TILE_SIZE: 10,    // pixels per tile in the simulation
+};
+
+/** Map an RGB pixel to a tile value (0–3). */
+function pixelParaTile(r, g, b) {
+  if (b > 200 && r < 80 && g < 80) return 3;   // spawn  (blue)
+  if (r < 80 && g < 80 && b < 80) return 1;   // wall   (black)
+  if (g > 150 && r < 100 && b < 100) return 2;   // finish (green)
+  return 0;                                      // road   (everything else)
+}
+
+// ── Resampling (Lanczos, as PIL's Image.LANCZOS) ───────────────────────────
+
+function lanczos(x) {
+  const sinc = v => (v === 0 ? 1 : Math.sin(Math.PI * v) / (Math.PI * v));
+  return x > -3 && x < 3 ? sinc(x) * sinc(x / 3) : 0;
+}
+
+/** Normalised filter taps for every output index, computed like PIL does. */
+function coeficientesLanczos(tamanhoEntrada, tamanhoSaida) {
+  const escala = tamanhoEntrada / tamanhoSaida;
+  const escalaFiltro = Math.max(escala, 1);
+  const suporte = 3 * escalaFiltro;
+  const taps = [];
+  for (let i = 0; i < tamanhoSaida; i++) {
+    const centro = (i + 0.5) * escala;
+    const inicio = Math.max(0, Math.trunc(centro - suporte + 0.5));
+    const fim = Math.min(tamanhoEntrada, Math.trunc(centro + suporte + 0.5));
+    const pesos = [];
+    let soma = 0;
+    for (let j = inicio; j < fim; j++) {
+      const w = lanczos((j - centro + 0.5) / escalaFiltro);
+      pesos.push(w);
+      soma += w;
+    }
+    taps.push({ inicio, pesos: pesos.map(w => (soma ? w / soma : 0)) });
+  }
+  return taps;
+}
+
+/**
+ * Resize an RGB(A) pixel buffer with Lanczos filtering (horizontal pass, then
+ * vertical, rounding to 8 bits in between like PIL). Alpha is dropped, as
+ * pista.py's convert("RGB") does.
+ * @param {Uint8Array|Uint8ClampedArray} dados  Pixels, `canais` bytes each
+ * @returns {Uint8ClampedArray}                 largura × altura × 3 bytes
+ */
+function redimensionarImagem(dados, larguraOrig, alturaOrig, canais, largura, altura) {
+  const horizontal = new Uint8ClampedArray(largura * alturaOrig * 3);
+  const tapsX = coeficientesLanczos(larguraOrig, largura);
+  for (let y = 0; y < alturaOrig; y++) {
+    for (let x = 0; x < largura; x++) {
+      const { inicio, pesos } = tapsX[x];
+      for (let ch = 0; ch < 3; ch++) {
+        let v = 0;
+        for (let k = 0; k < pesos.length; k++) v += dados[(y * larguraOrig + inicio + k) * canais + ch] * pesos[k];
+        horizontal[(y * largura + x) * 3 + ch] = Math.round(v);
+      }
+    }
+  }
+
+  const saida = new Uint8ClampedArray(largura * altura * 3);
+  const tapsY = coeficientesLanczos(alturaOrig, altura);
+  for (let y = 0; y < altura; y++) {
+    const { inicio, pesos } = tapsY[y];
+    for (let x = 0; x < largura; x++) {
+      for (let ch = 0; ch < 3; ch++) {
+        let v = 0;
+        for (let k = 0; k < pesos.length; k++) v += horizontal[((inicio + k) * largura + x) * 3 + ch] * pesos[k];
+        saida[(y * largura + x) * 3 + ch] = Math.round(v);
+      }
+    }
+  }
+  return saida;
+}
+
+// ── Conversion ─────────────────────────────────────────────────────────────
+
+/**
+ * Convert an image's pixels into a tile grid.
+ * @param {{ data: ArrayLike<number>, width: number, height: number }} imagem  RGBA pixels
+ * @param {object} config  Overrides for PISTA_CONFIG
+ * @returns {number[][]}
+ */
+function imagemParaMapa(imagem, config = {}) {
+  const { MAP_WIDTH, MAP_HEIGHT } = { ...PISTA_CONFIG, ...config };
+  const rgb = redimensionarImagem(imagem.data, imagem.width, imagem.height, 4, MAP_WIDTH, MAP_HEIGHT);
+  return Array.from({ length: MAP_HEIGHT }, (_, row) =>
+    Array.from({ length: MAP_WIDTH }, (_, col) => {
+      const i = (row * MAP_WIDTH + col) * 3;
+      return pixelParaTile(rgb[i], rgb[i + 1], rgb[i + 2]);
+    })
+  );
+}
+
+/**
+ * Validation summary of a converted grid.
+ * @param {number[][]} grade
+ * @returns {{ spawns: number, finishes: number, alcancavel: boolean }}
+ */
+function resumoMapa(grade) {
+  let spawns = 0;
+  let finishes = 0;
+  const fila = [];
+  const visitado = grade.map(row => row.map(() => false));
+  grade.forEach((row, r) => row.forEach((v, c) => {
+    if (v === 3) { spawns++; fila.push([c, r]); visitado[r][c] = true; }
+    if (v === 2) finishes++;
+  }));
+
+  // BFS from every spawn tile over non-wall tiles
+  let alcancavel = false;
+  for (let i = 0; i < fila.length && !alcancavel; i++) {
+    const [c, r] = fila[i];
+    if (grade[r][c] === 2) alcancavel = true;
+    for (const [dc, dr] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const nc = c + dc;
+      const nr = r + dr;
+      if (nr >= 0 && nr < grade.length && nc >= 0 && nc < grade[0].length &&
+          !visitado[nr][nc] && grade[nr][nc] !== 1) {
+        visitado[nr][nc] = true;
+        fila.push([nc, nr]);
+      }
+    }
+  }
+  return { spawns, finishes, alcancavel };
+}
+
+/** One-line human-readable version of resumoMapa(). */
+function descreverResumo({ spawns, finishes, alcancavel }) {
+  return `spawn tiles: ${spawns}  |  finish tiles: ${finishes}  |  ` +
+    `finish reachable from spawn: ${alcancavel ? 'yes' : 'NO'}`;
+}
+
+// ── Output ─────────────────────────────────────────────────────────────────
+
+/**
+ * Source of a mapa_gerado.js-compatible file (same layout pista.py writes).
+ * @param {number[][]} grade
+ * @param {number}     tamanho  Tile size in pixels
+ * @param {string}     origem   Tool named in the header comment
+ * @returns {string}
+ */
+function mapaParaJS(grade, tamanho, origem) {
+  const linhas = [
+    `// Auto-generated by ${origem} – do not edit manually.`,
+    `// Tile size: ${tamanho}px  |  Map: ${grade[0].length}×${grade.length} tiles`,
+    `// Values: 0=road  1=wall  2=finish  3=spawn`,
+    ``,
+    `let tileSize = ${tamanho};`,
+    `let mapa = [`,
+    ...grade.map(row => `  [${row.join(',')}],`),
+    `];`,
+  ];
+  return linhas.join('\n') + '\n';
+}
+
+// ── Node CLI ───────────────────────────────────────────────────────────────
+if (typeof module !== 'undefined' && require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+  let PNG;
+  try {
+    ({ PNG } = require('pngjs'));
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') throw e;
+    console.error('❌ Reading PNG images needs pngjs: npm install pngjs');
+    process.exit(1);
+  }
+
+  const opts = {
+    image: 'pista.png',
+    out: 'mapa_gerado.js',
+    width: PISTA_CONFIG.MAP_WIDTH,
+    height: PISTA_CONFIG.MAP_HEIGHT,
+    tile: PISTA_CONFIG.TILE_SIZE,
+  };
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in opts) || argv[i + 1] === undefined) {
+      console.error(`Unknown or incomplete option: ${argv[i]}`);
+      process.exit(1);
+    }
+    opts[name] = typeof opts[name] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+
+  const imagem = PNG.sync.read(fs.readFileSync(path.resolve(opts.image)));
+  const grade = imagemParaMapa(imagem, { MAP_WIDTH: opts.width, MAP_HEIGHT: opts.height });
+
+  // Quick sanity preview
+  console.log('First 5 rows (first 20 cols):');
+  for (const row of grade.slice(0, 5)) console.log(JSON.stringify(row.slice(0, 20)));
+
+  fs.writeFileSync(opts.out, mapaParaJS(grade, opts.tile, 'pista.js'));
+
+  const resumo = resumoMapa(grade);
+  console.log(`\n✅  Map saved to ${opts.out}  (${opts.width}×${opts.height} tiles, tileSize=${opts.tile}px)`);
+  console.log(`   ${descreverResumo(resumo)}`);
+  if (resumo.spawns === 0 || resumo.finishes === 0 || !resumo.alcancavel) process.exitCode = 2;
+}
@@ -0,0 +1,4 @@
+// Example extra track: mapa_gerado.js mirrored left↔right.
+// Extra track files call registrarPista() instead of declaring `mapa`, so any
+// number of them can be loaded after track.js (see index.html / train.js --tracks).
+registrarPista('espelhada', tileSize, mapa.map(row => row.slice().reverse()), 1);
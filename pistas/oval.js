@@ -0,0 +1,27 @@
+// Example closed circuit: an elliptical ring with the finish line right
+// behind the spawn. Four checkpoint gates (right, bottom, left, top) force a
+// full clockwise lap before the finish counts; two laps end the run.
+(function () {
+  const LARGURA = 160;
+  const ALTURA = 80;
+  const cx = 80, cy = 40;
+  const dentroElipse = (c, r, rx, ry) => ((c - cx) / rx) ** 2 + ((r - cy) / ry) ** 2 <= 1;
+
+  const grade = Array.from({ length: ALTURA }, (_, r) =>
+    Array.from({ length: LARGURA }, (_, c) =>
+      dentroElipse(c, r, 74.5, 36.5) && !dentroElipse(c, r, 50.5, 16.5) ? 0 : 1));
+
+  // Finish line across the top of the ring, spawn just clockwise of it
+  for (let r = 0; r < cy; r++) if (grade[r][cx] === 0) grade[r][cx] = 2;
+  grade[14][cx + 3] = 3;
+
+  registrarPista('oval', 10, grade, 2, {
+    voltas: 2,
+    checkpoints: [
+      { c: cx + 50, r: cy, largura: 25, altura: 1 },   // right
+      { c: cx, r: cy + 16, largura: 1, altura: 21 },   // bottom
+      { c: cx - 74, r: cy, largura: 25, altura: 1 },   // left
+      { c: cx - 10, r: cy - 36, largura: 1, altura: 21 }, // top, before the finish
+    ],
+  });
+})();
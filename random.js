@@ -0,0 +1,47 @@
+/**
+ * random.js – Seeded pseudo-random number generator
+ * ──────────────────────────────────────────────────
+ * Every random decision of a run (weight initialisation, mutation, crossover,
+ * parent selection) draws from the single `rng` instance below, so the same
+ * seed + the same map replays the same generation history.
+ *
+ * Algorithm: mulberry32 (32-bit state, fast, good enough for evolution).
+ */
+class Aleatorio {
+  /** @param {number} semente  Any integer; stored as an unsigned 32-bit value. */
+  constructor(semente = Date.now()) {
+    this.definirSemente(semente);
+  }
+
+  /** Restart the sequence from `semente`. */
+  definirSemente(semente) {
+    this.semente = semente >>> 0;
+    this.estado = this.semente;
+  }
+
+  /** Uniform number in [0, 1) — drop-in replacement for Math.random(). */
+  proximo() {
+    let t = (this.estado = (this.estado + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Uniform integer in [0, n). */
+  inteiro(n) {
+    return Math.floor(this.proximo() * n);
+  }
+
+  /** Uniform number in [min, max). */
+  entre(min, max) {
+    return min + this.proximo() * (max - min);
+  }
+}
+
+/** New random seed for runs that don't ask for a specific one. */
+function novaSemente() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/** The run-wide generator. Re-seed it with rng.definirSemente() at run start. */
+const rng = new Aleatorio(novaSemente());
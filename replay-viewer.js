@@ -0,0 +1,223 @@
+/**
+ * replay-viewer.js – Replay recording and playback in the page (p5.js + DOM)
+ * ───────────────────────────────────────────────────────────────────────────
+ * After every generation the best car is recorded (replay.js) and kept in
+ * memory (the latest REPLAY_CONFIG.maximo). The viewer pauses the simulation
+ * and plays a replay on its own map, optionally with another generation's
+ * best drawn as a translucent ghost on the same timeline.
+ *
+ * Keyboard (viewer only):
+ *   Space     →  play / pause
+ *   ← / →     →  step one frame (hold Shift for 50)
+ *   V         →  open / close the viewer (also opens it)
+ *
+ * Replays can be exported as .json and imported back (button or drag & drop);
+ * an imported replay is re-driven first to check it still reproduces exactly.
+ */
+
+const REPLAY_CONFIG = {
+  gravar: true,     // record each generation's best car
+  maximo: 30,       // replays kept in memory (oldest dropped first)
+};
+
+let replays = [];          // oldest first
+let replayAtivo = false;
+const visor = {
+  principal: null,         // replay being played
+  fantasma: null,          // replay drawn as a ghost, or null
+  quadro: 0,               // current frame
+  tocando: true,
+  velocidade: 1,           // frames advanced per draw()
+};
+
+// ── Recording ──────────────────────────────────────────────────────────────
+
+/** Record the generation's best brain on the active track (called from nextGeneration()). */
+function gravarReplayDaGeracao(resultado) {
+  if (!REPLAY_CONFIG.gravar || resultado.eliteBrains.length === 0) return;
+  adicionarReplay(gravarReplay(resultado.eliteBrains[0], { geracao: generation, fitness: resultado.best }));
+}
+
+function adicionarReplay(replay) {
+  replays.push(replay);
+  if (replays.length > REPLAY_CONFIG.maximo) {
+    const removido = replays.shift();
+    if (visor.fantasma === removido) visor.fantasma = null;
+  }
+  montarListaReplays();
+}
+
+// ── Viewer mode ────────────────────────────────────────────────────────────
+
+function alternarReplay() {
+  if (replayAtivo) fecharReplay();
+  else abrirReplay(replays[replays.length - 1]);
+}
+
+/** Pause the simulation and start playing `replay`. */
+function abrirReplay(replay) {
+  if (!replay) { showToast('⚠️ No replays yet — one is recorded after each generation.'); return; }
+  if (editorAtivo) aplicarEdicao();
+  if (manualAtivo) fecharManual();
+  replayAtivo = true;
+  visor.principal = replay;
+  if (visor.fantasma === replay) visor.fantasma = null;
+  visor.quadro = 0;
+  visor.tocando = true;
+  document.getElementById('replay-panel').style.display = 'flex';
+  ajustarCanvasReplay();
+  montarListaReplays();
+  showToast('🎞️ Replay viewer — simulation paused.');
+}
+
+function fecharReplay() {
+  replayAtivo = false;
+  document.getElementById('replay-panel').style.display = 'none';
+  resizeCanvas(mapa[0].length * tileSize, mapa.length * tileSize);
+}
+
+function ajustarCanvasReplay() {
+  const { mapa: grade, tileSize: tamanho } = visor.principal.pista;
+  resizeCanvas(grade[0].length * tamanho, grade.length * tamanho);
+}
+
+/** Frames on the timeline: the longer of the replay and its ghost. */
+function duracaoVisor() {
+  return Math.max(totalQuadros(visor.principal), visor.fantasma ? totalQuadros(visor.fantasma) : 0);
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────────
+
+/** Called from draw() instead of the simulation while the viewer is open. */
+function desenharReplay() {
+  const { principal, fantasma } = visor;
+
+  // The replay's own map, drawn at its tile size
+  push();
+  scale(principal.pista.tileSize / tileSize);
+  drawMap(principal.pista.mapa);
+  desenharCheckpoints(principal.pista.checkpoints);
+  pop();
+
+  if (fantasma) {
+    drawingContext.globalAlpha = 0.35;
+    Car.prototype.show.call({ ...quadroReplay(fantasma, visor.quadro), sensors: [] }, false);
+    drawingContext.globalAlpha = 1;
+  }
+  const atual = quadroReplay(principal, visor.quadro);
+  Car.prototype.show.call(atual, true);
+
+  fill(255);
+  noStroke();
+  textFont('monospace');
+  textSize(13);
+  const situacao = atual.finished ? '  |  FINISHED' : (atual.alive ? '' : '  |  STOPPED');
+  text(`REPLAY ${rotuloPiloto(principal)}  |  frame ${visor.quadro + 1}/${duracaoVisor()}${situacao}`, 8, 18);
+  text(`steer ${atual.rot.toFixed(2)}  throttle ${atual.throttle.toFixed(2)}` +
+    (fantasma ? `  |  ghost: ${rotuloPiloto(fantasma)}` : ''), 8, 34);
+
+  if (visor.tocando) {
+    visor.quadro = Math.min(visor.quadro + visor.velocidade, duracaoVisor() - 1);
+    if (visor.quadro === duracaoVisor() - 1) visor.tocando = false;
+  }
+  atualizarControlesReplay();
+}
+
+// ── Controls (panel & keyboard) ────────────────────────────────────────────
+
+function escolherReplay(indice) {
+  abrirReplay(replays[Number(indice)]);
+}
+
+function escolherFantasma(indice) {
+  visor.fantasma = indice === '' ? null : replays[Number(indice)];
+}
+
+function irParaQuadro(valor) {
+  visor.quadro = Math.max(0, Math.min(Number(valor), duracaoVisor() - 1));
+  visor.tocando = false;
+}
+
+function alternarTocarReplay() {
+  if (!visor.tocando && visor.quadro >= duracaoVisor() - 1) visor.quadro = 0;
+  visor.tocando = !visor.tocando;
+}
+
+function mudarVelocidadeReplay() {
+  visor.velocidade = visor.velocidade >= 8 ? 1 : visor.velocidade * 2;
+}
+
+/**
+ * Handle a viewer key press (called from keyPressed()).
+ * @returns {boolean}  true if the key was consumed
+ */
+function tratarTeclaReplay() {
+  const salto = keyIsDown(SHIFT) ? 50 : 1;
+  if (key === ' ') { alternarTocarReplay(); return true; }
+  if (keyCode === LEFT_ARROW) { irParaQuadro(visor.quadro - salto); return true; }
+  if (keyCode === RIGHT_ARROW) { irParaQuadro(visor.quadro + salto); return true; }
+  return false;
+}
+
+function atualizarControlesReplay() {
+  const barra = document.getElementById('replay-quadro');
+  barra.max = duracaoVisor() - 1;
+  barra.value = visor.quadro;
+  document.getElementById('replay-quadro-valor').textContent = visor.quadro + 1;
+  document.getElementById('replay-tocar').textContent = visor.tocando ? '⏸ Pause' : '▶ Play';
+  document.getElementById('replay-velocidade').textContent = `×${visor.velocidade}`;
+}
+
+/** "gen 12" or "human" */
+function rotuloPiloto(replay) {
+  return replay.piloto === 'humano' ? 'human' : `gen ${replay.geracao}`;
+}
+
+/** "Gen 12 · 1834 · mapa_gerado" */
+function descreverReplay(replay) {
+  const quem = replay.piloto === 'humano' ? '🕹️ Human' : `Gen ${replay.geracao}`;
+  return `${quem} · ${Math.floor(replay.fitness)} · ${replay.pista.nome}`;
+}
+
+function montarListaReplays() {
+  const principal = document.getElementById('replay-principal');
+  const fantasma = document.getElementById('replay-fantasma');
+  principal.replaceChildren(...replays.map((r, i) => new Option(descreverReplay(r), i, false, r === visor.principal)));
+  fantasma.replaceChildren(new Option('— none —', ''),
+    ...replays.map((r, i) => new Option(descreverReplay(r), i, false, r === visor.fantasma)));
+  document.getElementById('replay-contagem').textContent =
+    `${replays.length} recorded (last ${REPLAY_CONFIG.maximo} kept)`;
+}
+
+// ── Export / import ────────────────────────────────────────────────────────
+
+function exportarReplayAtual() {
+  const replay = visor.principal || replays[replays.length - 1];
+  if (!replay) { showToast('⚠️ No replays yet.'); return; }
+  const nome = replay.piloto === 'humano' ? 'replay-human' : `replay-gen${replay.geracao}`;
+  baixarArquivo(`${nome}.json`, exportarReplay(replay));
+}
+
+function importarArquivoReplay(file) {
+  const leitor = new FileReader();
+  leitor.onload = () => {
+    try {
+      importarReplay(JSON.parse(leitor.result));
+    } catch (e) {
+      showToast(`⚠️ ${file.name}: ${e.message}`);
+    }
+  };
+  leitor.readAsText(file);
+}
+
+/** Add a parsed replay file, check it against the current code, and play it. */
+function importarReplay(dados) {
+  const replay = lerReplay(dados);
+  const { verificado, igual, quadro } = verificarReplay(replay);
+  adicionarReplay(replay);
+  abrirReplay(replay);
+  if (replay.piloto === 'humano') showToast('🕹️ Human drive loaded.');
+  else if (!verificado) showToast('ℹ️ Replay loaded (not re-driven: its network layout differs from the current one).');
+  else if (igual) showToast('✅ Replay reproduces exactly.');
+  else showToast(`⚠️ Re-driving this replay diverges at frame ${quadro + 1}.`);
+}
@@ -0,0 +1,177 @@
+/**
+ * replay.js – Recorded drives of a single brain (no p5, no DOM)
+ * ──────────────────────────────────────────────────────────────
+ * Car.update() is deterministic for a fixed brain and map, so a generation's
+ * best car is recorded by driving its brain again, alone, on the track the
+ * generation ended on. Every frame stores the car's pose, its sensor readings
+ * and the network outputs (or a human's key presses, see manual.js). A
+ * replay file carries the brain and the map too, so it can be re-driven later
+ * to check it still reproduces exactly.
+ *
+ *   {
+ *     replay: 1,                         // FORMATO_REPLAY
+ *     piloto: 'rede' | 'humano',
+ *     geracao, semente, fitness,         // fitness = the car's score (geracao: null for humans)
+ *     sensores: [...], alcance,          // ray angles (degrees) and length (px)
+ *     pista: { nome, tileSize, mapa, checkpoints, voltas },
+ *     distancia,                         // distance field mode
+ *     fisica,                            // vehicle model (car.js); 'arcade' if missing
+ *     cerebro: { … },                    // brain file (brain-format.js); null for humans
+ *     passo,                             // numbers per frame
+ *     quadros: [x, y, angle, rot, throttle, estado, ...readings, x, y, …],
+ *   }
+ *
+ * estado: 0 = driving, 1 = crashed / stopped, 2 = finished.
+ * Shared by sketch.js (replay-viewer.js, manual.js) and train.js (--replay-every).
+ */
+
+const FORMATO_REPLAY = 1;
+const CAMPOS_QUADRO = 6;   // x, y, angle, rot, throttle, estado — then one reading per sensor
+
+/**
+ * Record `brain` driving the active track alone, for as long as a round lasts.
+ * @param {Cerebro|CerebroMatriz|CerebroNEAT} brain
+ * @param {{ geracao: number, fitness: number }} meta
+ * @returns {object}  A replay (quadros as a Float64Array)
+ */
+function gravarReplay(brain, { geracao, fitness }) {
+  return montarReplay({ piloto: 'rede', geracao, fitness },
+    serializarCerebro(brain, { fitness: fitnessConfig }), dirigirSozinho(brain));
+}
+
+/**
+ * Wrap frames driven on the active track (with the current sensors) as a replay.
+ * @param {{ piloto: string, geracao: number|null, fitness: number }} meta
+ * @param {object|null}  cerebro  Brain file of the driver, null for a human
+ * @param {Float64Array} quadros  Frames (see quadroDoCarro)
+ */
+function montarReplay({ piloto, geracao, fitness }, cerebro, quadros) {
+  return {
+    replay: FORMATO_REPLAY,
+    piloto,
+    geracao,
+    semente: rng.semente,
+    fitness,
+    sensores: configEntradas.sensores.slice(),
+    alcance: configEntradas.alcance,
+    pista: {
+      nome: pistaAtiva.nome,
+      tileSize: pistaAtiva.tileSize,
+      mapa: pistaAtiva.mapa.map(row => Array.from(row, v => v || 0)),
+      checkpoints: pistaAtiva.checkpoints,
+      voltas: pistaAtiva.voltas,
+    },
+    distancia: distanceMode,
+    fisica: modeloFisica,
+    cerebro,
+    passo: CAMPOS_QUADRO + configEntradas.sensores.length,
+    quadros,
+  };
+}
+
+/** The numbers one frame of `car` adds to a replay, after it applied `saida`. */
+function quadroDoCarro(car, saida) {
+  return [car.x, car.y, car.angle, saida[0], saida[1], car.finished ? 2 : (car.alive ? 0 : 1), ...car.readings];
+}
+
+/**
+ * Drive one copy of `brain` from the spawn on the active track until it stops
+ * or MAX_FRAMES is reached — the same end condition as a round.
+ * @returns {Float64Array}  Frames, flattened (see FORMATO_REPLAY)
+ */
+function dirigirSozinho(brain) {
+  const car = new Car(spawnPoint.x, spawnPoint.y, brain);
+  const quadros = [];
+  for (let f = 0; f <= MAX_FRAMES && car.alive; f++) {
+    const saida = car.brain.pensar(car.prepararEntradas());
+    car.aplicarDecisao(saida);
+    quadros.push(...quadroDoCarro(car, saida));
+  }
+  return Float64Array.from(quadros);
+}
+
+/** Frame count of a replay. */
+function totalQuadros(replay) {
+  return replay.quadros.length / replay.passo;
+}
+
+/** Frames until the replay's car finished, or null if it never did. */
+function quadrosAteChegada(replay) {
+  const n = totalQuadros(replay);
+  return replay.quadros[(n - 1) * replay.passo + 5] === 2 ? n : null;
+}
+
+/**
+ * Frame `i` of a replay as a Car-like object (enough for Car.prototype.show).
+ * @returns {{ x, y, angle, rot, throttle, alive, finished, sensors: number[], alcance: number, readings: number[] }}
+ */
+function quadroReplay(replay, i) {
+  const q = replay.quadros;
+  const base = Math.max(0, Math.min(i, totalQuadros(replay) - 1)) * replay.passo;
+  const estado = q[base + 5];
+  return {
+    x: q[base], y: q[base + 1], angle: q[base + 2],
+    rot: q[base + 3], throttle: q[base + 4],
+    alive: estado === 0, finished: estado === 2,
+    sensors: replay.sensores.map(deg => deg * Math.PI / 180),
+    alcance: replay.alcance,
+    readings: Array.from(q.subarray(base + CAMPOS_QUADRO, base + replay.passo)),
+  };
+}
+
+// ── Files ──────────────────────────────────────────────────────────────────
+
+/** JSON text of a replay file. */
+function exportarReplay(replay) {
+  return JSON.stringify({ ...replay, quadros: Array.from(replay.quadros) });
+}
+
+/**
+ * Parse a replay file.
+ * @param {object} dados  Parsed JSON
+ * @returns {object}  The replay (quadros as a Float64Array)
+ */
+function lerReplay(dados) {
+  if (!dados || !dados.replay) throw new Error('Not a replay file');
+  if (dados.replay > FORMATO_REPLAY) {
+    throw new Error(`Replay format ${dados.replay} is newer than this version supports (${FORMATO_REPLAY})`);
+  }
+  if (dados.quadros.length % dados.passo !== 0) throw new Error('Replay frames are truncated');
+  return {
+    ...dados,
+    piloto: dados.piloto || 'rede',
+    fisica: dados.fisica || 'arcade',
+    alcance: dados.alcance || RAIOS_LEGADOS.alcance,
+    cerebro: dados.cerebro && migrarCerebro(dados.cerebro),
+    quadros: Float64Array.from(dados.quadros),
+  };
+}
+
+/**
+ * Drive the replay's brain again on the replay's own map and compare frame by
+ * frame. Needs the current network inputs and layout to match the brain's
+ * (descricaoCompativel), so human drives are never re-driven; the active
+ * track, distance mode and vehicle model are put back after.
+ * @returns {{ verificado: boolean, igual?: boolean, quadro?: number }}
+ *          quadro = first frame that differs (when igual is false)
+ */
+function verificarReplay(replay) {
+  if (!replay.cerebro || !descricaoCompativel(replay.cerebro)) return { verificado: false };
+  const anterior = { pista: pistaAtiva, modo: distanceMode, fisica: modeloFisica };
+  let quadros;
+  try {
+    definirModoDistancia(replay.distancia);
+    definirModeloFisica(replay.fisica);
+    ativarPista({ ...replay.pista, dificuldade: 0 });
+    quadros = dirigirSozinho(construirCerebro(replay.cerebro));
+  } finally {
+    definirModoDistancia(anterior.modo);
+    definirModeloFisica(anterior.fisica);
+    ativarPista(anterior.pista);
+  }
+  const n = Math.max(quadros.length, replay.quadros.length);
+  for (let k = 0; k < n; k++) {
+    if (quadros[k] !== replay.quadros[k]) return { verificado: true, igual: false, quadro: Math.floor(k / replay.passo) };
+  }
+  return { verificado: true, igual: true };
+}
@@ -0,0 +1,171 @@
+/**
+ * selection.js – Selection, elitism and crossover strategies
+ * ───────────────────────────────────────────────────────────
+ * How criarCerebros() (evolution.js) breeds a generation from the elite pool:
+ *  • elitismo   — how many of the best brains go on unchanged;
+ *  • pais       — how many of the best are candidates for parenthood;
+ *  • selecao    — how each parent is picked among them (ESTRATEGIAS_SELECAO);
+ *  • cruzamento — how two parents' weights are mixed (ESTRATEGIAS_CRUZAMENTO).
+ *
+ * Set from the HUD (sketch.js), ?selection= … / train.js --selection …, and
+ * saved in run checkpoints. The defaults — a 3-brain tournament among the top
+ * 10, all 10 kept unchanged, uniform crossover — breed exactly as before.
+ * NEAT genomes breed by species (CerebroNEAT.reproduzir) and ignore these.
+ */
+
+// ── Parent selection ───────────────────────────────────────────────────────
+// `candidatos` is the top of the pool, best first, each brain with its `fitness`.
+
+const ESTRATEGIAS_SELECAO = {
+  torneio: {
+    nome: 'Tournament',
+    descricao: 'Draw k candidates at random (repeats allowed); the fittest of them is the parent.',
+    escolher(candidatos, { torneio }) {
+      const fitness = i => candidatos[i].fitness || 0;
+      let vencedor = rng.inteiro(candidatos.length);
+      for (let k = 1; k < torneio; k++) {
+        const rival = rng.inteiro(candidatos.length);
+        if (fitness(rival) > fitness(vencedor) || (fitness(rival) === fitness(vencedor) && rival < vencedor)) vencedor = rival;
+      }
+      return candidatos[vencedor];
+    },
+  },
+
+  roleta: {
+    nome: 'Fitness-proportional',
+    descricao: 'Roulette wheel: each candidate\'s chance is its share of the candidates\' total fitness.',
+    escolher(candidatos) {
+      return sortear(candidatos, candidatos.map(b => Math.max(0, b.fitness || 0)));
+    },
+  },
+
+  ranking: {
+    nome: 'Rank',
+    descricao: 'Linear ranking: the best of n candidates has weight n, the next n − 1, … the last 1, whatever the fitness gaps.',
+    escolher(candidatos) {
+      return sortear(candidatos, candidatos.map((_, i) => candidatos.length - i));
+    },
+  },
+};
+
+/** One draw with probability proportional to `pesos` (uniform if they're all 0). */
+function sortear(candidatos, pesos) {
+  const total = pesos.reduce((a, b) => a + b, 0);
+  if (total <= 0) return candidatos[rng.inteiro(candidatos.length)];
+  let r = rng.proximo() * total;
+  for (let i = 0; i < candidatos.length; i++) {
+    r -= pesos[i];
+    if (r < 0) return candidatos[i];
+  }
+  return candidatos[candidatos.length - 1];
+}
+
+// ── Crossover ──────────────────────────────────────────────────────────────
+// combinar(filho, outro) mixes in place: `filho` holds a copy of the first
+// parent's weight arrays, `outro` the second's, in layer order (kernel₀,
+// bias₀, kernel₁, bias₁, …) as both dense backends lay them out.
+
+const ESTRATEGIAS_CRUZAMENTO = {
+  uniforme: {
+    nome: 'Uniform',
+    descricao: 'Every weight comes from either parent with equal chance.',
+    combinar(filho, outro) {
+      filho.forEach((vals, i) => {
+        for (let j = 0; j < vals.length; j++) {
+          if (rng.proximo() >= 0.5) vals[j] = outro[i][j];
+        }
+      });
+    },
+  },
+
+  umPonto: {
+    nome: 'One-point',
+    descricao: 'Weights in network order come from the first parent up to a random cut, from the second after it.',
+    combinar(filho, outro) {
+      const total = filho.reduce((s, vals) => s + vals.length, 0);
+      let corte = 1 + rng.inteiro(total - 1);
+      filho.forEach((vals, i) => {
+        if (corte < vals.length) vals.set(outro[i].subarray(Math.max(0, corte)), Math.max(0, corte));
+        corte -= vals.length;
+      });
+    },
+  },
+
+  mistura: {
+    nome: 'Arithmetic blend',
+    descricao: 'Every weight is the same random mix α·a + (1 − α)·b of the parents\' weights.',
+    combinar(filho, outro) {
+      const alfa = rng.proximo();
+      filho.forEach((vals, i) => {
+        for (let j = 0; j < vals.length; j++) vals[j] = alfa * vals[j] + (1 - alfa) * outro[i][j];
+      });
+    },
+  },
+
+  camadas: {
+    nome: 'Layer-wise',
+    descricao: 'Each layer — its weights and biases together — comes whole from one parent.',
+    combinar(filho, outro) {
+      for (let i = 0; i < filho.length; i += 2) {
+        if (rng.proximo() < 0.5) continue;
+        filho[i].set(outro[i]);
+        if (i + 1 < filho.length) filho[i + 1].set(outro[i + 1]);
+      }
+    },
+  },
+};
+
+// ── Active settings ────────────────────────────────────────────────────────
+
+const SELECAO_PADRAO = {
+  selecao: 'torneio',     // key of ESTRATEGIAS_SELECAO
+  torneio: 3,             // tournament size k
+  elitismo: 10,           // best brains copied unchanged into the next generation
+  pais: 10,               // best brains that can be picked as parents
+  cruzamento: 'uniforme', // key of ESTRATEGIAS_CRUZAMENTO
+};
+
+const LIMITES_SELECAO = {
+  torneio: { minimo: 1, rotulo: 'tournament size' },
+  elitismo: { minimo: 0, rotulo: 'elite count' },
+  pais: { minimo: 2, rotulo: 'parent count' },
+};
+
+/**
+ * Build a complete, validated breeding config: SELECAO_PADRAO with `config` on top.
+ * @param {object} [config]
+ * @returns {{ selecao: string, torneio: number, elitismo: number, pais: number, cruzamento: string }}
+ */
+function configSelecao(config = {}) {
+  const c = { ...SELECAO_PADRAO, ...config };
+  if (!(c.selecao in ESTRATEGIAS_SELECAO)) throw new Error(`Unknown selection strategy "${c.selecao}"`);
+  if (!(c.cruzamento in ESTRATEGIAS_CRUZAMENTO)) throw new Error(`Unknown crossover "${c.cruzamento}"`);
+  for (const [nome, { minimo, rotulo }] of Object.entries(LIMITES_SELECAO)) {
+    if (!Number.isInteger(c[nome]) || c[nome] < minimo) throw new Error(`Invalid ${rotulo} "${c[nome]}"`);
+  }
+  const { selecao, torneio, elitismo, pais, cruzamento } = c;
+  return { selecao, torneio, elitismo, pais, cruzamento };
+}
+
+/** How the next generations are bred. */
+let selecaoConfig = configSelecao();
+
+/** Switch breeding settings; fields left out take their defaults. */
+function definirSelecao(config = {}) {
+  selecaoConfig = configSelecao(config);
+}
+
+/** Brains avaliarGeracao() keeps in the elite pool: the elites and every parent candidate. */
+function tamanhoPool() {
+  return Math.max(selecaoConfig.elitismo, selecaoConfig.pais);
+}
+
+/**
+ * Pick a parent from the elite pool with the active strategy.
+ * @param {object[]} pool  Sorted best-first, each with its `fitness`
+ * @returns {object}
+ */
+function selecionarParente(pool) {
+  const candidatos = pool.length > selecaoConfig.pais ? pool.slice(0, selecaoConfig.pais) : pool;
+  return ESTRATEGIAS_SELECAO[selecaoConfig.selecao].escolher(candidatos, selecaoConfig);
+}
@@ -7,14 +7,38 @@
  *   R  →  reset simulation (generation 1, random brains)
  *   +  →  increase simulation speed (double frameRate)
  *   -  →  decrease simulation speed (halve frameRate)
+ *   E  →  toggle the track editor (editor.js)
+ *   H  →  toggle the distance-to-finish heatmap
+ *   V  →  open / close the replay viewer (replay-viewer.js)
+ *   M  →  drive a car yourself against the AI's ghost (manual.js)
+ *
+ * Clicking a car shows its network in the sidebar instead of the leader's
+ * (network-view.js); clicking empty track goes back to the leader.
+ *
+ * URL parameters:
+ *   ?seed=1234  →  fix the run seed (random.js); omit for a fresh seed per run
+ *   ?backend=tf →  run brains on TF.js (Cerebro) instead of the plain-JS
+ *                  matrix backend (CerebroMatriz, default); ?backend=neat
+ *                  evolves topology too (CerebroNEAT)
+ *   ?track-mode=rotativo&aggregate=pior&curriculum=0.3
+ *               →  multi-track settings (curriculum.js TRACK_CONFIG)
+ *   ?distance=8 →  distance field mode: 4 (default), 8 or euclidiana
+ *   ?laps=3     →  laps per run on tracks with checkpoint gates
+ *   ?fitness=tempo → fitness strategy (fitness.js); weights are edited in the HUD
+ *   ?selection=ranking&crossover=camadas&elitism=5&parents=20&tournament=4
+ *               →  how generations are bred (selection.js); also in the HUD
+ *   ?adaptive=1&stall=20&stall-gain=0.01&stall-responses=mutacao,reinicio&boost=3&immigrants=0.2
+ *               →  self-adaptive mutation and stall recovery (mutation.js); also in the HUD
+ *   ?optimizer=cmaes&es-sigma=0.1&es-lr=0.02
+ *               →  sample generations with ES or CMA-ES instead of the genetic
+ *                  algorithm (optimizer.js); also in the HUD
+ *   ?physics=realista → vehicle model (car.js): arcade (default) or realista
+ *   ?arch=18:relu,10:relu,2:tanh&sensors=-90,-45,0,45,90
+ *               →  network layers / sensor ray angles (brain-format.js, car.js);
+ *                  sensors=12x360 spreads 12 rays all the way round
+ *   ?range=300&ray-step=0 →  ray length (px) / march step (0 = exact raycast)
  */
 
-// ── Evolution parameters ───────────────────────────────────────────────────
-const POPULATION_SIZE = 50;   // increased for more diversity
-const MUTATION_RATE = 0.08; // slightly higher initial mutation
-const MAX_FRAMES = 3500; // slightly longer
-const ELITE_COUNT = 5;    // keep top 5
-
 // ── Simulation state ───────────────────────────────────────────────────────
 let population = [];   // current generation of Car objects
 let eliteBrains = [];   // Cerebro instances of best performers
@@ -22,14 +46,26 @@ let generation = 1;
 let frameCount_ = 0;    // renamed to avoid clash with p5's frameCount
 let transitioning = false;
 let bestScoreEver = 0;
+let bestLapEver = Infinity;   // fastest lap (frames) on any track, all-time
 let totalFinished = 0;   // cars that crossed the finish line (all-time)
 let currentFPS = 60;
-
-// ── Map data (loaded from mapa_gerado.js) ─────────────────────────────────
-// Expected globals: tileSize (number), mapa (2-D number array)
-// Tile values: 0 = road, 1 = wall, 2 = finish line, 3 = spawn
-let spawnPoint = { x: 0, y: 0 };
-let finishLine = { y: 0, xStart: 0, xEnd: 0 };
+let curriculo;           // multi-track schedule (curriculum.js)
+let brainsGeracao = [];  // brains of this generation; every track round drives the same ones
+let cerebroInicial = null; // brain that seeds generation 1 instead of the saved one (library.js)
+let mostrarHeatmap = false;
+let _heatmap = null;     // { campo, imagem } — rendered once per distance field
+
+// ── Run seed ───────────────────────────────────────────────────────────────
+// With ?seed= in the URL every run (including after Reset/Load) replays the
+// same sequence; otherwise each run draws a new seed.
+const urlParams = new URLSearchParams(window.location.search);
+const urlSeed = urlParams.get('seed');
+
+function iniciarSemente() {
+  rng.definirSemente(urlSeed !== null ? Number(urlSeed) : novaSemente());
+  document.getElementById('hud-seed').textContent = rng.semente;
+  console.log(`🎲 Seed: ${rng.semente}`);
+}
 
 // ── p5.js setup ───────────────────────────────────────────────────────────
 function setup() {
@@ -41,22 +77,70 @@ function setup() {
   cnv.parent('canvas-wrap');
 
   frameRate(currentFPS);
-  detectSpawnAndFinish();
+  if (urlParams.has('backend')) brainBackend = urlParams.get('backend');
+  if (urlParams.has('distance')) definirModoDistancia(urlParams.get('distance'));
+  if (urlParams.has('laps')) definirVoltas(Number(urlParams.get('laps')));
+  document.getElementById('hud-backend').textContent = brainBackend;
+  ativarPista(pistaAtiva);
+  curriculo = new Curriculo(pistas, configPistasDaURL());
+  iniciarRede();
+  iniciarFitness();
+  iniciarSelecao();
+  iniciarMutacao();
+  iniciarOtimizador();
+  iniciarFisica();
+  iniciarBiblioteca();
+  montarListaReplays();
+  montarRecordes();
+  atualizarPainelImitacao();
+  iniciarSemente();
+  desenharHistorico();
   newGeneration();
+  oferecerRetomada();
+}
+
+/** TRACK_CONFIG overrides from ?track-mode=, ?aggregate= and ?curriculum=. */
+function configPistasDaURL() {
+  const config = {};
+  if (urlParams.has('track-mode')) config.modo = urlParams.get('track-mode');
+  if (urlParams.has('aggregate')) config.agregacao = urlParams.get('aggregate');
+  if (urlParams.has('curriculum')) {
+    config.curriculo = true;
+    config.metaConclusao = Number(urlParams.get('curriculum'));
+  }
+  return config;
 }
 
 // ── Main loop ──────────────────────────────────────────────────────────────
 function draw() {
   background(0);
+  if (editorAtivo) { desenharEditor(); return; }
+  if (replayAtivo) { desenharReplay(); return; }
+  if (manualAtivo) { desenharManual(); return; }
   drawMap();
+  if (mostrarHeatmap) desenharHeatmap();
+  desenharCheckpoints();
+  desenharDiagnosticos();
+
+  // A broken map would only waste generations: hold the run until it's fixed
+  if (diagnosticoMapa.erros.length > 0) {
+    mostrarDiagnostico();
+    fill(255, 82, 82);
+    noStroke();
+    textFont('monospace');
+    textSize(13);
+    text('Map has errors — fix it in the editor (E) to start training.', 8, 18);
+    return;
+  }
 
   let aliveCount = 0;
   let leaderScore = -Infinity;
   let leader = null;
 
-  // Update all cars; find leader
+  // Update all cars (batched when the backend allows); find leader
+  atualizarPopulacao(population);
   for (const car of population) {
-    car.update();
+    if (car.melhorVolta < bestLapEver) bestLapEver = car.melhorVolta;
     if (car.alive) {
       aliveCount++;
       if (car.score > leaderScore) {
@@ -74,6 +158,7 @@ function draw() {
     if (car.alive && car !== leader) car.show(false);
   }
   if (leader) leader.show(true);
+  destacarSelecionado();
 
   frameCount_++;
 
@@ -81,26 +166,29 @@ function draw() {
   if (leaderScore > bestScoreEver) bestScoreEver = leaderScore;
 
   // Update HUD
-  updateHUD(aliveCount, leaderScore);
+  updateHUD(aliveCount, leaderScore, leader);
+  desenharRede(carroVisualizado(leader));
 
   // On-canvas mini-info
   fill(255);
   noStroke();
   textFont('monospace');
   textSize(13);
-  text(`Gen: ${generation}  |  Frame: ${frameCount_}/${MAX_FRAMES}`, 8, 18);
+  text(`${rotuloGeracao()}  |  Frame: ${frameCount_}/${MAX_FRAMES}`, 8, 18);
 
-  // Advance to next generation when all dead or time's up
+  // Advance to the next track round (or generation) when all dead or time's up;
+  // with islands running, to the shown island's next generation once it's in
   if ((aliveCount === 0 || frameCount_ > MAX_FRAMES) && !transitioning) {
-    nextGeneration();
+    if (arquipelago) mostrarIlha();
+    else terminarRodada();
   }
 }
 
 // ── Map rendering ──────────────────────────────────────────────────────────
-function drawMap() {
-  for (let row = 0; row < mapa.length; row++) {
-    for (let col = 0; col < mapa[row].length; col++) {
-      const v = mapa[row][col];
+function drawMap(grade = mapa) {
+  for (let row = 0; row < grade.length; row++) {
+    for (let col = 0; col < grade[row].length; col++) {
+      const v = grade[row][col];
       if (v === 1) fill(70, 70, 80);          // wall
       else if (v === 2) fill(0, 230, 80, 180);     // finish line
       else if (v === 3) fill(60, 160, 255, 200);   // spawn
@@ -111,103 +199,131 @@ function drawMap() {
   }
 }
 
-// ── Spawn & finish detection ───────────────────────────────────────────────
-function detectSpawnAndFinish() {
-  for (let row = 0; row < mapa.length; row++) {
-    for (let col = 0; col < mapa[row].length; col++) {
-      if (mapa[row][col] === 3) {
-        spawnPoint = {
-          x: col * tileSize + tileSize / 2,
-          y: row * tileSize + tileSize / 2,
-        };
-      } else if (mapa[row][col] === 2) {
-        if (finishLine.y === 0) finishLine.y = row;
-        if (finishLine.xStart === 0) finishLine.xStart = col;
-        finishLine.xEnd = col;
-      }
+// ── Distance field heatmap ─────────────────────────────────────────────────
+/** Tint road tiles by distance to finish (green = close, red = far). */
+function desenharHeatmap() {
+  const campo = obterCampoDistancia();
+  if (!_heatmap || _heatmap.campo !== campo) {
+    const { dist, largura, altura, maximo } = campo;
+    const imagem = createGraphics(largura * tileSize, altura * tileSize);
+    imagem.noStroke();
+    const perto = color(0, 230, 120, 110);
+    const longe = color(255, 60, 60, 110);
+    for (let i = 0; i < dist.length; i++) {
+      if (dist[i] === Infinity) continue;
+      imagem.fill(lerpColor(perto, longe, maximo ? dist[i] / maximo : 0));
+      imagem.rect((i % largura) * tileSize, Math.floor(i / largura) * tileSize, tileSize, tileSize);
     }
+    if (_heatmap) _heatmap.imagem.remove();
+    _heatmap = { campo, imagem };
+  }
+  image(_heatmap.imagem, 0, 0);
+}
+
+// ── Checkpoint gates ───────────────────────────────────────────────────────
+/** Outline the active track's gates (or `gates`), numbered in the order they must be passed. */
+function desenharCheckpoints(gates = checkpointsAtivos()) {
+  gates.forEach((gate, k) => {
+    noFill();
+    stroke(255, 200, 0, 160);
+    strokeWeight(1.5);
+    rect(gate.c * tileSize, gate.r * tileSize, gate.largura * tileSize, gate.altura * tileSize);
+    fill(255, 200, 0);
+    noStroke();
+    textSize(11);
+    text(k + 1, gate.c * tileSize + 3, gate.r * tileSize + 11);
+  });
+}
+
+// ── Map diagnostics overlay ────────────────────────────────────────────────
+/** Outline the tiles behind each validation problem: red = error, yellow = warning. */
+function desenharDiagnosticos() {
+  noFill();
+  strokeWeight(2);
+  stroke(255, 82, 82, 230);
+  for (const e of diagnosticoMapa.erros) {
+    for (const t of e.tiles) rect(t.c * tileSize, t.r * tileSize, tileSize, tileSize);
+  }
+  stroke(255, 200, 0, 200);
+  for (const a of diagnosticoMapa.avisos) {
+    for (const t of a.tiles) rect(t.c * tileSize, t.r * tileSize, tileSize, tileSize);
   }
-  console.log(`📍 Spawn: (${spawnPoint.x}, ${spawnPoint.y})`);
-  console.log(`🏁 Finish row ${finishLine.y}, cols ${finishLine.xStart}–${finishLine.xEnd}`);
 }
 
 // ── Generation management ──────────────────────────────────────────────────
+// Breeding and evaluation live in evolution.js, track scheduling in
+// curriculum.js; this only wraps brains in cars, one round per track.
 function newGeneration() {
+  if (arquipelago) encerrarIlhas();   // the run continues (or restarts) here
   console.log(`🚀 Starting Generation ${generation}...`);
+
+  if (generation === 1) {
+    reiniciarBackend();
+    reiniciarEstagnacao();
+    reiniciarOtimizador();
+    eventosMutacao = [];
+  }
+  const saved = (generation === 1) ? (cerebroInicial || carregarCerebroSalvo()) : null;
+  brainsGeracao = criarCerebros(eliteBrains, saved);
+  if (eliteBrains.length > 0) console.log(`  - Elites kept: ${eliteBrains.length}`);
+  console.log(`  - Total population: ${brainsGeracao.length}`);
+  if (brainBackend === 'neat') console.log(`  - Species: ${CerebroNEAT.especies.length}`);
+
+  curriculo.iniciarGeracao(generation);
+  iniciarRodada();
+  atualizarPainelMutacao();
+  atualizarPainelOtimizador();
+}
+
+/** Put this generation's brains on the next scheduled track. */
+function iniciarRodada() {
   frameCount_ = 0;
   transitioning = false;
 
-  const saved = (generation === 1) ? Cerebro.carregarDeLocalStorage() : null;
-  const newPopulation = [];
-
-  // 1. Keep elites directly (Elitism)
-  for (let i = 0; i < eliteBrains.length; i++) {
-    const car = new Car(spawnPoint.x, spawnPoint.y, eliteBrains[i].copiaCerebro());
-    newPopulation.push(car);
+  const pista = curriculo.proximaRodada();
+  if (pista.mapa !== mapa) {
+    ativarPista(pista);
+    resizeCanvas(mapa[0].length * tileSize, mapa.length * tileSize);
   }
-  if (eliteBrains.length > 0) console.log(`  - Elites kept: ${newPopulation.length}`);
+  population = brainsGeracao.map(brain => new Car(spawnPoint.x, spawnPoint.y, brain));
+}
 
-  // 2. Fill the rest with offspring
-  while (newPopulation.length < POPULATION_SIZE) {
-    let childBrain;
-    try {
-      if (eliteBrains.length >= 2) {
-        // Tournament Selection
-        const parentA = selecionarParente(eliteBrains);
-        const parentB = selecionarParente(eliteBrains);
-
-        // Crossover + Mutation
-        childBrain = parentA.cruzar(parentB);
-        childBrain.mutar(MUTATION_RATE);
-      } else if (saved) {
-        childBrain = saved.copiaCerebro();
-        if (newPopulation.length > 0) childBrain.mutar(MUTATION_RATE);
-      } else {
-        childBrain = new Cerebro();
-      }
-      newPopulation.push(new Car(spawnPoint.x, spawnPoint.y, childBrain));
-    } catch (e) {
-      console.error("❌ Error creating car brain, falling back to random:", e);
-      newPopulation.push(new Car(spawnPoint.x, spawnPoint.y, new Cerebro()));
-    }
-  }
+function terminarRodada() {
+  transitioning = true;
 
-  population = newPopulation;
-  console.log(`  - Total population: ${population.length}`);
-}
+  // Count finishers on this track
+  totalFinished += curriculo.registrarRodada(population);
 
-/**
- * Tournament Selection: pick 3 random brains from the elite pool and return the best one.
- * (Since eliteBrains is already sorted, we just pick the one with lowest index).
- */
-function selecionarParente(pool) {
-  const i1 = floor(random(pool.length));
-  const i2 = floor(random(pool.length));
-  const i3 = floor(random(pool.length));
-  return pool[min(i1, i2, i3)];
+  if (curriculo.proximaRodada()) iniciarRodada();
+  else nextGeneration();
 }
 
 function nextGeneration() {
   transitioning = true;
 
-  // Evaluate fitness and sort descending
-  population.sort((a, b) => b.calcularFitness() - a.calcularFitness());
-
-  // Update elite pool (we take more candidates for selection)
-  const poolSize = max(ELITE_COUNT, 10);
-  eliteBrains = population.slice(0, poolSize).map(c => c.brain.copiaCerebro());
-
-  // Count finishers this generation
-  totalFinished += population.filter(c => c.finished).length;
+  const { fitness, desbloqueada } = curriculo.concluirGeracao();
+  const cerebros = population.map(c => c.brain);   // in `fitness` order, before avaliarGeracao sorts
+  const resultado = avaliarGeracao(population, fitness);
+  eliteBrains = resultado.eliteBrains;
+  atualizarDistribuicao(cerebros, fitness);
+  const evento = acompanharEstagnacao(generation, resultado.best, desbloqueada);
+  registrarHistorico(generation, resultado, curriculo.resultados.reduce((s, r) => s + r.finished, 0), evento);
+  gravarReplayDaGeracao(resultado);
+  if (desbloqueada) showToast(`🔓 New track unlocked: ${desbloqueada.nome}`);
+  if (evento) registrarEventoMutacao(evento);
 
   generation++;
+  registrarCheckpoint();
   newGeneration();
 }
 
 // ── HUD update ─────────────────────────────────────────────────────────────
-function updateHUD(aliveCount, leaderScore) {
+function updateHUD(aliveCount, leaderScore, leader) {
   const total = population.length;
   document.getElementById('hud-gen').textContent = generation;
+  document.getElementById('hud-track').textContent = arquipelago
+    ? `${pistaAtiva.nome} (island ${ilhasVisor.escolhida + 1})`
+    : `${curriculo.proximaRodada().nome} (${curriculo.resultados.length + 1}/${curriculo.rodadas.length})`;
   document.getElementById('hud-time').textContent = frameCount_;
   document.getElementById('hud-fps').textContent = `${currentFPS} FPS`;
   document.getElementById('hud-alive').textContent = aliveCount;
@@ -216,38 +332,623 @@ function updateHUD(aliveCount, leaderScore) {
   document.getElementById('hud-best-ever').textContent = Math.floor(bestScoreEver);
   document.getElementById('hud-leader').textContent = leaderScore === -Infinity ? '—' : Math.floor(leaderScore);
   document.getElementById('hud-finished').textContent = totalFinished;
+  document.getElementById('hud-checkpoints').textContent = leader
+    ? `${leader.checkpointsPassados} · lap ${Math.min(leader.voltasCompletas + 1, voltasAtivas())}/${voltasAtivas()}`
+    : '—';
+  document.getElementById('hud-best-lap').textContent = bestLapEver === Infinity ? '—' : `${bestLapEver} f`;
+  mostrarDiagnostico();
+}
+
+/** List the active map's validation problems in the HUD (only when they change). */
+let _diagnosticoExibido = null;
+function mostrarDiagnostico() {
+  if (diagnosticoMapa === _diagnosticoExibido) return;
+  _diagnosticoExibido = diagnosticoMapa;
+  const { erros, avisos } = diagnosticoMapa;
+  const el = document.getElementById('hud-map-check');
+  el.replaceChildren(
+    ...erros.map(e => mensagemDiagnostico('❌', e.mensagem, 'error')),
+    ...avisos.map(a => mensagemDiagnostico('⚠️', a.mensagem, 'warning')),
+  );
+  if (erros.length + avisos.length === 0) el.append(mensagemDiagnostico('✅', 'No problems found.', 'ok'));
+  if (erros.length > 0) showToast(`❌ Map check failed: ${erros[0].mensagem}`);
+}
+
+function mensagemDiagnostico(icone, texto, tipo) {
+  const div = document.createElement('div');
+  div.className = `map-check ${tipo}`;
+  div.textContent = `${icone} ${texto}`;
+  return div;
+}
+
+// ── Network panel ──────────────────────────────────────────────────────────
+// Layers and input layout persist in localStorage between visits;
+// ?arch=, ?sensors=, ?range= and ?ray-step= override them for this page load.
+const REDE_STORAGE_KEY = 'redeConfig';
+
+function iniciarRede() {
+  try {
+    const salvo = JSON.parse(localStorage.getItem(REDE_STORAGE_KEY));
+    if (salvo) {
+      definirArquitetura(salvo.camadas);
+      definirEntradas(salvo.entradas);
+    }
+  } catch (e) {
+    console.warn('⚠️ Ignoring invalid saved network settings.');
+  }
+  try {
+    if (urlParams.has('arch')) definirArquitetura(lerArquitetura(urlParams.get('arch')));
+    const entradas = { ...configEntradas };
+    if (urlParams.has('sensors')) entradas.sensores = lerSensores(urlParams.get('sensors'));
+    if (urlParams.has('range')) entradas.alcance = Number(urlParams.get('range'));
+    if (urlParams.has('ray-step')) entradas.passo = Number(urlParams.get('ray-step'));
+    definirEntradas(entradas);
+  } catch (e) {
+    showToast(`⚠️ ${e.message}`);
+  }
+  atualizarPainelRede();
+}
+
+function salvarRedeLocal() {
+  localStorage.setItem(REDE_STORAGE_KEY, JSON.stringify({ camadas: arquiteturaRede, entradas: configEntradas }));
+}
+
+function atualizarPainelRede() {
+  const neat = brainBackend === 'neat';
+  const camadas = document.getElementById('rede-camadas');
+  camadas.value = textoArquitetura(arquiteturaRede);
+  camadas.disabled = neat;
+  document.getElementById('rede-sensores').value = configEntradas.sensores.join(',');
+  document.getElementById('rede-alcance').value = configEntradas.alcance;
+  document.getElementById('rede-passo').value = configEntradas.passo;
+  document.querySelectorAll('[data-extra]').forEach(el => { el.checked = configEntradas.extras.includes(el.dataset.extra); });
+  document.getElementById('rede-resumo').textContent = neat
+    ? `${totalEntradas()} inputs → evolved topology (NEAT) → 2`
+    : [`${totalEntradas()} inputs`, ...arquiteturaRede.map(c => `${c.unidades} ${c.ativacao}`)].join(' → ');
+}
+
+/** Apply the panel's layers and inputs, then restart from fresh brains. */
+function aplicarRede() {
+  const anterior = { camadas: arquiteturaRede, entradas: configEntradas };
+  try {
+    definirArquitetura(lerArquitetura(document.getElementById('rede-camadas').value));
+    definirEntradas({
+      sensores: lerSensores(document.getElementById('rede-sensores').value),
+      alcance: Number(document.getElementById('rede-alcance').value),
+      passo: Number(document.getElementById('rede-passo').value),
+      extras: [...document.querySelectorAll('[data-extra]')].filter(el => el.checked).map(el => el.dataset.extra),
+    });
+  } catch (e) {
+    definirArquitetura(anterior.camadas);
+    definirEntradas(anterior.entradas);
+    atualizarPainelRede();
+    showToast(`⚠️ ${e.message}`);
+    return;
+  }
+  salvarRedeLocal();
+  atualizarPainelRede();
+  resetarTudo();
+}
+
+// ── Fitness panel ──────────────────────────────────────────────────────────
+// The strategy and its weights persist in localStorage between visits;
+// ?fitness= picks a strategy (with its default weights) for this page load.
+const FITNESS_STORAGE_KEY = 'fitnessConfig';
+
+function iniciarFitness() {
+  try {
+    const salvo = JSON.parse(localStorage.getItem(FITNESS_STORAGE_KEY));
+    if (salvo) definirFitness(salvo.estrategia, salvo.pesos);
+  } catch (e) {
+    console.warn('⚠️ Ignoring invalid saved fitness settings.');
+  }
+  const pedida = urlParams.get('fitness');
+  if (pedida && pedida !== fitnessConfig.estrategia) definirFitness(pedida);
+  montarPainelFitness();
+}
+
+function salvarFitnessLocal() {
+  localStorage.setItem(FITNESS_STORAGE_KEY, JSON.stringify(fitnessConfig));
+}
+
+/** Rebuild the strategy picker and one number input per weight. */
+function montarPainelFitness() {
+  const select = document.getElementById('fitness-estrategia');
+  if (select.options.length === 0) {
+    for (const [chave, { nome }] of Object.entries(ESTRATEGIAS_FITNESS)) select.add(new Option(nome, chave));
+  }
+  select.value = fitnessConfig.estrategia;
+  document.getElementById('fitness-descricao').textContent = ESTRATEGIAS_FITNESS[fitnessConfig.estrategia].descricao;
+
+  const linhas = Object.entries(fitnessConfig.pesos).map(([nome, valor]) => {
+    const linha = document.createElement('label');
+    linha.className = 'editor-row fitness-peso';
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.value = valor;
+    input.onchange = () => alterarPesoFitness(nome, input.value);
+    linha.append(ROTULOS_PESOS[nome] || nome, input);
+    return linha;
+  });
+  document.getElementById('fitness-pesos').replaceChildren(...linhas);
+}
+
+function escolherEstrategiaFitness(estrategia) {
+  definirFitness(estrategia);
+  salvarFitnessLocal();
+  montarPainelFitness();
+  showToast(`🎯 Fitness: ${ESTRATEGIAS_FITNESS[estrategia].nome} — reset for a clean comparison.`);
+}
+
+function alterarPesoFitness(nome, valor) {
+  if (valor === '' || !Number.isFinite(Number(valor))) { montarPainelFitness(); return; }
+  definirFitness(fitnessConfig.estrategia, { ...fitnessConfig.pesos, [nome]: Number(valor) });
+  salvarFitnessLocal();
+}
+
+function restaurarPesosFitness() {
+  escolherEstrategiaFitness(fitnessConfig.estrategia);
+}
+
+// ── Breeding panel ─────────────────────────────────────────────────────────
+// Selection, elitism and crossover persist in localStorage between visits;
+// ?selection=, ?tournament=, ?elitism=, ?parents= and ?crossover= override
+// them for this page load. Changes apply from the next generation.
+const SELECAO_STORAGE_KEY = 'selecaoConfig';
+const SELECAO_URL = { selection: 'selecao', tournament: 'torneio', elitism: 'elitismo', parents: 'pais', crossover: 'cruzamento' };
+
+function iniciarSelecao() {
+  try {
+    definirSelecao(JSON.parse(localStorage.getItem(SELECAO_STORAGE_KEY)) || {});
+  } catch (e) {
+    console.warn('⚠️ Ignoring invalid saved breeding settings.');
+  }
+  const pedida = {};
+  for (const [parametro, campo] of Object.entries(SELECAO_URL)) {
+    if (!urlParams.has(parametro)) continue;
+    const valor = urlParams.get(parametro);
+    pedida[campo] = typeof SELECAO_PADRAO[campo] === 'number' ? Number(valor) : valor;
+  }
+  try {
+    definirSelecao({ ...selecaoConfig, ...pedida });
+  } catch (e) {
+    showToast(`⚠️ ${e.message}`);
+  }
+  montarPainelSelecao();
+}
+
+function salvarSelecaoLocal() {
+  localStorage.setItem(SELECAO_STORAGE_KEY, JSON.stringify(selecaoConfig));
+}
+
+function montarPainelSelecao() {
+  const opcoes = (id, estrategias) => {
+    const select = document.getElementById(id);
+    if (select.options.length === 0) {
+      for (const [chave, { nome }] of Object.entries(estrategias)) select.add(new Option(nome, chave));
+    }
+    return select;
+  };
+  opcoes('selecao-estrategia', ESTRATEGIAS_SELECAO).value = selecaoConfig.selecao;
+  opcoes('selecao-cruzamento', ESTRATEGIAS_CRUZAMENTO).value = selecaoConfig.cruzamento;
+  document.getElementById('selecao-descricao').textContent = ESTRATEGIAS_SELECAO[selecaoConfig.selecao].descricao;
+  document.getElementById('cruzamento-descricao').textContent = ESTRATEGIAS_CRUZAMENTO[selecaoConfig.cruzamento].descricao;
+  for (const campo of ['torneio', 'elitismo', 'pais']) {
+    document.getElementById(`selecao-${campo}`).value = selecaoConfig[campo];
+  }
+  document.getElementById('selecao-torneio').disabled = selecaoConfig.selecao !== 'torneio';
+}
+
+/** Change some breeding settings (from the panel's inputs). */
+function alterarSelecao(mudanca) {
+  try {
+    definirSelecao({ ...selecaoConfig, ...mudanca });
+  } catch (e) {
+    showToast(`⚠️ ${e.message}`);
+  }
+  salvarSelecaoLocal();
+  montarPainelSelecao();
+  salvarMutacaoLocal();
+  montarPainelMutacao();
+}
+
+// ── Mutation panel ─────────────────────────────────────────────────────────
+// Self-adaptation and stall recovery persist in localStorage between visits;
+// ?adaptive=, ?stall=, ?stall-gain=, ?stall-responses=, ?boost= and
+// ?immigrants= override them for this page load. The card also logs every
+// stall response (toast + list), and the history charts mark them.
+const MUTACAO_STORAGE_KEY = 'mutacaoConfig';
+const MUTACAO_URL = {
+  adaptive: 'adaptativa', stall: 'janela', 'stall-gain': 'tolerancia', 'stall-responses': 'respostas',
+  boost: 'reforco', immigrants: 'imigrantes',
+};
+const EVENTOS_MUTACAO_MAX = 8;
+let eventosMutacao = [];   // latest stall events of this run, newest first (lines of text)
+
+function iniciarMutacao() {
+  try {
+    definirMutacao(JSON.parse(localStorage.getItem(MUTACAO_STORAGE_KEY)) || {});
+  } catch (e) {
+    console.warn('⚠️ Ignoring invalid saved mutation settings.');
+  }
+  const pedida = {};
+  for (const [parametro, campo] of Object.entries(MUTACAO_URL)) {
+    if (!urlParams.has(parametro)) continue;
+    const valor = urlParams.get(parametro);
+    const padrao = MUTACAO_PADRAO[campo];
+    pedida[campo] = typeof padrao === 'boolean' ? valor === '1' || valor === 'true'
+      : typeof padrao === 'number' ? Number(valor)
+      : valor.split(',').filter(Boolean);
+  }
+  try {
+    definirMutacao({ ...mutacaoConfig, ...pedida });
+  } catch (e) {
+    showToast(`⚠️ ${e.message}`);
+  }
+  montarPainelMutacao();
+}
+
+function salvarMutacaoLocal() {
+  localStorage.setItem(MUTACAO_STORAGE_KEY, JSON.stringify(mutacaoConfig));
+}
+
+function montarPainelMutacao() {
+  const { adaptativa, janela, tolerancia, respostas, reforco, imigrantes } = mutacaoConfig;
+  document.getElementById('mutacao-adaptativa').checked = adaptativa;
+  document.getElementById('mutacao-janela').value = janela;
+  document.getElementById('mutacao-tolerancia').value = +(tolerancia * 100).toFixed(2);
+  document.getElementById('mutacao-reforco').value = reforco;
+  document.getElementById('mutacao-imigrantes').value = Math.round(imigrantes * 100);
+  document.querySelectorAll('[data-resposta]').forEach(el => { el.checked = respostas.includes(el.dataset.resposta); });
+  atualizarPainelMutacao();
+}
+
+/** Change some mutation settings (from the panel's inputs). */
+function alterarMutacao(mudanca) {
+  try {
+    definirMutacao({ ...mutacaoConfig, ...mudanca });
+  } catch (e) {
+    showToast(`⚠️ ${e.message}`);
+  }
+  salvarMutacaoLocal();
+  montarPainelMutacao();
+}
+
+/** The ticked stall responses, in their current order (newly ticked ones last). */
+function alterarRespostas() {
+  const marcadas = [...document.querySelectorAll('[data-resposta]')].filter(el => el.checked).map(el => el.dataset.resposta);
+  const atuais = mutacaoConfig.respostas.filter(r => marcadas.includes(r));
+  alterarMutacao({ respostas: [...new Set([...atuais, ...marcadas])] });
+}
+
+/** Log a stall event (acompanharEstagnacao) in the card and as a toast. */
+function registrarEventoMutacao(evento, ilha = null) {
+  const texto = (ilha === null ? '' : `Island ${ilha + 1}: `) + descreverEvento(evento);
+  console.log(texto);
+  showToast(texto);
+  eventosMutacao = [texto, ...eventosMutacao].slice(0, EVENTOS_MUTACAO_MAX);
+  atualizarPainelMutacao();
+}
+
+/** Current rate and σ, the stall count and the event log. */
+function atualizarPainelMutacao() {
+  const ultima = historico[historico.length - 1];
+  const taxa = ultima && ultima.mutationRate !== undefined ? ultima.mutationRate : MUTATION_RATE;
+  const sigma = ultima && ultima.mutationSigma !== undefined ? ultima.mutationSigma
+    : brainBackend === 'neat' ? NEAT_CONFIG.desvioPeso : SIGMA_MUTACAO;
+  const { janela, adaptativa } = mutacaoConfig;
+  const { semMelhora, reforco } = estagnacao;
+  const partes = [`${adaptativa ? 'Mean rate' : 'Rate'} ${taxa.toFixed(3)} · σ ${sigma.toFixed(3)}`];
+  if (usaOtimizador()) partes.splice(0, 1, `Not used — ${OTIMIZADORES[otimizadorConfig.otimizador].nome} samples the generations`);
+  else if (arquipelago) partes.push('each island watches its own stalls');
+  else if (janela === 0) partes.push('stall recovery off');
+  else {
+    partes.push(`${semMelhora}/${janela} gens without a new best`);
+    if (reforco > 1) partes.push(`boost ×${+reforco.toFixed(2)}`);
+  }
+  document.getElementById('mutacao-status').textContent = partes.join(' · ');
+  document.getElementById('mutacao-eventos').textContent = eventosMutacao.join('\n');
+}
+
+// ── Optimizer panel ────────────────────────────────────────────────────────
+// The optimizer and its settings persist in localStorage between visits;
+// ?optimizer=, ?es-sigma= and ?es-lr= override them for this page load.
+// A change takes effect at the next generation, with the distribution
+// restarted around the best brain so far.
+const OTIMIZADOR_STORAGE_KEY = 'otimizadorConfig';
+const OTIMIZADOR_URL = { optimizer: 'otimizador', 'es-sigma': 'sigma', 'es-lr': 'aprendizado' };
+
+function iniciarOtimizador() {
+  try {
+    definirOtimizador(JSON.parse(localStorage.getItem(OTIMIZADOR_STORAGE_KEY)) || {});
+  } catch (e) {
+    console.warn('⚠️ Ignoring invalid saved optimizer settings.');
+  }
+  const pedida = {};
+  for (const [parametro, campo] of Object.entries(OTIMIZADOR_URL)) {
+    if (!urlParams.has(parametro)) continue;
+    const valor = urlParams.get(parametro);
+    pedida[campo] = typeof OTIMIZADOR_PADRAO[campo] === 'number' ? Number(valor) : valor;
+  }
+  try {
+    definirOtimizador({ ...otimizadorConfig, ...pedida });
+  } catch (e) {
+    showToast(`⚠️ ${e.message}`);
+  }
+  montarPainelOtimizador();
+}
+
+function salvarOtimizadorLocal() {
+  localStorage.setItem(OTIMIZADOR_STORAGE_KEY, JSON.stringify(otimizadorConfig));
+}
+
+function montarPainelOtimizador() {
+  const select = document.getElementById('otimizador-tipo');
+  if (select.options.length === 0) {
+    for (const [chave, { nome }] of Object.entries(OTIMIZADORES)) select.add(new Option(nome, chave));
+  }
+  const { otimizador, sigma, aprendizado } = otimizadorConfig;
+  select.value = otimizador;
+  document.getElementById('otimizador-descricao').textContent = OTIMIZADORES[otimizador].descricao;
+  document.getElementById('otimizador-sigma').value = sigma;
+  document.getElementById('otimizador-aprendizado').value = aprendizado;
+  document.getElementById('otimizador-sigma').disabled = otimizador === 'ga';
+  document.getElementById('otimizador-aprendizado').disabled = otimizador !== 'es';
+  atualizarPainelOtimizador();
+}
+
+/** Change some optimizer settings (from the panel's inputs). */
+function alterarOtimizador(mudanca) {
+  try {
+    definirOtimizador({ ...otimizadorConfig, ...mudanca });
+  } catch (e) {
+    showToast(`⚠️ ${e.message}`);
+  }
+  salvarOtimizadorLocal();
+  montarPainelOtimizador();
+  atualizarPainelMutacao();
+}
+
+/** The distribution's size and spread, or why the optimizer can't run. */
+function atualizarPainelOtimizador() {
+  const motivo = motivoSemOtimizador();
+  let texto = '';
+  if (motivo) texto = `⚠️ ${motivo}.`;
+  else if (usaOtimizador() && distribuicao && distribuicao.otimizador === otimizadorConfig.otimizador) {
+    const pesos = distribuicao.instancia.media.length;
+    texto = `${pesos} weights · σ per weight ${distribuicao.instancia.desvio().toFixed(4)} · car 0 drives the mean`;
+  } else if (usaOtimizador()) texto = 'Starts around the best brain at the next generation.';
+  document.getElementById('otimizador-status').textContent = texto;
+}
+
+// ── Vehicle panel ──────────────────────────────────────────────────────────
+// The vehicle model persists in localStorage between visits; ?physics=
+// overrides it for this page load.
+const FISICA_STORAGE_KEY = 'modeloFisica';
+
+function iniciarFisica() {
+  try {
+    definirModeloFisica(urlParams.get('physics') || localStorage.getItem(FISICA_STORAGE_KEY) || 'arcade');
+  } catch (e) {
+    showToast(`⚠️ ${e.message}`);
+  }
+  montarPainelFisica();
+}
+
+function montarPainelFisica() {
+  const select = document.getElementById('fisica-modelo');
+  if (select.options.length === 0) {
+    for (const [chave, { nome }] of Object.entries(MODELOS_FISICA)) select.add(new Option(nome, chave));
+  }
+  select.value = modeloFisica;
+  document.getElementById('fisica-descricao').textContent = MODELOS_FISICA[modeloFisica].descricao;
+}
+
+function escolherModeloFisica(modelo) {
+  definirModeloFisica(modelo);
+  localStorage.setItem(FISICA_STORAGE_KEY, modelo);
+  montarPainelFisica();
+  showToast(`🚗 Vehicle: ${MODELOS_FISICA[modelo].nome} — reset for a clean comparison.`);
 }
 
 // ── Brain persistence (called from HTML buttons & keyboard) ────────────────
-function salvarCerebro() {
+/**
+ * Save the current leader as the run's saved brain and add it to the library.
+ * @param {string} [nome]  Library name (default: generation and score)
+ */
+function salvarCerebro(nome) {
   if (population.length === 0) return;
-  population.sort((a, b) => b.calcularFitness() - a.calcularFitness());
-  population[0].brain.salvarEmLocalStorage();
-  showToast('✅ Brain saved to localStorage!');
+  // Never reorder `population`: the curriculum matches its cars to the generation's brains by index
+  const lider = population.reduce((a, b) => (b.calcularFitness() > a.calcularFitness() ? b : a));
+  const pontuacao = lider.calcularFitness();
+  const meta = {
+    fitness: fitnessConfig,
+    treino: dadosTreino(generation, curriculo.pistasAtivas(), pontuacao),
+  };
+  lider.brain.salvarEmLocalStorage('bestBrain', meta);
+  const naBiblioteca = adicionarABiblioteca(nome || `Gen ${generation} · ${Math.floor(pontuacao)}`,
+    serializarCerebro(lider.brain, meta));
+  if (naBiblioteca) showToast('✅ Brain saved to localStorage and the library!');
 }
 
 function carregarCerebro() {
-  const brain = Cerebro.carregarDeLocalStorage();
+  // Rebuilds the network the file describes and keeps training under its settings
+  const brain = carregarCerebroSalvo('bestBrain', true);
   if (!brain) { showToast('⚠️ No saved brain found.'); return; }
-  eliteBrains = [brain];
+  iniciarComCerebros([brain]);
+  showToast('📂 Brain loaded! Starting fresh from gen 1.');
+}
+
+/**
+ * Start a new run (generation 1) from `brains` as the elite pool. Call after
+ * a brain file has reconfigured the run (aplicarDescricao) — this refreshes
+ * the panels that show that configuration.
+ */
+function iniciarComCerebros(brains) {
+  atualizarPaineisConfig();
+  eliteBrains = brains;
+  cerebroInicial = brains[0];
+  definirHistorico([]);
   generation = 1;
   totalFinished = 0;
   bestScoreEver = 0;
+  bestLapEver = Infinity;
+  curriculo.nivel = 1;
+  iniciarSemente();
   newGeneration();
-  showToast('📂 Brain loaded! Starting fresh from gen 1.');
+}
+
+/** Show (and remember) settings a loaded brain or checkpoint switched the run to. */
+function atualizarPaineisConfig() {
+  document.getElementById('hud-backend').textContent = brainBackend;
+  salvarRedeLocal();
+  atualizarPainelRede();
+  salvarFitnessLocal();
+  montarPainelFitness();
+  salvarSelecaoLocal();
+  montarPainelSelecao();
+  salvarMutacaoLocal();
+  montarPainelMutacao();
+  salvarOtimizadorLocal();
+  montarPainelOtimizador();
 }
 
 function resetarTudo() {
   eliteBrains = [];
+  cerebroInicial = null;
+  definirHistorico([]);
   generation = 1;
   totalFinished = 0;
   bestScoreEver = 0;
+  bestLapEver = Infinity;
+  curriculo.nivel = 1;
+  iniciarSemente();
   newGeneration();
   showToast('🔄 Simulation reset.');
 }
 
+// ── Run checkpoints (checkpoint.js) ────────────────────────────────────────
+// The whole run is stored in IndexedDB every CHECKPOINT_A_CADA generations.
+// On startup a stored checkpoint pauses the page until the user picks resume
+// or start fresh, so the new run can't overwrite it first.
+const CHECKPOINT_A_CADA = 1;
+let ultimoCheckpoint = null;   // latest checkpoint of this run (⬇ Export)
+let retomadaPendente = null;   // checkpoint offered on startup, until the user chooses
+
+/** Called between generations (generation = the one about to start). */
+function registrarCheckpoint() {
+  if (retomadaPendente || (generation - 1) % CHECKPOINT_A_CADA !== 0) return;
+  ultimoCheckpoint = capturarCheckpoint({
+    generation, eliteBrains, bestScoreEver, totalFinished, bestLapEver, curriculo, historico,
+    interface: { fps: currentFPS },
+  });
+  atualizarPainelCheckpoint();
+  gravarCheckpointLocal(ultimoCheckpoint)
+    .catch(e => console.warn(`⚠️ Could not store the checkpoint: ${e.message}`));
+}
+
+function oferecerRetomada() {
+  lerCheckpointLocal().then(dados => {
+    if (!dados) return;
+    retomadaPendente = dados;
+    noLoop();
+    document.getElementById('retomar-resumo').textContent = `Last run: ${descreverCheckpoint(dados)}`;
+    document.getElementById('retomar-panel').style.display = 'flex';
+  }).catch(e => console.warn(`⚠️ Could not read the last checkpoint: ${e.message}`));
+}
+
+function retomarRun() {
+  const dados = retomadaPendente;
+  fecharRetomada();
+  aplicarCheckpoint(dados);
+}
+
+function comecarDoZero() {
+  fecharRetomada();
+  showToast('🆕 Fresh run — the old checkpoint is replaced after this generation.');
+}
+
+function fecharRetomada() {
+  retomadaPendente = null;
+  document.getElementById('retomar-panel').style.display = 'none';
+  loop();
+}
+
+/** Continue the run a checkpoint describes (from IndexedDB or a file). */
+function aplicarCheckpoint(dados) {
+  let estado;
+  try {
+    estado = restaurarCheckpoint(dados);
+  } catch (e) {
+    showToast(`⚠️ ${e.message}`);
+    return;
+  }
+  eliteBrains = estado.eliteBrains;
+  cerebroInicial = null;
+  generation = estado.generation;
+  bestScoreEver = estado.bestScoreEver;
+  totalFinished = estado.totalFinished;
+  bestLapEver = estado.bestLapEver;
+  curriculo.config = estado.curriculo.config;
+  curriculo.nivel = estado.curriculo.nivel;
+  definirHistorico(estado.historico);
+  if (estado.interface.fps) {
+    currentFPS = estado.interface.fps;
+    frameRate(currentFPS);
+  }
+  document.getElementById('hud-seed').textContent = rng.semente;
+  atualizarPaineisConfig();
+  resizeCanvas(mapa[0].length * tileSize, mapa.length * tileSize);
+  ultimoCheckpoint = dados;
+  atualizarPainelCheckpoint();
+  newGeneration();
+  showToast(`⏯️ Resumed at generation ${generation}.`);
+}
+
+function exportarCheckpoint() {
+  if (!ultimoCheckpoint) { showToast('⚠️ No checkpoint yet — one is taken after each generation.'); return; }
+  baixarArquivo(`checkpoint-gen${ultimoCheckpoint.geracao}.json`, JSON.stringify(ultimoCheckpoint));
+}
+
+/** Resume from a checkpoint file (⬇ Export here or train.js's checkpoint.json). */
+function importarCheckpoint(file) {
+  const leitor = new FileReader();
+  leitor.onload = () => {
+    try {
+      aplicarCheckpoint(JSON.parse(leitor.result));
+    } catch (e) {
+      showToast(`⚠️ ${file.name}: ${e.message}`);
+    }
+  };
+  leitor.readAsText(file);
+}
+
+/** "Gen 12 done · best 1834 · matriz · 19/10/26 14:02" */
+function descreverCheckpoint(dados) {
+  const data = new Date(dados.salvoEm).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+  return `Gen ${dados.geracao - 1} done · best ${Math.floor(dados.contadores.bestScoreEver)} · ${dados.config.backend} · ${data}`;
+}
+
+function atualizarPainelCheckpoint() {
+  document.getElementById('checkpoint-status').textContent = ultimoCheckpoint
+    ? descreverCheckpoint(ultimoCheckpoint)
+    : 'No checkpoint yet.';
+}
+
 // ── Keyboard shortcuts ─────────────────────────────────────────────────────
 function keyPressed() {
+  if (key === 'e' || key === 'E') {
+    if (replayAtivo) fecharReplay();
+    alternarEditor();
+    return;
+  }
+  if (editorAtivo && tratarTeclaEditor()) return false;
+  if (key === 'v' || key === 'V') { alternarReplay(); return; }
+  if (replayAtivo && tratarTeclaReplay()) return false;
+  if (key === 'm' || key === 'M') { alternarManual(); return; }
+  if (manualAtivo && tratarTeclaManual()) return false;
+  if (key === 'h' || key === 'H') mostrarHeatmap = !mostrarHeatmap;
   if (key === 's' || key === 'S') salvarCerebro();
   if (key === 'l' || key === 'L') carregarCerebro();
   if (key === 'r' || key === 'R') resetarTudo();
@@ -263,6 +964,23 @@ function keyPressed() {
   }
 }
 
+// ── Mouse ──────────────────────────────────────────────────────────────────
+function mousePressed() {
+  if (editorAtivo) { tratarCliqueEditor(); return; }
+  if (!replayAtivo && !manualAtivo && mouseNaGrade()) selecionarCarro(mouseX, mouseY);
+}
+
+// ── File download ──────────────────────────────────────────────────────────
+/** Offer `conteudo` to the user as a downloaded file. */
+function baixarArquivo(nome, conteudo, tipo = 'application/json') {
+  const url = URL.createObjectURL(new Blob([conteudo], { type: tipo }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = nome;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 // ── Toast notification ─────────────────────────────────────────────────────
 let _toastTimeout;
 function showToast(msg) {
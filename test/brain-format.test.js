@@ -0,0 +1,105 @@
+/**
+ * brain-format.test.js – Brain file migrations and round trips (brain-format.js)
+ * ────────────────────────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+for (const file of ['random.js', 'brain.js', 'brain-matrix.js', 'brain-neat.js', 'brain-format.js', 'fitness.js', 'car.js']) {
+  const caminho = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+}
+const sim = vm.runInThisContext(`({
+  CerebroMatriz, CerebroNEAT, FORMATO_CEREBRO, ENTRADAS_PADRAO, RAIOS_LEGADOS,
+  migrarCerebro, serializarCerebro, aplicarDescricao, construirCerebro, descricaoCompativel,
+  definirArquitetura, definirEntradas, reiniciarBackend,
+  get configEntradas() { return configEntradas; },
+  set brainBackend(v) { brainBackend = v; },
+})`);
+
+/** Start from the default inputs and layers on the matrix backend. */
+function reiniciar() {
+  sim.brainBackend = 'matriz';
+  sim.definirEntradas(sim.ENTRADAS_PADRAO);
+  sim.definirArquitetura([{ unidades: 18, ativacao: 'relu' }, { unidades: 10, ativacao: 'relu' }, { unidades: 2, ativacao: 'tanh' }]);
+}
+
+/** A version-1 file: the bare exportarPesos() output, round-tripped through JSON. */
+function arquivoV1(brain) {
+  return JSON.parse(JSON.stringify(brain.exportarPesos()));
+}
+
+const LEITURAS = [0.1, 0.9, 0.4, 0.3, 1, 0.2, 0.5, 0.7, 0.05, 0.6, -0.2];
+
+test('a version-1 dense brain migrates to the current format and drives the same', () => {
+  reiniciar();
+  const original = new sim.CerebroMatriz();
+  const dados = sim.migrarCerebro(arquivoV1(original));
+
+  assert.strictEqual(dados.formato, sim.FORMATO_CEREBRO);
+  assert.strictEqual(dados.tipo, 'denso');
+  assert.deepStrictEqual(dados.arquitetura, {
+    entradas: 11,
+    camadas: [{ unidades: 18, ativacao: 'relu' }, { unidades: 10, ativacao: 'relu' }, { unidades: 2, ativacao: 'tanh' }],
+  });
+  // Version 1 and 2 rays were 200 px marched in 5 px steps
+  assert.deepStrictEqual(dados.entradas, { ...sim.ENTRADAS_PADRAO, ...sim.RAIOS_LEGADOS });
+  assert.strictEqual(dados.fitness, null);
+
+  sim.definirEntradas({ sensores: [0], extras: [] });   // the page is set up differently
+  sim.aplicarDescricao(dados);
+  assert.ok(sim.descricaoCompativel(dados));
+  const copia = sim.construirCerebro(dados);
+  assert.deepStrictEqual(Array.from(copia.pensar(LEITURAS)), Array.from(original.pensar(LEITURAS)));
+});
+
+test('a 9-input version-1 brain was tanh throughout, without extra inputs', () => {
+  reiniciar();
+  sim.definirEntradas({ sensores: sim.ENTRADAS_PADRAO.sensores, extras: [] });
+  sim.definirArquitetura([{ unidades: 6, ativacao: 'tanh' }, { unidades: 2, ativacao: 'tanh' }]);
+  const dados = sim.migrarCerebro(arquivoV1(new sim.CerebroMatriz()));
+  assert.deepStrictEqual(dados.arquitetura.camadas.map(c => c.ativacao), ['tanh', 'tanh']);
+  assert.deepStrictEqual(dados.entradas.extras, []);
+  assert.strictEqual(dados.arquitetura.entradas, 9);
+});
+
+test('version 2 gains the legacy ray settings, and its weights are kept', () => {
+  reiniciar();
+  const v1 = arquivoV1(new sim.CerebroMatriz());
+  const v2 = { ...sim.migrarCerebro(v1), formato: 2 };
+  delete v2.entradas.alcance;
+  delete v2.entradas.passo;
+  const v3 = sim.migrarCerebro(v2);
+  assert.strictEqual(v3.formato, 3);
+  assert.strictEqual(v3.entradas.alcance, sim.RAIOS_LEGADOS.alcance);
+  assert.strictEqual(v3.entradas.passo, sim.RAIOS_LEGADOS.passo);
+  assert.deepStrictEqual(v3.pesos, v1);
+});
+
+test('a version-1 NEAT genome keeps its genes', () => {
+  reiniciar();
+  sim.brainBackend = 'neat';
+  sim.reiniciarBackend();
+  const original = new sim.CerebroNEAT();
+  const dados = sim.migrarCerebro(arquivoV1(original));
+  assert.strictEqual(dados.tipo, 'neat');
+  assert.strictEqual(dados.arquitetura, null);
+  assert.deepStrictEqual(dados.pesos, original.exportarPesos());
+  const copia = sim.construirCerebro(dados);
+  assert.deepStrictEqual(Array.from(copia.pensar(LEITURAS)), Array.from(original.pensar(LEITURAS)));
+});
+
+test('current files pass through unchanged; newer or unreadable ones are refused', () => {
+  reiniciar();
+  const arquivo = JSON.parse(JSON.stringify(sim.serializarCerebro(new sim.CerebroMatriz(), { fitness: { estrategia: 'padrao', pesos: {} } })));
+  assert.deepStrictEqual(sim.migrarCerebro(arquivo), arquivo);
+  assert.throws(() => sim.migrarCerebro({ ...arquivo, formato: sim.FORMATO_CEREBRO + 1 }), /newer than this version supports/);
+
+  sim.definirEntradas({ sensores: [0, 45], extras: [] });
+  assert.throws(() => sim.migrarCerebro(arquivoV1(new sim.CerebroMatriz())), /sensor layout of a 2-input brain/);
+});
@@ -0,0 +1,82 @@
+/**
+ * curriculum.test.js – Round scheduling, score aggregation and unlocking (curriculum.js)
+ * ────────────────────────────────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const caminho = path.join(__dirname, '..', 'curriculum.js');
+vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+const { Curriculo } = vm.runInThisContext('({ Curriculo })');
+
+const PISTAS = ['facil', 'media', 'dificil'].map((nome, dificuldade) => ({ nome, dificuldade }));
+
+/** Stand-ins for the cars of a round: fitness per brain, and which ones finished. */
+function carros(fitness, finished = []) {
+  return fitness.map((f, i) => ({ finished: finished.includes(i), calcularFitness: () => f }));
+}
+
+/** Run one generation with `rodadas[k]` as the cars of round k. */
+function geracao(curriculo, generation, rodadas) {
+  const agendadas = curriculo.iniciarGeracao(generation);
+  rodadas.forEach(r => curriculo.registrarRodada(r));
+  assert.strictEqual(curriculo.proximaRodada(), null);
+  return { agendadas, ...curriculo.concluirGeracao() };
+}
+
+test('scores are the mean across tracks by default', () => {
+  const { agendadas, fitness } = geracao(new Curriculo(PISTAS), 1,
+    [carros([10, 0]), carros([20, 4]), carros([30, 2])]);
+  assert.deepStrictEqual(agendadas.map(p => p.nome), ['facil', 'media', 'dificil']);
+  assert.deepStrictEqual(fitness, [20, 2]);
+});
+
+test('worst-case aggregation takes each brain\'s lowest score', () => {
+  const { fitness } = geracao(new Curriculo(PISTAS, { agregacao: 'pior' }), 1,
+    [carros([10, 0]), carros([20, 4]), carros([30, 2])]);
+  assert.deepStrictEqual(fitness, [10, 0]);
+});
+
+test('rotating mode walks through the tracks a subset at a time', () => {
+  const curriculo = new Curriculo(PISTAS, { modo: 'rotativo', subconjunto: 2 });
+  const nomes = g => curriculo.iniciarGeracao(g).map(p => p.nome);
+  assert.deepStrictEqual(nomes(1), ['facil', 'media']);
+  assert.deepStrictEqual(nomes(2), ['dificil', 'facil']);
+  assert.deepStrictEqual(nomes(3), ['media', 'dificil']);
+});
+
+test('the curriculum unlocks the next track once enough cars finish every round', () => {
+  const curriculo = new Curriculo(PISTAS, { curriculo: true, metaConclusao: 0.5 });
+  assert.deepStrictEqual(curriculo.pistasAtivas().map(p => p.nome), ['facil']);
+
+  // 1 of 4 finished: below the target
+  assert.strictEqual(geracao(curriculo, 1, [carros([1, 1, 1, 1], [0])]).desbloqueada, null);
+
+  // 2 of 4 finished: 'media' unlocks and is scheduled from the next generation
+  assert.strictEqual(geracao(curriculo, 2, [carros([1, 1, 1, 1], [0, 1])]).desbloqueada.nome, 'media');
+  assert.strictEqual(curriculo.nivel, 2);
+
+  // Every round must meet the target, not just one
+  const r = geracao(curriculo, 3, [carros([1, 1, 1, 1], [0, 1, 2]), carros([1, 1, 1, 1], [0])]);
+  assert.deepStrictEqual(r.agendadas.map(p => p.nome), ['facil', 'media']);
+  assert.strictEqual(r.desbloqueada, null);
+
+  geracao(curriculo, 4, [carros([1, 1], [0, 1]), carros([1, 1], [0, 1])]);
+  assert.strictEqual(curriculo.nivel, 3);
+
+  // Nothing left to unlock
+  geracao(curriculo, 5, [carros([1], [0]), carros([1], [0]), carros([1], [0])]);
+  assert.strictEqual(curriculo.nivel, 3);
+});
+
+test('without curriculum mode every track is active and nothing unlocks', () => {
+  const curriculo = new Curriculo(PISTAS);
+  const { desbloqueada } = geracao(curriculo, 1, [carros([1], [0]), carros([1], [0]), carros([1], [0])]);
+  assert.strictEqual(desbloqueada, null);
+  assert.strictEqual(curriculo.pistasAtivas().length, 3);
+});
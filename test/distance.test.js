@@ -0,0 +1,81 @@
+/**
+ * distance.test.js – Distance field modes and the Dijkstra heap (track.js)
+ * ──────────────────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+for (const file of ['mapa_gerado.js', 'track.js']) {
+  const caminho = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+}
+const { calcularCampoDistancia, HeapMinimo } = vm.runInThisContext('({ calcularCampoDistancia, HeapMinimo })');
+
+const TILE = 10;
+
+/** Distance of tile (c, r), in tiles. */
+function distancia(campo, c, r) {
+  return campo.dist[r * campo.largura + c] / TILE;
+}
+
+// 3 × 3 room, finish in the top-left corner
+const SALA = [
+  [2, 0, 0],
+  [0, 0, 0],
+  [0, 0, 0],
+];
+
+test('each mode measures the open diagonal its own way', () => {
+  assert.strictEqual(distancia(calcularCampoDistancia(SALA, TILE, '4'), 2, 2), 4);
+  assert.strictEqual(distancia(calcularCampoDistancia(SALA, TILE, '8'), 2, 2), 2);
+  assert.ok(Math.abs(distancia(calcularCampoDistancia(SALA, TILE, 'euclidiana'), 2, 2) - 2 * Math.SQRT2) < 1e-12);
+  assert.ok(Math.abs(distancia(calcularCampoDistancia(SALA, TILE, 'euclidiana'), 2, 1) - (1 + Math.SQRT2)) < 1e-12);
+});
+
+test('distances are in pixels, with the largest reachable one as maximo', () => {
+  const campo = calcularCampoDistancia(SALA, TILE, '4');
+  assert.strictEqual(campo.dist[0], 0);
+  assert.strictEqual(campo.maximo, 4 * TILE);
+  assert.strictEqual(campo.largura, 3);
+  assert.strictEqual(campo.altura, 3);
+});
+
+test('diagonal steps never cut a wall corner', () => {
+  const grade = [
+    [2, 0, 0],
+    [1, 1, 0],
+    [0, 0, 0],
+  ];
+  for (const modo of ['4', '8', 'euclidiana']) {
+    assert.strictEqual(distancia(calcularCampoDistancia(grade, TILE, modo), 0, 2), 6, modo);
+  }
+  const fechado = [
+    [2, 1],
+    [1, 0],
+  ];
+  for (const modo of ['4', '8', 'euclidiana']) {
+    assert.strictEqual(calcularCampoDistancia(fechado, TILE, modo).dist[3], Infinity, modo);
+  }
+});
+
+test('explicit origins replace the finish tiles', () => {
+  const campo = calcularCampoDistancia(SALA, TILE, '4', [8]);   // bottom-right tile
+  assert.strictEqual(distancia(campo, 2, 2), 0);
+  assert.strictEqual(distancia(campo, 0, 0), 4);
+});
+
+test('the heap pops items in priority order', () => {
+  const heap = new HeapMinimo();
+  const prioridades = [5, 3, 8, 1, 9, 2, 7, 3, 0, 6];
+  prioridades.forEach((p, i) => heap.inserir(i, p));
+  assert.strictEqual(heap.tamanho, prioridades.length);
+  const saida = [];
+  while (heap.tamanho > 0) saida.push(heap.remover());
+  assert.deepStrictEqual(saida.map(s => s.prioridade), [...prioridades].sort((a, b) => a - b));
+  for (const { item, prioridade } of saida) assert.strictEqual(prioridades[item], prioridade);
+});
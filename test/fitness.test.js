@@ -0,0 +1,73 @@
+/**
+ * fitness.test.js – Fitness strategies and their weights (fitness.js)
+ * ─────────────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+for (const file of ['fitness.js', 'car.js', 'evolution.js']) {
+  const caminho = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+}
+const sim = vm.runInThisContext(`({
+  Car, MAX_FRAMES, configFitness, definirFitness, avaliarFitness,
+  get fitnessConfig() { return fitnessConfig; },
+})`);
+
+/** The end-of-run state a strategy scores (100 frames at an average speed of 2). */
+function carro(estado = {}) {
+  return {
+    score: 100, alive: false, finished: false, accumulatedSpeed: 200, framesAlive: 100,
+    bestDist: 1000, variacaoDirecao: 0, ...estado,
+  };
+}
+
+/** Score `car` with `estrategia` (default weights unless overridden) through Car.calcularFitness(). */
+function pontuar(estrategia, car, pesos = {}) {
+  sim.definirFitness(estrategia, pesos);
+  return sim.Car.prototype.calcularFitness.call(car);
+}
+
+test('default: halved score for a crash, plus time, speed and progress terms', () => {
+  // 100 × 0.5 + 100 frames × 0.05 + speed 2 × 60 + (1200 − 1000) px × 0.5
+  assert.strictEqual(pontuar('padrao', carro()), 275);
+  // A finisher keeps its whole score and gets the extra bonus
+  assert.strictEqual(pontuar('padrao', carro({ finished: true })), 100 + 5 + 120 + 100 + 1000);
+  assert.strictEqual(pontuar('padrao', carro({ score: -1000 })), 0);
+});
+
+test('progress only is the clamped in-run score', () => {
+  assert.strictEqual(pontuar('progresso', carro({ score: 50 })), 50);
+  assert.strictEqual(pontuar('progresso', carro({ score: -5 })), 0);
+});
+
+test('time to finish rewards the frames a finisher saved', () => {
+  assert.strictEqual(pontuar('tempo', carro({ score: 10 })), 10);
+  assert.strictEqual(pontuar('tempo', carro({ score: 10, finished: true })), 10 + (sim.MAX_FRAMES - 100) * 2);
+  assert.strictEqual(pontuar('tempo', carro({ score: 10, finished: true }), { porFrameRestante: 1 }), 10 + sim.MAX_FRAMES - 100);
+});
+
+test('smooth driving subtracts the mean steering change', () => {
+  assert.strictEqual(pontuar('suave', carro({ variacaoDirecao: 10 })), 275 - 0.1 * 1500);
+  assert.strictEqual(pontuar('suave', carro({ variacaoDirecao: 1000 })), 0);
+});
+
+test('weight overrides apply by name; unknown names and non-numbers are ignored', () => {
+  const config = sim.configFitness('padrao', { bonusFinal: 5, inexistente: 1, tempoVivo: 'x' });
+  assert.strictEqual(config.pesos.bonusFinal, 5);
+  assert.strictEqual(config.pesos.tempoVivo, 0.05);
+  assert.ok(!('inexistente' in config.pesos));
+  assert.strictEqual(pontuar('padrao', carro({ finished: true }), { bonusFinal: 5 }), 100 + 5 + 120 + 100 + 5);
+  assert.throws(() => sim.configFitness('nenhuma'), /Unknown fitness strategy "nenhuma"/);
+});
+
+test('the active config is what avaliarFitness() uses', () => {
+  sim.definirFitness('progresso');
+  assert.strictEqual(sim.fitnessConfig.estrategia, 'progresso');
+  assert.strictEqual(sim.avaliarFitness(carro({ score: 42 })), 42);
+});
@@ -0,0 +1,90 @@
+/**
+ * island.test.js – Ring migration and combining islands (island.js)
+ * ───────────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+for (const file of ['random.js', 'brain.js', 'brain-matrix.js', 'brain-neat.js', 'brain-format.js', 'fitness.js', 'car.js',
+  'selection.js', 'island.js']) {
+  const caminho = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+}
+const sim = vm.runInThisContext(`({
+  Ilha, Arquipelago, CerebroMatriz, resumirArquipelago, juntarElites, tamanhoPool,
+})`);
+
+/** A resumoIlha() with just what combining reads. */
+function resumo(pontuacoes, extra = {}) {
+  return {
+    pontuacoes, tracks: { a: 1 }, finished: 1, checkpoints: 0, bestLap: Infinity, frames: 100,
+    avgFrames: 50, avgSpeed: 1, diversity: 0.2, mutationRate: 0.08, mutationSigma: 0.1, elite: [], ...extra,
+  };
+}
+
+test('the archipelago summary covers every car of every island', () => {
+  const r = sim.resumirArquipelago([
+    resumo([9, 5, 1], { tracks: { a: 2, b: 1 }, finished: 3, checkpoints: 2, bestLap: 900, avgSpeed: 2, diversity: 0.4 }),
+    resumo([8, 4, 0], { checkpoints: 1, bestLap: 700, frames: 300 }),
+  ]);
+  assert.strictEqual(r.best, 9);
+  assert.strictEqual(r.worst, 0);
+  assert.strictEqual(r.mean, 27 / 6);
+  assert.strictEqual(r.median, (5 + 4) / 2);
+  assert.deepStrictEqual(r.tracks, { a: 3, b: 1 });
+  assert.strictEqual(r.finished, 4);
+  assert.strictEqual(r.checkpoints, 2);
+  assert.strictEqual(r.bestLap, 700);
+  assert.strictEqual(r.avgSpeed, 1.5);
+  assert.ok(Math.abs(r.diversity - 0.3) < 1e-12);
+  assert.strictEqual(r.frames, 400);
+  assert.strictEqual(sim.resumirArquipelago([resumo([3, 2, 1])]).median, 2);
+});
+
+test('the joined elite is the best of all islands, rebuilt as brains', () => {
+  const pesos = () => new sim.CerebroMatriz().exportarPesos();
+  const elite = fitness => fitness.map(f => ({ pesos: pesos(), fitness: f }));
+  const resumos = [resumo([], { elite: elite([10, 6, 2]) }), resumo([], { elite: elite([8, 7, 1]) })];
+  resumos[1].elite[0].mutacao = { taxa: 0.2, sigma: 0.3 };
+
+  const juntos = sim.juntarElites(resumos);
+  assert.deepStrictEqual(juntos.map(b => b.fitness), [10, 8, 7, 6, 2, 1].slice(0, sim.tamanhoPool()));
+  assert.ok(juntos.every(b => b instanceof sim.CerebroMatriz));
+  assert.deepStrictEqual(juntos[1].exportarPesos(), resumos[1].elite[0].pesos);
+  assert.deepStrictEqual(juntos[1].mutacao, { taxa: 0.2, sigma: 0.3 });
+});
+
+test('migrants replace the weakest of the pool and are sorted in', () => {
+  const brain = fitness => Object.assign(new sim.CerebroMatriz(), { fitness });
+  const ilha = new sim.Ilha(null, [10, 6, 4, 2].map(brain));
+  ilha.receberMigrantes([brain(7), brain(1)]);
+  assert.deepStrictEqual(ilha.eliteBrains.map(b => b.fitness), [10, 7, 6, 1]);
+});
+
+test('migration runs in a ring, every migracaoACada generations', async () => {
+  const pedidos = [];
+  const canais = [0, 1, 2].map(i => ({
+    pedir(mensagem) {
+      pedidos.push({ ilha: i, ...mensagem });
+      const melhor = 10 * (i + 1);
+      return Promise.resolve(mensagem.tipo === 'geracao'
+        ? { elite: [{ fitness: melhor }, { fitness: melhor - 1 }, { fitness: melhor - 2 }] }
+        : null);
+    },
+  }));
+  const arquipelago = new sim.Arquipelago(canais, { migracaoACada: 2, migrantes: 2 });
+
+  assert.strictEqual((await arquipelago.geracao()).migrou, false);
+  assert.strictEqual((await arquipelago.geracao()).migrou, true);
+  const migracoes = pedidos.filter(p => p.tipo === 'migrantes');
+  assert.deepStrictEqual(migracoes.map(p => [p.ilha, p.elite.map(e => e.fitness)]), [
+    [0, [30, 29]],   // island 2 → 0
+    [1, [10, 9]],
+    [2, [20, 19]],
+  ]);
+});
@@ -0,0 +1,56 @@
+/**
+ * mutation.test.js – Stall responses of mutation.js on a bred generation
+ * ────────────────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+for (const file of ['random.js', 'brain.js', 'brain-matrix.js', 'brain-neat.js', 'car.js', 'selection.js', 'mutation.js']) {
+  const caminho = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+}
+const sim = vm.runInThisContext(`({
+  CerebroNEAT, NEAT_CONFIG, rng, reiniciarBackend, definirMutacao, receberImigrantes,
+  set brainBackend(v) { brainBackend = v; },
+})`);
+
+/** A scored NEAT generation, best first, split into several species. */
+function geracaoNEAT(total) {
+  sim.brainBackend = 'neat';
+  sim.reiniciarBackend();
+  sim.rng.definirSemente(3);
+  sim.NEAT_CONFIG.limiarEspecie = 0.1;   // split the random genomes into several species
+  const genomas = Array.from({ length: total }, (_, i) => {
+    const g = new sim.CerebroNEAT();
+    g.fitness = total - i;
+    return g;
+  });
+  return { genomas, filhos: sim.CerebroNEAT.reproduzir(genomas, total, 0.1) };
+}
+
+test('immigrants never replace a NEAT species champion', () => {
+  const { genomas, filhos } = geracaoNEAT(30);
+  const campeoes = filhos.filter(b => b.campeao);
+  assert.ok(campeoes.length > 1 && campeoes.length < filhos.length);
+
+  sim.definirMutacao({ imigrantes: 1 });
+  const brains = filhos.slice();
+  sim.receberImigrantes(brains, genomas);
+  for (const c of campeoes) assert.ok(brains.includes(c));
+  assert.strictEqual(brains.filter(b => filhos.includes(b)).length, campeoes.length);
+});
+
+test('immigrants replace the last offspring first', () => {
+  const { genomas, filhos } = geracaoNEAT(30);
+  sim.definirMutacao({ imigrantes: 0.1 });
+  const brains = filhos.slice();
+  sim.receberImigrantes(brains, genomas);
+  const trocados = brains.map((b, i) => (b === filhos[i] ? null : i)).filter(i => i !== null);
+  const ultimos = filhos.map((b, i) => (b.campeao ? null : i)).filter(i => i !== null).slice(-3);
+  assert.deepStrictEqual(trocados, ultimos);
+});
@@ -0,0 +1,120 @@
+/**
+ * optimizer.test.js – Eigendecomposition, ES and CMA-ES updates (optimizer.js)
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+for (const file of ['random.js', 'brain.js', 'optimizer.js']) {
+  const caminho = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+}
+const sim = vm.runInThisContext('({ rng, autodecompor, EstrategiaEvolutiva, CMAES })');
+
+/** Symmetric n × n matrix with entries in [-0.5, 0.5). */
+function simetrica(n) {
+  const A = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) A[i][j] = A[j][i] = sim.rng.proximo() - 0.5;
+  }
+  return A;
+}
+
+const distancia = (a, b) => Math.sqrt(a.reduce((s, v, i) => s + (v - b[i]) ** 2, 0));
+
+test('autodecompor() returns orthonormal eigenvectors of a symmetric matrix', () => {
+  sim.rng.definirSemente(1);
+  const n = 30;
+  const A = simetrica(n);
+  const copia = A.map(linha => Float64Array.from(linha));
+  const { autovalores, autovetores: V } = sim.autodecompor(A);
+
+  assert.deepStrictEqual(A, copia);   // input left untouched
+  let traco = 0;
+  for (let i = 0; i < n; i++) {
+    traco += A[i][i];
+    for (let k = 0; k < n; k++) {
+      let av = 0;
+      for (let j = 0; j < n; j++) av += A[k][j] * V[j][i];
+      assert.ok(Math.abs(av - autovalores[i] * V[k][i]) < 1e-10);   // A·v = λ·v
+    }
+    for (let j = 0; j < n; j++) {
+      let produto = 0;
+      for (let k = 0; k < n; k++) produto += V[k][i] * V[k][j];
+      assert.ok(Math.abs(produto - (i === j ? 1 : 0)) < 1e-10);    // Vᵀ·V = I
+    }
+  }
+  assert.ok(Math.abs(autovalores.reduce((a, b) => a + b, 0) - traco) < 1e-10);
+});
+
+test('autodecompor() on small known cases', () => {
+  const { autovalores, autovetores } = sim.autodecompor([Float64Array.of(2, 1), Float64Array.of(1, 2)]);
+  assert.deepStrictEqual(Array.from(autovalores).map(v => Math.round(v * 1e12) / 1e12).sort((a, b) => a - b), [1, 3]);
+  const i3 = autovalores[0] > autovalores[1] ? 0 : 1;
+  assert.ok(Math.abs(Math.abs(autovetores[0][i3]) - Math.SQRT1_2) < 1e-12);
+  assert.ok(Math.abs(autovetores[0][i3] - autovetores[1][i3]) < 1e-12);   // (1, 1)/√2
+
+  const diagonal = [Float64Array.of(4, 0, 0), Float64Array.of(0, -1, 0), Float64Array.of(0, 0, 2.5)];
+  assert.deepStrictEqual(Array.from(sim.autodecompor(diagonal).autovalores).sort((a, b) => a - b), [-1, 2.5, 4]);
+});
+
+test('ES samples the mean, then mirrored pairs', () => {
+  sim.rng.definirSemente(2);
+  const es = new sim.EstrategiaEvolutiva(Float64Array.of(1, 2, 3), { sigma: 0.5, aprendizado: 0.1 });
+  const amostras = es.amostrar(6);
+  assert.strictEqual(amostras.length, 6);
+  assert.deepStrictEqual(Array.from(amostras[0]), [1, 2, 3]);
+  for (const [a, b] of [[1, 2], [3, 4]]) {
+    amostras[a].forEach((v, j) => assert.ok(Math.abs((v + amostras[b][j]) / 2 - amostras[0][j]) < 1e-12));
+  }
+  assert.strictEqual(amostras[5].length, 3);   // an odd total ends on half a pair
+});
+
+/** Run `geracoes` generations of `otimizador` maximising `fitness`. */
+function evoluir(otimizador, fitness, geracoes, total) {
+  for (let g = 0; g < geracoes; g++) otimizador.atualizar(otimizador.amostrar(total).map(fitness));
+}
+
+test('ES climbs a linear slope along its gradient, one Adam step per weight', () => {
+  sim.rng.definirSemente(3);
+  const direcao = [1, -1, 2, -0.5];
+  const es = new sim.EstrategiaEvolutiva(new Float64Array(4), { sigma: 0.1, aprendizado: 0.02 });
+  evoluir(es, x => x.reduce((s, v, j) => s + v * direcao[j], 0), 1, 41);
+  // Adam's first step has length `aprendizado` in every coordinate
+  es.media.forEach((m, j) => assert.ok(Math.abs(m - 0.02 * Math.sign(direcao[j])) < 1e-6));
+  evoluir(es, x => x.reduce((s, v, j) => s + v * direcao[j], 0), 20, 41);
+  es.media.forEach((m, j) => assert.strictEqual(Math.sign(m), Math.sign(direcao[j])));
+});
+
+test('CMA-ES converges on a sphere and shrinks its step size', () => {
+  sim.rng.definirSemente(4);
+  const alvo = [3, -2, 1];
+  const cma = new sim.CMAES(new Float64Array(3), { sigma: 1 });
+  evoluir(cma, x => -(distancia(x, alvo) ** 2), 120, 11);
+  assert.ok(distancia(cma.media, alvo) < 1e-3);
+  assert.ok(cma.sigma < 0.01);
+  for (let a = 0; a < 3; a++) {
+    for (let b = 0; b < 3; b++) assert.strictEqual(cma.C[a][b], cma.C[b][a]);
+  }
+});
+
+test('a restored distribution continues exactly like the original', () => {
+  for (const [Classe, config] of [[sim.EstrategiaEvolutiva, { sigma: 0.2, aprendizado: 0.05 }], [sim.CMAES, { sigma: 0.5 }]]) {
+    sim.rng.definirSemente(5);
+    const fitness = x => -distancia(x, [1, 1, 1, 1]);
+    const original = new Classe(new Float64Array(4), config);
+    evoluir(original, fitness, 10, 9);
+    const copia = Classe.importar(JSON.parse(JSON.stringify(original.exportar())));
+
+    const estado = sim.rng.estado;
+    evoluir(original, fitness, 5, 9);
+    sim.rng.estado = estado;
+    evoluir(copia, fitness, 5, 9);
+    assert.deepStrictEqual(copia.exportar(), original.exportar());
+  }
+});
@@ -0,0 +1,72 @@
+/**
+ * pista.test.js – Lanczos resampling and tile conversion (pista.js)
+ * ───────────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const caminho = path.join(__dirname, '..', 'pista.js');
+vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+
+const soma = pesos => pesos.reduce((a, b) => a + b, 0);
+
+/** RGBA image of `largura` × `altura` filled by `cor(x, y)` → [r, g, b]. */
+function imagem(largura, altura, cor) {
+  const data = new Uint8ClampedArray(largura * altura * 4);
+  for (let y = 0; y < altura; y++) {
+    for (let x = 0; x < largura; x++) {
+      data.set([...cor(x, y), 255], (y * largura + x) * 4);
+    }
+  }
+  return { data, width: largura, height: altura };
+}
+
+test('taps are normalised and stay inside the source', () => {
+  for (const [entrada, saida] of [[40, 10], [10, 40], [7, 3], [160, 160]]) {
+    coeficientesLanczos(entrada, saida).forEach(({ inicio, pesos }) => {
+      assert.ok(Math.abs(soma(pesos) - 1) < 1e-12);
+      assert.ok(inicio >= 0 && inicio + pesos.length <= entrada);
+    });
+  }
+});
+
+test('the same size is the identity', () => {
+  coeficientesLanczos(12, 12).forEach(({ inicio, pesos }, i) => {
+    pesos.forEach((w, k) => assert.ok(Math.abs(w - (inicio + k === i ? 1 : 0)) < 1e-12));
+  });
+});
+
+test('downscaling widens the filter by the scale, symmetric away from the edges', () => {
+  const { inicio, pesos } = coeficientesLanczos(40, 10)[5];   // centred between source pixels 21 and 22
+  assert.strictEqual(inicio, 10);
+  assert.strictEqual(pesos.length, 24);                         // 2 × 3 lobes × scale 4
+  pesos.forEach((w, k) => assert.ok(Math.abs(w - pesos[pesos.length - 1 - k]) < 1e-12));
+  assert.ok(pesos[11] > pesos[9] && pesos[9] > 0);             // main lobe
+  assert.ok(pesos[6] < 0 && pesos[2] > 0);                      // 2nd and 3rd lobes
+});
+
+test('a flat colour survives resampling unchanged', () => {
+  const rgb = redimensionarImagem(imagem(37, 23, () => [12, 200, 99]).data, 37, 23, 4, 10, 6);
+  for (let i = 0; i < rgb.length; i += 3) assert.deepStrictEqual([...rgb.subarray(i, i + 3)], [12, 200, 99]);
+});
+
+test('images convert to walls, road, finish and spawn', () => {
+  const cor = (x, y) => {
+    if (x < 20) return [0, 0, 0];                  // wall
+    if (y < 10 && x >= 60) return [0, 255, 0];     // finish
+    if (y >= 30 && x >= 60) return [0, 0, 255];    // spawn
+    return [255, 255, 255];                        // road
+  };
+  const grade = imagemParaMapa(imagem(80, 40, cor), { MAP_WIDTH: 8, MAP_HEIGHT: 4 });
+  assert.deepStrictEqual(grade, [
+    [1, 1, 0, 0, 0, 0, 2, 2],
+    [1, 1, 0, 0, 0, 0, 0, 0],
+    [1, 1, 0, 0, 0, 0, 0, 0],
+    [1, 1, 0, 0, 0, 0, 3, 3],
+  ]);
+});
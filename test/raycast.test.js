@@ -0,0 +1,37 @@
+/**
+ * raycast.test.js – Regression cases for raioAteParede() (car.js)
+ * ─────────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const caminho = path.join(__dirname, '..', 'car.js');
+vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+
+// 20 px tiles, a wall column on the right (x ≥ 60)
+const TILE = 20;
+const GRADE = [
+  [0, 0, 0, 1],
+  [0, 0, 0, 1],
+  [0, 0, 0, 1],
+];
+
+test('an axis-aligned ray starting on a grid line still hits the wall', () => {
+  assert.strictEqual(raioAteParede(10, 20, 0, 200, GRADE, TILE), 50);   // on a horizontal line
+  assert.strictEqual(raioAteParede(20, 20, 0, 200, GRADE, TILE), 40);   // on a tile corner
+});
+
+test('a ray starting inside a tile is unchanged', () => {
+  assert.strictEqual(raioAteParede(10, 30, 0, 200, GRADE, TILE), 50);
+  assert.strictEqual(raioAteParede(10, 30, 0, 30, GRADE, TILE), 30);    // capped at the range
+});
+
+test('rays stop at the map edge', () => {
+  assert.ok(Math.abs(raioAteParede(20, 20, Math.PI / 2, 200, GRADE, TILE) - 40) < 1e-9);
+  assert.ok(Math.abs(raioAteParede(20, 20, Math.PI, 200, GRADE, TILE) - 20) < 1e-9);
+});
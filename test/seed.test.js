@@ -0,0 +1,38 @@
+/**
+ * seed.test.js – A run seed reproduces the whole run (train.js)
+ * ───────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+/** Train 2 generations with `semente`; returns the stats lines (without timings) and the best brain. */
+function treinar(semente) {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'seed-test-'));
+  try {
+    execFileSync(process.execPath, [path.join(__dirname, '..', 'train.js'),
+      '--generations', '2', '--seed', String(semente), '--out', out], { stdio: 'pipe' });
+    const stats = fs.readFileSync(path.join(out, 'stats.jsonl'), 'utf8').trim().split('\n')
+      .map(linha => { const { ms, ...resto } = JSON.parse(linha); return resto; });
+    return { stats, brain: JSON.parse(fs.readFileSync(path.join(out, 'best-brain.json'), 'utf8')).pesos };
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+}
+
+test('the same seed gives the same history and best brain', () => {
+  const a = treinar(7);
+  const b = treinar(7);
+  assert.strictEqual(a.stats.length, 2);
+  assert.deepStrictEqual(a.stats, b.stats);
+  assert.deepStrictEqual(a.brain, b.brain);
+});
+
+test('another seed gives another run', () => {
+  assert.notDeepStrictEqual(treinar(8).stats, treinar(7).stats);
+});
@@ -0,0 +1,118 @@
+/**
+ * selection.test.js – Parent selection, elitism and crossover strategies (selection.js)
+ * ───────────────────────────────────────────────────────────────────────────────────────
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+for (const file of ['random.js', 'brain.js', 'brain-matrix.js', 'brain-neat.js', 'brain-format.js', 'fitness.js', 'car.js',
+  'selection.js', 'mutation.js', 'optimizer.js', 'evolution.js']) {
+  const caminho = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(caminho, 'utf8'), { filename: caminho });
+}
+const sim = vm.runInThisContext(`({
+  rng, CerebroMatriz, ESTRATEGIAS_SELECAO, ESTRATEGIAS_CRUZAMENTO, configSelecao, definirSelecao,
+  selecionarParente, criarCerebros,
+})`);
+
+const SORTEIOS = 20000;
+
+/** Candidates with the given fitness, best first. */
+const candidatos = fitness => fitness.map((f, i) => ({ id: i, fitness: f }));
+
+/** Share of SORTEIOS draws each candidate won. */
+function frequencias(escolher, lista) {
+  sim.rng.definirSemente(1);
+  const vitorias = lista.map(() => 0);
+  for (let k = 0; k < SORTEIOS; k++) vitorias[escolher(lista).id]++;
+  return vitorias.map(v => v / SORTEIOS);
+}
+
+function quase(atual, esperado, tolerancia = 0.015) {
+  atual.forEach((v, i) => assert.ok(Math.abs(v - esperado[i]) < tolerancia, `${i}: ${v} vs ${esperado[i]}`));
+}
+
+test('a k-tournament picks the best of k random draws', () => {
+  const lista = candidatos([40, 30, 20, 10]);
+  const torneio = k => frequencias(c => sim.ESTRATEGIAS_SELECAO.torneio.escolher(c, { torneio: k }), lista);
+  quase(torneio(1), [0.25, 0.25, 0.25, 0.25]);
+  // P(best of 2 is candidate i) = ((n − i)² − (n − i − 1)²) / n²
+  quase(torneio(2), [7 / 16, 5 / 16, 3 / 16, 1 / 16]);
+});
+
+test('the roulette follows fitness shares, ignoring negative fitness', () => {
+  const roleta = lista => frequencias(c => sim.ESTRATEGIAS_SELECAO.roleta.escolher(c), lista);
+  quase(roleta(candidatos([60, 30, 10, -50])), [0.6, 0.3, 0.1, 0]);
+  quase(roleta(candidatos([0, 0])), [0.5, 0.5]);   // nothing to go by: uniform
+});
+
+test('rank selection weighs n, n − 1, … 1 whatever the fitness gaps', () => {
+  const lista = candidatos([1000, 3, 2, 1]);
+  quase(frequencias(c => sim.ESTRATEGIAS_SELECAO.ranking.escolher(c), lista), [0.4, 0.3, 0.2, 0.1]);
+});
+
+test('parents only come from the top `pais` of the pool', () => {
+  sim.definirSelecao({ selecao: 'ranking', pais: 2 });
+  const vistas = new Set(Array.from({ length: 200 }, () => sim.selecionarParente(candidatos([5, 4, 3, 2, 1])).id));
+  assert.deepStrictEqual([...vistas].sort((a, b) => a - b), [0, 1]);
+  sim.definirSelecao();
+});
+
+/** Two parents' weight arrays, a = all 1s and b = all 2s, in layers of 3 + 2 + 4 + 1 weights. */
+function pais() {
+  const forma = [3, 2, 4, 1];
+  return [forma.map(n => new Float32Array(n).fill(1)), forma.map(n => new Float32Array(n).fill(2))];
+}
+
+test('crossovers mix the parents as described', () => {
+  sim.rng.definirSemente(2);
+  for (let k = 0; k < 50; k++) {
+    let [filho, outro] = pais();
+    sim.ESTRATEGIAS_CRUZAMENTO.uniforme.combinar(filho, outro);
+    assert.ok(filho.every(v => v.every(x => x === 1 || x === 2)));
+
+    // One-point: a run of 1s, then a run of 2s, both non-empty
+    [filho, outro] = pais();
+    sim.ESTRATEGIAS_CRUZAMENTO.umPonto.combinar(filho, outro);
+    const linha = filho.flatMap(v => Array.from(v)).join('');
+    assert.match(linha, /^1+2+$/);
+
+    // Blend: every weight the same α·1 + (1 − α)·2
+    [filho, outro] = pais();
+    sim.ESTRATEGIAS_CRUZAMENTO.mistura.combinar(filho, outro);
+    const valores = filho.flatMap(v => Array.from(v));
+    assert.ok(valores.every(x => x === valores[0] && x >= 1 && x <= 2));
+
+    // Layer-wise: a kernel and its bias always come from the same parent
+    [filho, outro] = pais();
+    sim.ESTRATEGIAS_CRUZAMENTO.camadas.combinar(filho, outro);
+    for (let i = 0; i < filho.length; i += 2) {
+      const origem = filho[i][0];
+      assert.ok(filho[i].every(x => x === origem) && filho[i + 1].every(x => x === origem));
+    }
+  }
+});
+
+test('the best `elitismo` brains go on unchanged', () => {
+  sim.definirSelecao({ elitismo: 3, pais: 4 });
+  sim.rng.definirSemente(3);
+  const pool = [9, 7, 5, 3].map(f => Object.assign(new sim.CerebroMatriz(), { fitness: f }));
+  const brains = sim.criarCerebros(pool, null, 8);
+  assert.strictEqual(brains.length, 8);
+  for (let i = 0; i < 3; i++) assert.deepStrictEqual(brains[i].exportarPesos(), pool[i].exportarPesos());
+  for (let i = 3; i < 8; i++) assert.ok(pool.every(p => JSON.stringify(p.exportarPesos()) !== JSON.stringify(brains[i].exportarPesos())));
+  sim.definirSelecao();
+});
+
+test('breeding settings are validated', () => {
+  assert.deepStrictEqual(sim.configSelecao(), { selecao: 'torneio', torneio: 3, elitismo: 10, pais: 10, cruzamento: 'uniforme' });
+  assert.throws(() => sim.configSelecao({ selecao: 'sorte' }), /Unknown selection strategy "sorte"/);
+  assert.throws(() => sim.configSelecao({ cruzamento: 'x' }), /Unknown crossover "x"/);
+  assert.throws(() => sim.configSelecao({ pais: 1 }), /Invalid parent count "1"/);
+  assert.throws(() => sim.configSelecao({ torneio: 2.5 }), /Invalid tournament size "2.5"/);
+});
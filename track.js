@@ -0,0 +1,497 @@
+/**
+ * track.js – Map helpers shared by the browser and the headless trainer
+ * ─────────────────────────────────────────────────────────────────────
+ * Expected globals (from mapa_gerado.js): tileSize (number), mapa (2-D array)
+ * Tile values: 0 = road, 1 = wall, 2 = finish line, 3 = spawn
+ *
+ * `mapa` / `tileSize` always hold the *active* track. Extra tracks are added
+ * with registrarPista() (see pistas/) and swapped in with ativarPista().
+ *
+ * Tracks may carry ordered checkpoint gates (a sidecar list of tile
+ * rectangles). A lap only counts once every gate has been passed in order,
+ * which is what makes closed circuits — finish next to the spawn — work.
+ */
+
+let spawnPoint = { x: 0, y: 0 };
+let finishLine = { y: 0, xStart: 0, xEnd: 0 };
+
+/** Result of the last validarMapa() on the active track (see verificarMapa). */
+let diagnosticoMapa = { erros: [], avisos: [] };
+
+/**
+ * How the distance fields walk the grid:
+ *   '4'          — 4-connected, unit steps (the classic BFS; default)
+ *   '8'          — 8-connected, unit steps (diagonals cost the same)
+ *   'euclidiana' — 8-connected, diagonals cost √2
+ * Change it with definirModoDistancia() so the cached field is rebuilt.
+ */
+let distanceMode = '4';
+
+/** Distance fields of the active track by target (-1 = finish, k = gate k); built on demand. */
+let camposDistancia = new Map();
+
+// ── Track registry ─────────────────────────────────────────────────────────
+
+/** Registered tracks: { nome, tileSize, mapa, dificuldade, checkpoints, voltas }. */
+const pistas = [];
+
+/** The registry entry `mapa` / `tileSize` currently come from. */
+let pistaAtiva = null;
+
+/**
+ * Add a track to the registry.
+ * @param {string}     nome
+ * @param {number}     tamanho      Tile size in pixels
+ * @param {number[][]} grade        Tile map (same encoding as mapa_gerado.js)
+ * @param {number}     dificuldade  Curriculum order; lower tracks are unlocked first
+ * @param {object}     [opcoes]
+ * @param {{c: number, r: number, largura?: number, altura?: number}[]} [opcoes.checkpoints]
+ *        Ordered gates, each a rectangle of tiles with top-left (c, r)
+ * @param {number}     [opcoes.voltas=1]  Laps to complete (tracks with checkpoints only)
+ * @returns {object}   The registered track
+ */
+function registrarPista(nome, tamanho, grade, dificuldade = pistas.length, opcoes = {}) {
+  const checkpoints = (opcoes.checkpoints || []).map(g => ({ largura: 1, altura: 1, ...g }));
+  const pista = { nome, tileSize: tamanho, mapa: grade, dificuldade, checkpoints, voltas: opcoes.voltas || 1 };
+  pistas.push(pista);
+  pistas.sort((a, b) => a.dificuldade - b.dificuldade);
+  return pista;
+}
+
+// Maps whose spawn, finish and validation result were already logged
+const mapasRelatados = new WeakSet();
+
+/**
+ * Make `pista` the active map and re-detect its spawn & finish.
+ * Also the way to apply an edited map: assign pista.mapa, then call this.
+ * Silent, except the first time a map (a new or edited grid) is activated:
+ * then relatarMapa() logs it.
+ */
+function ativarPista(pista) {
+  pistaAtiva = pista;
+  mapa = pista.mapa;
+  tileSize = pista.tileSize;
+  camposDistancia = new Map();
+  detectSpawnAndFinish();
+  verificarMapa();
+  if (!mapasRelatados.has(mapa)) {
+    mapasRelatados.add(mapa);
+    relatarMapa();
+  }
+}
+
+// mapa_gerado.js is always the first (easiest) track
+pistaAtiva = registrarPista('mapa_gerado', tileSize, mapa, 0);
+
+/**
+ * Short fingerprint of a map (FNV-1a over tile size and tiles), recorded in
+ * brain files so you can tell which track a brain was trained on.
+ * @returns {string}  8 hex digits
+ */
+function hashMapa(grade, tamanho) {
+  let h = 0x811c9dc5;
+  const texto = `${tamanho}:${grade.map(row => Array.from(row, v => v || 0).join('')).join('/')}`;
+  for (let i = 0; i < texto.length; i++) {
+    h ^= texto.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// ── Checkpoints & laps ─────────────────────────────────────────────────────
+
+/** Gates of the active track, in order ([] for point-to-point tracks). */
+function checkpointsAtivos() {
+  return pistaAtiva.checkpoints;
+}
+
+/** Laps a car must complete on the active track (always 1 without gates). */
+function voltasAtivas() {
+  return pistaAtiva.checkpoints.length > 0 ? pistaAtiva.voltas : 1;
+}
+
+/** Set the lap count of every track that has checkpoints. */
+function definirVoltas(n) {
+  for (const pista of pistas) pista.voltas = n;
+}
+
+/** True if pixel (x, y) lies inside checkpoint gate `gate`. */
+function dentroDoCheckpoint(x, y, gate) {
+  const col = Math.floor(x / tileSize);
+  const row = Math.floor(y / tileSize);
+  return col >= gate.c && col < gate.c + gate.largura && row >= gate.r && row < gate.r + gate.altura;
+}
+
+// ── Distance to target ─────────────────────────────────────────────────────
+
+/**
+ * Distance in pixels from (x, y) along the road to the nearest finish tile
+ * (alvo = -1) or to checkpoint gate `alvo`, or 9999 if it can't be reached.
+ * Reads the shared field, which is built once per map instead of once per car.
+ */
+function distanciaAteChegada(x, y, alvo = -1) {
+  const { dist, largura, altura } = obterCampoDistancia(alvo);
+  const col = Math.floor(x / tileSize);
+  const row = Math.floor(y / tileSize);
+  const dentro = (c, r) => r >= 0 && r < altura && c >= 0 && c < largura;
+
+  if (dentro(col, row) && mapa[row][col] !== 1) {
+    const d = dist[row * largura + col];
+    return d === Infinity ? 9999 : d;
+  }
+
+  // Off the road (wall or outside the map): one step to the best walkable
+  // neighbour, which is what a BFS started from this tile would find.
+  let melhor = Infinity;
+  for (const [dc, dr] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+    const c = col + dc;
+    const r = row + dr;
+    if (dentro(c, r) && mapa[r][c] !== 1) melhor = Math.min(melhor, dist[r * largura + c]);
+  }
+  return melhor === Infinity ? 9999 : melhor + tileSize;
+}
+
+/**
+ * Direction (radians) in which the road distance to `alvo` falls fastest at
+ * (x, y): the field's central difference around the car's tile, a wall or
+ * unreachable neighbour counting as level with it. null where the field is
+ * flat (e.g. on the target itself).
+ */
+function direcaoAteChegada(x, y, alvo = -1) {
+  const { dist, largura, altura } = obterCampoDistancia(alvo);
+  const col = Math.floor(x / tileSize);
+  const row = Math.floor(y / tileSize);
+  const aqui = distanciaAteChegada(x, y, alvo);
+  const valor = (c, r) => {
+    if (r < 0 || r >= altura || c < 0 || c >= largura || mapa[r][c] === 1) return aqui;
+    const d = dist[r * largura + c];
+    return d === Infinity ? aqui : d;
+  };
+  const gx = valor(col + 1, row) - valor(col - 1, row);
+  const gy = valor(col, row + 1) - valor(col, row - 1);
+  return gx === 0 && gy === 0 ? null : Math.atan2(-gy, -gx);
+}
+
+/**
+ * The active track's distance field to `alvo` (-1 = finish, k = gate k),
+ * built on first use after a map change.
+ */
+function obterCampoDistancia(alvo = -1) {
+  if (!camposDistancia.has(alvo)) {
+    const origens = alvo < 0 ? null : tilesDoCheckpoint(pistaAtiva.checkpoints[alvo], mapa);
+    camposDistancia.set(alvo, calcularCampoDistancia(mapa, tileSize, distanceMode, origens));
+  }
+  return camposDistancia.get(alvo);
+}
+
+/** Row-major indices of a gate's tiles that lie on the map. */
+function tilesDoCheckpoint(gate, grade) {
+  const indices = [];
+  for (let r = gate.r; r < gate.r + gate.altura; r++) {
+    for (let c = gate.c; c < gate.c + gate.largura; c++) {
+      if (r >= 0 && r < grade.length && c >= 0 && c < grade[0].length) indices.push(r * grade[0].length + c);
+    }
+  }
+  return indices;
+}
+
+/** Switch the field's connectivity/weighting ('4', '8' or 'euclidiana'). */
+function definirModoDistancia(modo) {
+  distanceMode = modo;
+  camposDistancia = new Map();
+}
+
+/**
+ * Flood fill outward from every finish tile (or the given origin tiles) over
+ * walkable (non-wall) tiles.
+ * Unit-cost modes use a plain BFS over a typed-array queue; 'euclidiana'
+ * uses Dijkstra with a binary heap. Diagonal steps never cut wall corners.
+ * @param {number[][]} grade
+ * @param {number}     tamanho  Tile size in pixels
+ * @param {string}     modo     '4', '8' or 'euclidiana'
+ * @param {number[]|null} origens  Row-major tile indices to measure from; default finish tiles
+ * @returns {{ dist: Float64Array, largura: number, altura: number, maximo: number }}
+ *          Distances in pixels (Infinity where unreachable), row-major.
+ */
+function calcularCampoDistancia(grade, tamanho, modo = '4', origens = null) {
+  const altura = grade.length;
+  const largura = grade[0].length;
+  const total = largura * altura;
+  const andavel = new Uint8Array(total);
+  const dist = new Float64Array(total).fill(Infinity);
+  for (let r = 0; r < altura; r++) {
+    for (let c = 0; c < largura; c++) andavel[r * largura + c] = grade[r][c] !== 1 ? 1 : 0;
+  }
+
+  const vizinhos = [[0, -1, 1], [1, 0, 1], [0, 1, 1], [-1, 0, 1]];
+  if (modo !== '4') {
+    const diag = modo === 'euclidiana' ? Math.SQRT2 : 1;
+    vizinhos.push([1, -1, diag], [1, 1, diag], [-1, 1, diag], [-1, -1, diag]);
+  }
+  const passo = (i, dc, dr) => {
+    const c = (i % largura) + dc;
+    const r = Math.floor(i / largura) + dr;
+    if (c < 0 || c >= largura || r < 0 || r >= altura) return -1;
+    const j = r * largura + c;
+    if (!andavel[j]) return -1;
+    // Diagonals need both orthogonal neighbours open (no corner cutting)
+    if (dc !== 0 && dr !== 0 && (!andavel[j - dc] || !andavel[j - dr * largura])) return -1;
+    return j;
+  };
+
+  if (!origens) {
+    origens = [];
+    for (let r = 0; r < altura; r++) {
+      for (let c = 0; c < largura; c++) if (grade[r][c] === 2) origens.push(r * largura + c);
+    }
+  }
+  origens = origens.filter(i => andavel[i]);
+
+  if (modo === 'euclidiana') {
+    const heap = new HeapMinimo();
+    for (const i of origens) { dist[i] = 0; heap.inserir(i, 0); }
+    while (heap.tamanho > 0) {
+      const { item: i, prioridade: d } = heap.remover();
+      if (d > dist[i]) continue;
+      for (const [dc, dr, custo] of vizinhos) {
+        const j = passo(i, dc, dr);
+        if (j >= 0 && d + custo < dist[j]) {
+          dist[j] = d + custo;
+          heap.inserir(j, dist[j]);
+        }
+      }
+    }
+  } else {
+    const fila = new Int32Array(total);
+    let inicio = 0;
+    let fim = 0;
+    for (const i of origens) { dist[i] = 0; fila[fim++] = i; }
+    while (inicio < fim) {
+      const i = fila[inicio++];
+      for (const [dc, dr] of vizinhos) {
+        const j = passo(i, dc, dr);
+        if (j >= 0 && dist[j] === Infinity) {
+          dist[j] = dist[i] + 1;
+          fila[fim++] = j;
+        }
+      }
+    }
+  }
+
+  let maximo = 0;
+  for (let i = 0; i < total; i++) {
+    if (dist[i] !== Infinity) {
+      dist[i] *= tamanho;
+      if (dist[i] > maximo) maximo = dist[i];
+    }
+  }
+  return { dist, largura, altura, maximo };
+}
+
+/** Minimal binary min-heap of (item, prioridade) pairs, for Dijkstra. */
+class HeapMinimo {
+  constructor() {
+    this.itens = [];
+    this.prioridades = [];
+  }
+
+  get tamanho() {
+    return this.itens.length;
+  }
+
+  inserir(item, prioridade) {
+    const { itens, prioridades } = this;
+    let i = itens.length;
+    itens.push(item);
+    prioridades.push(prioridade);
+    while (i > 0) {
+      const pai = (i - 1) >> 1;
+      if (prioridades[pai] <= prioridade) break;
+      itens[i] = itens[pai];
+      prioridades[i] = prioridades[pai];
+      i = pai;
+    }
+    itens[i] = item;
+    prioridades[i] = prioridade;
+  }
+
+  remover() {
+    const { itens, prioridades } = this;
+    const topo = { item: itens[0], prioridade: prioridades[0] };
+    const item = itens.pop();
+    const prioridade = prioridades.pop();
+    const n = itens.length;
+    if (n > 0) {
+      let i = 0;
+      while (true) {
+        let filho = 2 * i + 1;
+        if (filho >= n) break;
+        if (filho + 1 < n && prioridades[filho + 1] < prioridades[filho]) filho++;
+        if (prioridades[filho] >= prioridade) break;
+        itens[i] = itens[filho];
+        prioridades[i] = prioridades[filho];
+        i = filho;
+      }
+      itens[i] = item;
+      prioridades[i] = prioridade;
+    }
+    return topo;
+  }
+}
+
+// ── Spawn & finish detection ───────────────────────────────────────────────
+function detectSpawnAndFinish() {
+  spawnPoint = { x: 0, y: 0 };
+  finishLine = { y: 0, xStart: 0, xEnd: 0 };
+  for (let row = 0; row < mapa.length; row++) {
+    for (let col = 0; col < mapa[row].length; col++) {
+      if (mapa[row][col] === 3) {
+        spawnPoint = {
+          x: col * tileSize + tileSize / 2,
+          y: row * tileSize + tileSize / 2,
+        };
+      } else if (mapa[row][col] === 2) {
+        if (finishLine.y === 0) finishLine.y = row;
+        if (finishLine.xStart === 0) finishLine.xStart = col;
+        finishLine.xEnd = col;
+      }
+    }
+  }
+}
+
+/** Log the active track's spawn, finish and validation errors / warnings. */
+function relatarMapa() {
+  console.log(`📍 Spawn: (${spawnPoint.x}, ${spawnPoint.y})`);
+  console.log(`🏁 Finish row ${finishLine.y}, cols ${finishLine.xStart}–${finishLine.xEnd}`);
+  for (const e of diagnosticoMapa.erros) console.error(`❌ Map: ${e.mensagem}`);
+  for (const a of diagnosticoMapa.avisos) console.warn(`⚠️ Map: ${a.mensagem}`);
+}
+
+// ── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate the active track into `diagnosticoMapa`.
+ * Runs from ativarPista(), i.e. after every track switch or map change.
+ * @returns {{ erros: object[], avisos: object[] }}
+ */
+function verificarMapa() {
+  diagnosticoMapa = validarMapa(mapa, tileSize, pistaAtiva.checkpoints);
+  return diagnosticoMapa;
+}
+
+/**
+ * Check that a map can be trained on.
+ *  Errors:   no spawn, more than one spawn region, a spawn where the car body
+ *            touches a wall, no finish, finish unreachable, a checkpoint gate
+ *            with no reachable tile.
+ *  Warnings: corridors narrower than the car body (CAR_WIDTH) on the reachable road.
+ * Each problem lists the tiles involved so they can be drawn as an overlay.
+ * @param {number[][]} grade
+ * @param {number}     tamanho  Tile size in pixels
+ * @param {object[]}   [checkpoints]  The track's gates, if any
+ * @returns {{ erros: { mensagem: string, tiles: {c: number, r: number}[] }[],
+ *             avisos: { mensagem: string, tiles: {c: number, r: number}[] }[] }}
+ */
+function validarMapa(grade, tamanho, checkpoints = []) {
+  const erros = [];
+  const avisos = [];
+  const altura = grade.length;
+  const largura = grade[0].length;
+  const valor = (c, r) => grade[r][c] || 0;
+  const dentro = (c, r) => r >= 0 && r < altura && c >= 0 && c < largura;
+
+  // Connected regions (4-neighbourhood) of tiles matching `filtro`
+  const regioes = filtro => {
+    const visto = new Set();
+    const lista = [];
+    for (let r = 0; r < altura; r++) {
+      for (let c = 0; c < largura; c++) {
+        if (visto.has(r * largura + c) || !filtro(c, r)) continue;
+        const regiao = [];
+        const pilha = [{ c, r }];
+        visto.add(r * largura + c);
+        while (pilha.length > 0) {
+          const t = pilha.pop();
+          regiao.push(t);
+          for (const [dc, dr] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const nc = t.c + dc;
+            const nr = t.r + dr;
+            if (dentro(nc, nr) && !visto.has(nr * largura + nc) && filtro(nc, nr)) {
+              visto.add(nr * largura + nc);
+              pilha.push({ c: nc, r: nr });
+            }
+          }
+        }
+        lista.push(regiao);
+      }
+    }
+    return lista;
+  };
+
+  // ── Spawn & finish ──
+  const spawns = regioes((c, r) => valor(c, r) === 3);
+  const finishes = regioes((c, r) => valor(c, r) === 2);
+  if (spawns.length === 0) erros.push({ mensagem: 'No spawn tile (3).', tiles: [] });
+  if (spawns.length > 1) {
+    erros.push({
+      mensagem: `${spawns.length} separate spawn regions — only the last one would be used.`,
+      tiles: spawns.flat(),
+    });
+  }
+  if (spawns.length === 1) {
+    // Cars start on the last spawn tile (detectSpawnAndFinish), facing right
+    const t = spawns[0].reduce((a, b) => (b.r * largura + b.c > a.r * largura + a.c ? b : a));
+    if (corpoTocaParede((t.c + 0.5) * tamanho, (t.r + 0.5) * tamanho, 0, grade, tamanho)) {
+      erros.push({
+        mensagem: `The car (${CAR_LENGTH}×${CAR_WIDTH}px, facing right) touches a wall at the spawn.`,
+        tiles: [t],
+      });
+    }
+  }
+  if (finishes.length === 0) erros.push({ mensagem: 'No finish tile (2).', tiles: [] });
+
+  // ── Reachability: road regions containing a spawn tile ──
+  const estradas = regioes((c, r) => valor(c, r) !== 1);
+  const alcancaveis = estradas.filter(reg => reg.some(t => valor(t.c, t.r) === 3));
+  if (spawns.length > 0 && finishes.length > 0 &&
+      !alcancaveis.some(reg => reg.some(t => valor(t.c, t.r) === 2))) {
+    erros.push({
+      mensagem: 'The finish cannot be reached from the spawn.',
+      tiles: [...spawns.flat(), ...finishes.flat()],
+    });
+  }
+
+  // ── Checkpoint gates must touch the reachable road ──
+  const naEstrada = new Set(alcancaveis.flat().map(t => t.r * largura + t.c));
+  checkpoints.forEach((gate, k) => {
+    if (spawns.length > 0 && !tilesDoCheckpoint(gate, grade).some(i => naEstrada.has(i))) {
+      erros.push({
+        mensagem: `Checkpoint ${k + 1} cannot be reached from the spawn.`,
+        tiles: tilesDoCheckpoint(gate, grade).map(i => ({ c: i % largura, r: Math.floor(i / largura) })),
+      });
+    }
+  });
+
+  // ── Bottlenecks: passages narrower than the car along either axis ──
+  const corrida = (c, r, dc, dr) => {
+    let n = 1;
+    for (let k = 1; dentro(c + dc * k, r + dr * k) && valor(c + dc * k, r + dr * k) !== 1; k++) n++;
+    for (let k = 1; dentro(c - dc * k, r - dr * k) && valor(c - dc * k, r - dr * k) !== 1; k++) n++;
+    return n;
+  };
+  const estreito = new Set();
+  for (const t of alcancaveis.flat()) {
+    if (Math.min(corrida(t.c, t.r, 1, 0), corrida(t.c, t.r, 0, 1)) * tamanho < CAR_WIDTH) {
+      estreito.add(t.r * largura + t.c);
+    }
+  }
+  for (const gargalo of regioes((c, r) => estreito.has(r * largura + c))) {
+    const { c, r } = gargalo[0];
+    avisos.push({
+      mensagem: `Bottleneck near tile (${c}, ${r}) is narrower than the car (${CAR_WIDTH}px).`,
+      tiles: gargalo,
+    });
+  }
+
+  return { erros, avisos };
+}
@@ -0,0 +1,355 @@
+/**
+ * train.js – Headless training runner (no browser, no p5).
+ *
+ * Usage:
+ *   node train.js [--generations 100] [--map mapa_gerado.js] [--out runs/latest] [--seed 1234]
+ *                 [--backend matriz|tf|neat] [--tracks pistas/a.js,pistas/b.js]
+ *                 [--track-mode todas|rotativo] [--aggregate media|pior] [--curriculum 0.3]
+ *                 [--distance 4|8|euclidiana] [--laps 3] [--physics arcade|realista]
+ *                 [--fitness padrao|progresso|tempo|suave] [--fitness-weights '{"batida":50}']
+ *                 [--selection torneio|roleta|ranking] [--tournament 3] [--elitism 10] [--parents 10]
+ *                 [--crossover uniforme|umPonto|mistura|camadas]
+ *                 [--adaptive 0|1] [--stall 20] [--stall-gain 0.01] [--stall-responses mutacao,imigrantes,reinicio]
+ *                 [--boost 3] [--immigrants 0.2] [--optimizer ga|es|cmaes] [--es-sigma 0.1] [--es-lr 0.02]
+ *                 [--arch 18:relu,10:relu,2:tanh] [--sensors -90,-45,0,45,90|12x360] [--extras velocidade,rotacao]
+ *                 [--range 200] [--ray-step 0]
+ *                 [--checkpoint-every 10] [--resume runs/latest/checkpoint.json] [--replay-every 0]
+ *                 [--imitate driving-examples.json] [--imitate-epochs 40]
+ *                 [--islands 1] [--migrate-every 5] [--migrants 2]
+ *
+ * Loads the same browser scripts the page uses (map, brain, car, evolution)
+ * and runs generations back to back as fast as the CPU allows. After every
+ * generation it writes:
+ *   <out>/best-brain.json   best brain so far, as a brain file (brain-format.js),
+ *                           loadable with localStorage.setItem('bestBrain', …)
+ *   <out>/stats.jsonl       one JSON line per generation
+ * and, every --checkpoint-every generations and at the end:
+ *   <out>/checkpoint.json   the whole run state (checkpoint.js)
+ * and, every --replay-every generations (0 = never):
+ *   <out>/replays/gen-N.json  the generation's best car, frame by frame (replay.js)
+ *
+ * The same --seed and map always produce the same stats.jsonl. --resume
+ * continues a checkpoint (from here or from the page's ⬇ Export) with its own
+ * settings, seed and maps — the setting options above are ignored — and
+ * appends to stats.jsonl; --generations is then the last generation to run.
+ * --imitate pre-trains a brain on driving examples exported from the page
+ * (imitation.js) and seeds generation 1 with it, like the page's 🌱 Seed run.
+ * --adaptive 1 lets every genome evolve its own mutation rate and σ; after
+ * --stall generations without a new best the run answers with the next of
+ * --stall-responses (mutation.js), and logs it.
+ * --optimizer es|cmaes samples every generation from an Evolution Strategies
+ * or CMA-ES distribution over the weights instead of breeding it (optimizer.js);
+ * --es-sigma is its (initial) step size and --es-lr the ES learning rate.
+ * Dense backends only.
+ * --islands N (N > 1) splits the population into N islands of its own, each
+ * evolving in a worker thread (island.js); every --migrate-every generations
+ * each island sends its --migrants best brains to the next. stats.jsonl then
+ * sums up all islands, with each island's numbers under `islands`, and the
+ * checkpoint holds the best brains of all of them. Islands run the matrix
+ * backend only.
+ *
+ * Requires: npm install @tensorflow/tfjs   (only for --backend tf)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ── Command-line options ───────────────────────────────────────────────────
+function lerOpcoes(argv) {
+  const opts = { generations: 100, map: path.join(__dirname, 'mapa_gerado.js'), out: path.join('runs', 'latest'), seed: null,
+    backend: 'matriz', tracks: '', 'track-mode': 'todas', aggregate: 'media', curriculum: null,
+    distance: '4', laps: null, physics: 'arcade', fitness: 'padrao', 'fitness-weights': '{}',
+    selection: 'torneio', tournament: 3, elitism: 10, parents: 10, crossover: 'uniforme',
+    adaptive: 0, stall: 20, 'stall-gain': 0.01, 'stall-responses': 'mutacao,imigrantes,reinicio', boost: 3, immigrants: 0.2,
+    optimizer: 'ga', 'es-sigma': 0.1, 'es-lr': 0.02,
+    arch: '18:relu,10:relu,2:tanh', sensors: '-90,-60,-40,-20,0,20,40,60,90', extras: 'velocidade,rotacao',
+    range: 200, 'ray-step': 0,
+    'checkpoint-every': 10, resume: '', 'replay-every': 0, imitate: '', 'imitate-epochs': 40,
+    islands: 1, 'migrate-every': null, migrants: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in opts) || argv[i + 1] === undefined) {
+      console.error(`Unknown or incomplete option: ${argv[i]}`);
+      process.exit(1);
+    }
+    opts[name] = typeof opts[name] === 'string' ? argv[i + 1] : Number(argv[i + 1]);
+  }
+  return opts;
+}
+
+// ── Browser scripts ────────────────────────────────────────────────────────
+// The scripts declare top-level `let`/`class` bindings, exactly as they would
+// in a <script> tag; running them in this context makes them share one scope.
+function carregarScript(file) {
+  vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+}
+
+async function main() {
+  const opts = lerOpcoes(process.argv.slice(2));
+  const retomada = opts.resume ? JSON.parse(fs.readFileSync(opts.resume, 'utf8')) : null;
+  const backend = retomada ? retomada.config.backend : opts.backend;
+  if (backend === 'tf') global.tf = require('@tensorflow/tfjs');
+
+  carregarScript(path.resolve(opts.map));
+  for (const file of ['random.js', 'brain.js', 'brain-matrix.js', 'brain-neat.js', 'brain-format.js', 'fitness.js', 'car.js', 'track.js']) {
+    carregarScript(path.join(__dirname, file));
+  }
+  for (const file of opts.tracks.split(',').filter(Boolean)) carregarScript(path.resolve(file));
+  for (const file of ['curriculum.js', 'selection.js', 'mutation.js', 'optimizer.js', 'evolution.js', 'checkpoint.js', 'replay.js', 'imitation.js', 'island.js']) {
+    carregarScript(path.join(__dirname, file));
+  }
+  const sim = vm.runInThisContext(`({
+    Ilha, Arquipelago, canalIlha, estadosIlhas, motivoSemIlhas, resumirArquipelago, juntarElites,
+    rng, novaSemente, reiniciarBackend, definirArquitetura, lerArquitetura, definirEntradas, lerSensores,
+    serializarCerebro, dadosTreino, pistas, ativarPista, Curriculo, definirModoDistancia, definirVoltas, definirFitness, definirSelecao,
+    definirMutacao, descreverEvento, respostaDoEvento, definirOtimizador, motivoSemOtimizador,
+    definirModeloFisica, capturarCheckpoint, restaurarCheckpoint, gravarReplay, exportarReplay, lerDemonstracoes, treinarImitacao,
+    get fitnessConfig() { return fitnessConfig; },
+    get diagnosticoMapa() { return diagnosticoMapa; },
+    get spawnPoint() { return spawnPoint; },
+    get especiesNEAT() { return CerebroNEAT.especies.length; },
+    get otimizador() { return otimizadorConfig.otimizador; },
+    get brainBackend() { return brainBackend; },
+    set brainBackend(v) { brainBackend = v; },
+  })`);
+
+  fs.mkdirSync(opts.out, { recursive: true });
+  const statsPath = path.join(opts.out, 'stats.jsonl');
+  const brainPath = path.join(opts.out, 'best-brain.json');
+  const checkpointPath = path.join(opts.out, 'checkpoint.json');
+  if (!opts.resume) fs.writeFileSync(statsPath, '');
+
+  sim.brainBackend = opts.backend;
+  sim.definirModoDistancia(opts.distance);
+  sim.definirModeloFisica(opts.physics);
+  if (opts.laps !== null) sim.definirVoltas(opts.laps);
+  sim.definirFitness(opts.fitness, JSON.parse(opts['fitness-weights']));
+  sim.definirSelecao({
+    selecao: opts.selection, torneio: opts.tournament, elitismo: opts.elitism, pais: opts.parents, cruzamento: opts.crossover,
+  });
+  sim.definirMutacao({
+    adaptativa: opts.adaptive === 1,
+    janela: opts.stall,
+    tolerancia: opts['stall-gain'],
+    respostas: opts['stall-responses'].split(',').filter(Boolean),
+    reforco: opts.boost,
+    imigrantes: opts.immigrants,
+  });
+  sim.definirOtimizador({ otimizador: opts.optimizer, sigma: opts['es-sigma'], aprendizado: opts['es-lr'] });
+  const semOtimizador = sim.motivoSemOtimizador();
+  if (semOtimizador) {
+    console.error(`❌ ${semOtimizador}.`);
+    process.exit(1);
+  }
+  sim.definirArquitetura(sim.lerArquitetura(opts.arch));
+  sim.definirEntradas({
+    sensores: sim.lerSensores(opts.sensors),
+    alcance: opts.range,
+    passo: opts['ray-step'],
+    extras: opts.extras.split(',').filter(Boolean),
+  });
+
+  // Refuse to spend hours on a map that can't be trained on
+  let mapaValido = true;
+  for (const pista of sim.pistas) {
+    sim.ativarPista(pista);
+    if (sim.diagnosticoMapa.erros.length > 0) {
+      console.error(`❌ Track "${pista.nome}" failed validation.`);
+      mapaValido = false;
+    }
+  }
+  if (!mapaValido) process.exit(1);
+  const curriculo = new sim.Curriculo(sim.pistas, {
+    modo: opts['track-mode'],
+    agregacao: opts.aggregate,
+    curriculo: opts.curriculum !== null,
+    metaConclusao: opts.curriculum,
+  });
+  sim.rng.definirSemente(opts.seed !== null ? opts.seed : sim.novaSemente());
+  console.log(`🎲 Seed: ${sim.rng.semente}`);
+  sim.reiniciarBackend();
+
+  let eliteBrains = [];
+  let bestScoreEver = 0;
+  let totalFinished = 0;
+  let bestLapEver = Infinity;
+  let primeira = 1;
+
+  if (retomada) {
+    const estado = sim.restaurarCheckpoint(retomada);
+    ({ eliteBrains, bestScoreEver, totalFinished, bestLapEver } = estado);
+    curriculo.config = estado.curriculo.config;
+    curriculo.nivel = estado.curriculo.nivel;
+    primeira = estado.generation;
+    console.log(`⏯️ Resuming ${opts.resume} at generation ${primeira} (seed ${sim.rng.semente})`);
+  }
+
+  // Generation 1 breeds from the pre-trained brain (criarCerebros' `saved`)
+  let semeado = null;
+  if (opts.imitate && !retomada) {
+    const demos = sim.lerDemonstracoes(JSON.parse(fs.readFileSync(opts.imitate, 'utf8')));
+    const epocas = opts['imitate-epochs'];
+    const imitacao = await sim.treinarImitacao(demos, {
+      epocas,
+      aoProgresso: ({ epoca, perda, perdaValidacao, acuracia }) => console.log(
+        `🎓 Epoch ${epoca}/${epocas}: loss ${perda.toFixed(4)}, held-out ${perdaValidacao.toFixed(4)}, accuracy ${Math.round(acuracia * 100)}%`),
+    });
+    semeado = imitacao.brain;
+    semeado.fitness = 0;
+    eliteBrains = [semeado];
+  }
+
+  const salvarCheckpoint = generation => fs.writeFileSync(checkpointPath, JSON.stringify(sim.capturarCheckpoint({
+    generation: generation + 1, eliteBrains, bestScoreEver, totalFinished, bestLapEver, curriculo,
+  })));
+
+  // Islands start from the run as it stands: settings, tracks, elite and seed
+  let arquipelago = null;
+  if (opts.islands > 1) {
+    const motivo = sim.motivoSemIlhas();
+    if (motivo) {
+      console.error(`❌ ${motivo}.`);
+      process.exit(1);
+    }
+    arquipelago = await abrirArquipelago(sim, opts, sim.capturarCheckpoint({
+      generation: primeira, eliteBrains, bestScoreEver, totalFinished, bestLapEver, curriculo,
+    }), semeado !== null);
+    console.log(`🏝️ ${opts.islands} islands, migrating ${arquipelago.config.migrantes} brains ` +
+      `every ${arquipelago.config.migracaoACada} generation${arquipelago.config.migracaoACada === 1 ? '' : 's'}`);
+  }
+  const ilha = new sim.Ilha(curriculo, eliteBrains);
+
+  for (let generation = primeira; generation <= opts.generations; generation++) {
+    const inicio = Date.now();
+    const rodada = arquipelago
+      ? await geracaoNasIlhas(sim, arquipelago, curriculo)
+      : geracaoLocal(sim, ilha, generation, generation === 1 ? semeado : null);
+    const { resultado, tracks, finished, frames } = rodada;
+    eliteBrains = rodada.eliteBrains;
+    totalFinished += finished;
+    bestLapEver = Math.min(bestLapEver, resultado.bestLap);
+
+    if (resultado.best > bestScoreEver) {
+      bestScoreEver = resultado.best;
+      fs.writeFileSync(brainPath, JSON.stringify(rodada.melhor()));
+    }
+
+    const stats = {
+      seed: sim.rng.semente,
+      fitness: sim.fitnessConfig.estrategia,
+      generation,
+      best: resultado.best,
+      mean: resultado.mean,
+      median: resultado.median,
+      worst: resultado.worst,
+      finished,
+      tracks,
+      checkpoints: resultado.checkpoints,
+      bestLap: resultado.bestLap === Infinity ? null : resultado.bestLap,
+      avgFrames: resultado.avgFrames,
+      avgSpeed: resultado.avgSpeed,
+      diversity: resultado.diversity,
+      mutationRate: resultado.mutationRate,
+      mutationSigma: resultado.mutationSigma,
+      stall: sim.respostaDoEvento(rodada.evento),
+      optimizer: sim.otimizador === 'ga' ? undefined : sim.otimizador,
+      islands: rodada.ilhas,
+      migrated: rodada.migrou,
+      species: sim.brainBackend === 'neat' ? sim.especiesNEAT : undefined,
+      bestScoreEver,
+      totalFinished,
+      frames,
+      ms: Date.now() - inicio,
+    };
+    fs.appendFileSync(statsPath, JSON.stringify(stats) + '\n');
+    console.log(`Gen ${generation}: best ${Math.floor(stats.best)}, mean ${Math.floor(stats.mean)}, ` +
+      `finished ${stats.finished}, ${stats.frames} frames in ${stats.ms} ms`);
+
+    if (opts['replay-every'] > 0 && generation % opts['replay-every'] === 0) {
+      // Recorded on the track of the generation's last round
+      const replay = sim.gravarReplay(eliteBrains[0], { geracao: generation, fitness: resultado.best });
+      fs.mkdirSync(path.join(opts.out, 'replays'), { recursive: true });
+      fs.writeFileSync(path.join(opts.out, 'replays', `gen-${generation}.json`), sim.exportarReplay(replay));
+    }
+
+    const ultima = generation === opts.generations;
+    if (ultima || (opts['checkpoint-every'] > 0 && generation % opts['checkpoint-every'] === 0)) salvarCheckpoint(generation);
+  }
+
+  if (arquipelago) arquipelago.encerrar();
+  console.log(`✅ Done. Best brain: ${brainPath}`);
+}
+
+/**
+ * Run a generation in this thread.
+ * @returns {{ resultado, tracks, finished, frames, eliteBrains, melhor: () => object, evento }}
+ *          melhor() = the best brain as a brain file; evento = stall event or null
+ */
+function geracaoLocal(sim, ilha, generation, saved) {
+  const { resultado, population, tracks, finished, frames, desbloqueada, evento } = ilha.geracao(generation, saved);
+  if (desbloqueada) console.log(`🔓 New track unlocked: ${desbloqueada.nome}`);
+  if (evento) console.log(sim.descreverEvento(evento));
+  return {
+    resultado, tracks, finished, frames, evento,
+    eliteBrains: resultado.eliteBrains,
+    melhor: () => sim.serializarCerebro(population[0].brain, {
+      fitness: sim.fitnessConfig,
+      treino: sim.dadosTreino(generation, ilha.curriculo.pistasAtivas(), resultado.best),
+    }),
+  };
+}
+
+/**
+ * Run a generation on every island. The run's curriculum follows the most
+ * advanced island, and the best island's last track is left active so a
+ * replay of the combined elite is recorded where it drove.
+ * Each island watches its own stalls.
+ * @returns {{ resultado, tracks, finished, frames, eliteBrains, melhor: () => object,
+ *            ilhas: { best, mean, finished, stall }[], migrou: boolean }}
+ */
+async function geracaoNasIlhas(sim, arquipelago, curriculo) {
+  const { resumos, migrou } = await arquipelago.geracao();
+  resumos.forEach((r, i) => {
+    if (r.desbloqueada) console.log(`🔓 Island ${i + 1} unlocked: ${r.desbloqueada}`);
+    if (r.evento) console.log(`Island ${i + 1}: ${sim.descreverEvento(r.evento)}`);
+  });
+  curriculo.nivel = Math.max(...resumos.map(r => r.nivel));
+  const { tracks, finished, frames, ...resultado } = sim.resumirArquipelago(resumos);
+  const campea = resumos.find(r => r.best === resultado.best);
+  sim.ativarPista(sim.pistas.find(p => p.nome === campea.pista));
+  if (migrou) console.log(`🔀 Islands exchanged their best ${arquipelago.config.migrantes} brains`);
+  return {
+    resultado, tracks, finished, frames,
+    eliteBrains: sim.juntarElites(resumos),
+    melhor: () => campea.melhor,
+    ilhas: resumos.map(r => ({
+      best: r.best, mean: r.mean, finished: r.finished,
+      stall: sim.respostaDoEvento(r.evento),
+    })),
+    migrou,
+  };
+}
+
+/**
+ * Start a worker thread per island and load each with its share of
+ * `checkpoint` (estadosIlhas).
+ * @param {boolean} semear  Breed generation 1 from the elite's best (--imitate)
+ * @returns {Promise<Arquipelago>}
+ */
+async function abrirArquipelago(sim, opts, checkpoint, semear) {
+  const { Worker } = require('worker_threads');
+  const canais = Array.from({ length: opts.islands },
+    () => sim.canalIlha(new Worker(path.join(__dirname, 'island-worker.js'))));
+  const config = {};
+  if (opts['migrate-every'] !== null) config.migracaoACada = opts['migrate-every'];
+  if (opts.migrants !== null) config.migrantes = opts.migrants;
+  const arquipelago = new sim.Arquipelago(canais, config);
+  await arquipelago.iniciar(sim.estadosIlhas(checkpoint, opts.islands), semear);
+  return arquipelago;
+}
+
+main().catch(e => {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+});